@@ -0,0 +1,176 @@
+// Lender analytics dashboard
+//
+// A view over the loaded guidelines as a whole rather than one merchant: how
+// lenders' minimums are spread, how many fund each position, which states and
+// industries are most often excluded, and a state × position heatmap of how
+// many lenders remain, to spot coverage gaps when deciding which lenders to
+// onboard. The numbers come from analyzeGuidelines in engine/analytics.js.
+
+const ANALYTICS_TOP_COUNT = 10;
+const ANALYTICS_COLUMN_LABELS = {
+    Min_FICO: { title: 'Min FICO', format: value => String(value) },
+    Min_TIB_Months: { title: 'Min Time in Business', format: value => `${value} mo` },
+    Min_Monthly_Revenue: {
+        title: 'Min Monthly Revenue',
+        format: value => value >= 1000 ? `$${Math.round(value / 1000)}k` : `$${value}`
+    }
+};
+
+let analyticsRows = null; // Guidelines rows the open dashboard was built from
+
+function renderAnalyticsBars(items, total) {
+    const max = Math.max(1, ...items.map(item => item.count));
+    return `
+        <div class="analytics-bars">
+            ${items.map(item => `
+                <div class="analytics-bar-row" title="${item.count} of ${total} lenders">
+                    <span class="analytics-bar-label">${escapeHtml(item.label)}</span>
+                    <span class="analytics-bar"><span style="width: ${Math.round(item.count / max * 100)}%"></span></span>
+                    <span class="analytics-bar-count">${item.count}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderMinimumsSummary(summary, total) {
+    const labels = ANALYTICS_COLUMN_LABELS[summary.column];
+    const items = summary.buckets.map(bucket => ({
+        label: bucket.to === null ? `${labels.format(bucket.from)}+` : `${labels.format(bucket.from)}–${labels.format(bucket.to - (summary.column === 'Min_Monthly_Revenue' ? 0 : 1))}`,
+        count: bucket.count
+    }));
+
+    return `
+        <div class="analytics-card">
+            <h4>${labels.title}</h4>
+            <p class="analytics-stats">
+                ${summary.count > 0
+                    ? `Min ${labels.format(summary.min)} · Median ${labels.format(summary.median)} · Max ${labels.format(summary.max)}`
+                    : 'No values'}
+                ${summary.missing > 0 ? ` · ${summary.missing} not specified` : ''}
+            </p>
+            ${renderAnalyticsBars(items, total)}
+        </div>
+    `;
+}
+
+function renderRankedCard(title, items, total, emptyText) {
+    return `
+        <div class="analytics-card">
+            <h4>${title}</h4>
+            ${items.length === 0
+                ? `<p class="analytics-stats">${emptyText}</p>`
+                : renderAnalyticsBars(items.slice(0, ANALYTICS_TOP_COUNT).map(item => ({ label: item.name, count: item.count })), total)}
+        </div>
+    `;
+}
+
+function renderCoverageHeatmap(analysis) {
+    const max = Math.max(1, ...analysis.heatmap.map(row => Math.max(...row.counts)));
+    const positions = analysis.positions.map(entry => entry.position);
+
+    return `
+        <div class="heatmap-wrapper">
+            <table class="heatmap">
+                <thead>
+                    <tr>
+                        <th>State</th>
+                        ${positions.map(position => `<th>${ordinal(position)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${analysis.heatmap.map(row => `
+                        <tr>
+                            <th>${row.state.toUpperCase()}</th>
+                            ${row.counts.map((count, index) => `<td ${count === 0
+                                ? 'class="heatmap-gap"'
+                                : `style="background: rgba(79, 70, 229, ${(0.1 + 0.8 * count / max).toFixed(2)}); color: ${count / max > 0.5 ? 'white' : '#1f2937'}"`
+                            } title="${count} ${count === 1 ? 'lender' : 'lenders'} for ${ordinal(index + 1)} position in ${row.state.toUpperCase()}">${count}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Positions with states no lender covers, e.g. "3rd: IL, NY"
+function renderCoverageGaps(analysis) {
+    const gaps = findCoverageGaps(analysis);
+    const byPosition = {};
+    gaps.forEach(gap => {
+        if (!byPosition[gap.position]) byPosition[gap.position] = [];
+        byPosition[gap.position].push(gap.state.toUpperCase());
+    });
+
+    const lines = Object.keys(byPosition)
+        .filter(position => byPosition[position].length < analysis.heatmap.length)
+        .map(position => `<li><strong>${ordinal(Number(position))}:</strong> ${byPosition[position].join(', ')}</li>`);
+    const uncovered = Object.keys(byPosition).filter(position => byPosition[position].length === analysis.heatmap.length);
+
+    if (lines.length === 0 && uncovered.length === 0) {
+        return '<p class="analytics-stats">Every state has at least one lender at every position.</p>';
+    }
+    return `
+        ${uncovered.length > 0 ? `<p class="analytics-stats">No lender funds ${uncovered.map(position => ordinal(Number(position))).join(', ')} position in any state.</p>` : ''}
+        ${lines.length > 0 ? `<p class="analytics-stats">States with no lender:</p><ul class="coverage-gaps">${lines.join('')}</ul>` : ''}
+    `;
+}
+
+function renderAnalyticsDashboard() {
+    const panel = document.getElementById('analyticsPanel');
+    if (!csvData || csvData.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const analysis = analyzeGuidelines(csvData);
+    const total = analysis.lenderCount;
+    analyticsRows = csvData;
+
+    panel.innerHTML = `
+        <div class="results-section analytics">
+            <div class="analytics-header">
+                <h3>📈 Lender Analytics</h3>
+                <button type="button" class="link-btn" id="closeAnalyticsBtn">Close</button>
+            </div>
+            <p class="analytics-stats">
+                ${total} lenders in ${escapeHtml(csvFileName || 'the loaded guidelines')}${analysis.droppedCount > 0 ? ` (${analysis.droppedCount} rows dropped)` : ''}
+            </p>
+            <div class="analytics-grid">
+                ${analysis.minimums.map(summary => renderMinimumsSummary(summary, total)).join('')}
+                <div class="analytics-card">
+                    <h4>Lenders per Position</h4>
+                    ${renderAnalyticsBars(analysis.positions.map(entry => ({ label: ordinal(entry.position), count: entry.count })), total)}
+                </div>
+                ${renderRankedCard('Most Restricted States', analysis.restrictedStates, total, 'No state restrictions.')}
+                ${renderRankedCard('Most Prohibited Industries', analysis.prohibitedIndustries, total, 'No prohibited industries.')}
+                ${analysis.caseByCaseIndustries.length > 0
+                    ? renderRankedCard('Case-by-Case Industries', analysis.caseByCaseIndustries, total, '')
+                    : ''}
+            </div>
+            <h4>Lenders Available by State and Position</h4>
+            <p class="analytics-stats">Counts position ranges and state restrictions only; merchant minimums and industry rules narrow these further.</p>
+            ${renderCoverageGaps(analysis)}
+            ${renderCoverageHeatmap(analysis)}
+        </div>
+    `;
+    panel.style.display = 'block';
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    document.getElementById('closeAnalyticsBtn').addEventListener('click', closeAnalyticsDashboard);
+}
+
+function closeAnalyticsDashboard() {
+    analyticsRows = null;
+    document.getElementById('analyticsPanel').style.display = 'none';
+}
+
+// Keeps an open dashboard in step with the guidelines; called whenever they change
+function refreshAnalyticsDashboard() {
+    document.getElementById('analyticsBtn').disabled = !csvData || csvData.length === 0;
+    if (analyticsRows && analyticsRows !== csvData) {
+        if (csvData) renderAnalyticsDashboard();
+        else closeAnalyticsDashboard();
+    }
+}
@@ -1,309 +1,232 @@
 // Global variables
 let csvData = null;
+let csvFileName = null;
+let csvLoadedAt = null;
+let lastRun = null; // Criteria and result of the most recent qualification
 let debugMode = false; // Set to true for debugging
+let lenderRules = DEFAULT_LENDER_RULES.slice(); // Replaced by an uploaded rules file
 
-// State abbreviation mapping
-const stateAbbreviations = {
-    'alabama': 'al', 'alaska': 'ak', 'arizona': 'az', 'arkansas': 'ar', 'california': 'ca',
-    'colorado': 'co', 'connecticut': 'ct', 'delaware': 'de', 'florida': 'fl', 'georgia': 'ga',
-    'hawaii': 'hi', 'idaho': 'id', 'illinois': 'il', 'indiana': 'in', 'iowa': 'ia',
-    'kansas': 'ks', 'kentucky': 'ky', 'louisiana': 'la', 'maine': 'me', 'maryland': 'md',
-    'massachusetts': 'ma', 'michigan': 'mi', 'minnesota': 'mn', 'mississippi': 'ms', 'missouri': 'mo',
-    'montana': 'mt', 'nebraska': 'ne', 'nevada': 'nv', 'new hampshire': 'nh', 'new jersey': 'nj',
-    'new mexico': 'nm', 'new york': 'ny', 'north carolina': 'nc', 'north dakota': 'nd', 'ohio': 'oh',
-    'oklahoma': 'ok', 'oregon': 'or', 'pennsylvania': 'pa', 'rhode island': 'ri', 'south carolina': 'sc',
-    'south dakota': 'sd', 'tennessee': 'tn', 'texas': 'tx', 'utah': 'ut', 'vermont': 'vt',
-    'virginia': 'va', 'washington': 'wa', 'west virginia': 'wv', 'wisconsin': 'wi', 'wyoming': 'wy'
-};
-
-const reverseStateMap = {};
-Object.keys(stateAbbreviations).forEach(name => {
-    const abbrev = stateAbbreviations[name];
-    reverseStateMap[abbrev] = name;
-});
-
-// Utility functions
-function normalizeState(state) {
-    if (!state) return '';
-    const lower = state.toLowerCase().trim();
-    return stateAbbreviations[lower] || lower;
+const STRICTNESS_STORAGE_KEY = 'lenderStrictnessProfile';
+const STRICTNESS_SETTINGS_STORAGE_KEY = 'lenderStrictnessSettings';
+
+// Qualifies against the lender rules currently loaded in the page, with the
+// strictness profile picked beside the Process button unless one is given
+function qualifyLenders(lenders, criteria, profile = getStrictnessProfiles()[getSelectedStrictness()]) {
+    return qualify(lenders, criteria, { rules: lenderRules, profile });
 }
 
-function getFullStateName(state) {
-    if (!state) return '';
-    const lower = state.toLowerCase().trim();
-    if (reverseStateMap[lower]) {
-        return reverseStateMap[lower].split(' ').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)
-        ).join(' ');
-    }
-    return state;
+function getSelectedStrictness() {
+    const value = document.getElementById('strictnessProfile').value;
+    return STRICTNESS_PROFILES[value] ? value : DEFAULT_STRICTNESS_PROFILE;
 }
 
-// Enhanced CSV parser
-function parseCSV(text) {
+// Saved tolerance settings, e.g. { aggressive: { fico: 40 } }
+function getStrictnessSettings() {
     try {
-        const lines = text.split(/\r?\n/).filter(line => line.trim());
-        if (lines.length < 2) {
-            throw new Error('CSV must have at least a header row and one data row');
-        }
-
-        const result = [];
-        
-        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-            const line = lines[lineIndex];
-            const row = [];
-            let current = '';
-            let inQuotes = false;
-            
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                const nextChar = line[i + 1];
-                
-                if (char === '"') {
-                    if (inQuotes && nextChar === '"') {
-                        current += '"';
-                        i++; // Skip next quote
-                    } else {
-                        inQuotes = !inQuotes;
-                    }
-                } else if (char === ',' && !inQuotes) {
-                    row.push(current.trim());
-                    current = '';
-                } else {
-                    current += char;
-                }
-            }
-            row.push(current.trim()); // Add last field
-            result.push(row);
-        }
-        
-        // Convert to objects with proper data types
-        const headers = result[0].map(h => h.trim());
-        const data = [];
-        
-        for (let i = 1; i < result.length; i++) {
-            const row = {};
-            headers.forEach((header, index) => {
-                let value = result[i][index] || '';
-                value = String(value).trim();
-                
-                // Convert numeric values
-                if (value && !isNaN(value) && value !== '') {
-                    const num = parseFloat(value);
-                    if (!isNaN(num) && isFinite(num)) {
-                        value = num;
-                    }
-                }
-                
-                row[header] = value;
-            });
-            
-            // Only add rows that have a lender name
-            if (row['Lender Name'] && String(row['Lender Name']).trim()) {
-                data.push(row);
-            }
-        }
-        
-        return data;
+        return JSON.parse(localStorage.getItem(STRICTNESS_SETTINGS_STORAGE_KEY)) || {};
     } catch (error) {
-        throw new Error(`CSV parsing failed: ${error.message}`);
+        return {};
     }
 }
 
-// Validation functions
-function checkCustomRestrictions(lender, criteria) {
-    const lenderName = String(lender['Lender Name'] || '').toLowerCase();
-    const merchantIndustry = criteria.industry.toLowerCase();
-    
-    // Lexio Capital: Trucking 1st-2nd position only
-    if (lenderName.includes('lexio') && 
-        (merchantIndustry.includes('truck') || merchantIndustry.includes('transport')) &&
-        criteria.requestedPosition >= 3) {
-        return 'Industry - Trucking 1st-2nd position only';
-    }
-    
-    // FynCap: No trucking in IL
-    if (lenderName.includes('fyncap') &&
-        (merchantIndustry.includes('truck') || merchantIndustry.includes('transport')) &&
-        normalizeState(criteria.state) === 'il') {
-        return 'Industry - Trucking not accepted in IL';
-    }
-    
-    // Blackbridge: No trucking in IL
-    if (lenderName.includes('blackbridge') &&
-        (merchantIndustry.includes('truck') || merchantIndustry.includes('transport')) &&
-        normalizeState(criteria.state) === 'il') {
-        return 'Industry - Trucking not accepted in IL';
-    }
-    
-    // The Smarter Merchant: No sole props in specific states
-    if (lenderName.includes('smarter merchant') &&
-        criteria.isSoleProp &&
-        ['il', 'ar', 'ny'].includes(normalizeState(criteria.state))) {
-        return `Industry - Sole props not accepted in ${criteria.state}`;
-    }
-    
-    // Idea Financial: Construction requires 7+ years TIB
-    if (lenderName.includes('idea financial') &&
-        merchantIndustry.includes('construction') &&
-        criteria.tib < 84) { // 7 years = 84 months
-        return 'Industry - Construction requires 7+ years TIB';
+// The profiles with this browser's settings applied; the defaults if the
+// saved settings are no longer valid
+function getStrictnessProfiles() {
+    try {
+        return resolveStrictnessProfiles(getStrictnessSettings());
+    } catch (error) {
+        if (debugMode) console.warn('Ignoring saved strictness settings:', error.message);
+        return STRICTNESS_PROFILES;
     }
-    
-    return null;
 }
 
-function checkStateRestrictions(lender, criteria) {
-    const stateRestrictions = String(lender['State_Restrictions'] || '');
-    if (!stateRestrictions) return null;
-    
-    const merchantState = criteria.state.trim();
-    const fullStateName = getFullStateName(merchantState);
-    
-    // Check both abbreviation and full name
-    if (stateRestrictions.includes(merchantState) || 
-        stateRestrictions.includes(fullStateName)) {
-        return `State - ${stateRestrictions}`;
-    }
-    
-    return null;
+function describeStrictnessHint(profileId) {
+    const profile = getStrictnessProfiles()[profileId];
+    return profile.lenderTolerances
+        ? `${profile.description}; a lender's own tolerance columns take precedence`
+        : `${profile.description}; lender tolerance columns are ignored`;
 }
 
-function checkSolePropRestrictions(lender) {
-    const requirements = String(lender['Other_Key_Requirements'] || '').toLowerCase();
-    const prohibited = String(lender['Prohibited_Industries'] || '').toLowerCase();
-    const allText = requirements + ' ' + prohibited;
-    
-    if (allText.includes('no sole prop') || 
-        allText.includes('corp only') || 
-        allText.includes('sole props')) {
-        return 'Sole Prop - Not accepted';
-    }
-    
-    return null;
+function renderStrictnessSettings() {
+    const profiles = getStrictnessProfiles();
+    const settingKeys = Object.keys(STRICTNESS_SETTINGS);
+
+    document.getElementById('strictnessSettings').innerHTML = `
+        <details class="scoring-weights strictness-settings">
+            <summary>⚙️ Tolerances</summary>
+            <table>
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${settingKeys.map(key => `<th>${STRICTNESS_SETTINGS[key].label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.values(profiles).map(profile => `
+                        <tr>
+                            <th>${profile.label}</th>
+                            ${settingKeys.map(key => `
+                                <td><input type="number" min="${STRICTNESS_SETTINGS[key].min}" max="${STRICTNESS_SETTINGS[key].max}" step="1"
+                                    data-strictness-profile="${profile.id}" data-strictness-setting="${key}" value="${profile[key]}" /></td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button type="button" class="link-btn" data-reset-strictness>Reset to defaults</button>
+        </details>
+    `;
 }
 
-function checkIndustryRestrictions(lender, criteria) {
-    const prohibited = String(lender['Prohibited_Industries'] || '').toLowerCase();
-    if (!prohibited) return null;
-    
-    const merchantIndustry = criteria.industry.toLowerCase();
-    
-    // Simple keyword matching
-    const industryKeywords = merchantIndustry.split(/[\s\/,]+/);
-    for (const keyword of industryKeywords) {
-        if (keyword.length > 3 && prohibited.includes(keyword) && 
-            !prohibited.includes('case by case')) {
-            return `Industry - ${lender['Prohibited_Industries']}`;
-        }
-    }
-    
-    return null;
+function refreshStrictnessSettings() {
+    const panel = document.querySelector('#strictnessSettings details');
+    const open = panel && panel.open;
+    renderStrictnessSettings();
+    if (open) document.querySelector('#strictnessSettings details').open = true;
+    document.getElementById('strictnessHint').textContent = describeStrictnessHint(getSelectedStrictness());
 }
 
-function checkMinimumRequirements(lender, criteria) {
-    // Min TIB
-    const minTib = parseFloat(lender['Min_TIB_Months']);
-    if (!isNaN(minTib) && criteria.tib < minTib) {
-        return `TIB - Min ${minTib} months`;
-    }
+// Out-of-range values are clamped to the setting's range
+function updateStrictnessSetting(profileId, key, value) {
+    const range = STRICTNESS_SETTINGS[key];
+    const settings = getStrictnessSettings();
+    settings[profileId] = Object.assign({}, settings[profileId], {
+        [key]: Math.min(range.max, Math.max(range.min, Math.round(Number(value) || 0)))
+    });
+    localStorage.setItem(STRICTNESS_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    refreshStrictnessSettings();
+}
 
-    // Min Revenue
-    const minRevenue = parseFloat(lender['Min_Monthly_Revenue']);
-    if (!isNaN(minRevenue) && criteria.monthlyRevenue < minRevenue) {
-        return `Revenue - Min $${minRevenue.toLocaleString()}`;
-    }
+function resetStrictnessSettings() {
+    localStorage.removeItem(STRICTNESS_SETTINGS_STORAGE_KEY);
+    refreshStrictnessSettings();
+}
 
-    // Min FICO (with 20 point tolerance)
-    const minFico = parseFloat(lender['Min_FICO']);
-    if (!isNaN(minFico) && criteria.fico < (minFico - 20)) {
-        return `FICO - Min ${minFico} (with 20pt tolerance)`;
-    }
+// Fills the strictness picker and restores the last profile used
+function initStrictnessProfiles() {
+    const select = document.getElementById('strictnessProfile');
+    let saved = localStorage.getItem(STRICTNESS_STORAGE_KEY);
+    if (!STRICTNESS_PROFILES[saved]) saved = DEFAULT_STRICTNESS_PROFILE;
+
+    select.innerHTML = Object.values(STRICTNESS_PROFILES)
+        .map(profile => `<option value="${profile.id}">${profile.label}</option>`)
+        .join('');
+    select.value = saved;
+    refreshStrictnessSettings();
+
+    select.addEventListener('change', function() {
+        localStorage.setItem(STRICTNESS_STORAGE_KEY, select.value);
+        document.getElementById('strictnessHint').textContent = describeStrictnessHint(select.value);
+    });
 
-    return null;
+    const settingsPanel = document.getElementById('strictnessSettings');
+    settingsPanel.addEventListener('change', function(e) {
+        const input = e.target.closest('[data-strictness-setting]');
+        if (input) updateStrictnessSetting(input.dataset.strictnessProfile, input.dataset.strictnessSetting, input.value);
+    });
+    settingsPanel.addEventListener('click', function(e) {
+        if (e.target.closest('[data-reset-strictness]')) resetStrictnessSettings();
+    });
 }
 
-// Processing functions
-function processLenders(criteria) {
-    let qualifiedLenders = [];
-    let nonQualifiedLenders = [];
-    let autoDroppedCount = 0;
-    let processingErrors = [];
+// File input and output helpers
+function readFileBytes(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(new Uint8Array(e.target.result));
+        reader.onerror = () => reject(new Error(`Error reading ${file.name}`));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
 
+function processLenders(criteria) {
     if (!csvData || csvData.length === 0) {
         displayError('No CSV data loaded');
         return;
     }
 
-    csvData.forEach((lender, index) => {
-        try {
-            const lenderName = String(lender['Lender Name'] || '').trim();
-            
-            // Skip empty or invalid lender names
-            if (!lenderName || lenderName.length < 2) {
-                autoDroppedCount++;
-                return;
-            }
-
-            // Skip obviously invalid rows
-            if (lenderName.includes('$') || lenderName.match(/^\d+$/) || 
-                lenderName.toLowerCase().includes('total') ||
-                lenderName.toLowerCase().includes('summary')) {
-                autoDroppedCount++;
-                return;
-            }
-
-            let blockingRule = null;
-
-            // Position check
-            const posMin = parseFloat(lender['pos_min']);
-            const posMax = parseFloat(lender['pos_max']);
-            
-            if (isNaN(posMin) || isNaN(posMax)) {
-                autoDroppedCount++;
-                return;
-            }
+    const result = qualifyLenders(csvData, criteria);
+    lastRun = { criteria, result, runAt: new Date() };
+    recordQualifications([{ merchant: document.getElementById('merchantName').value.trim(), criteria, result }]);
 
-            if (criteria.requestedPosition < posMin || criteria.requestedPosition > posMax) {
-                const positionInfo = `Positions ${posMin}-${posMax}`;
-                blockingRule = `Position - ${positionInfo}`;
-            }
+    if (result.errors.length > 0 && debugMode) {
+        console.warn('Processing errors:', result.errors);
+    }
 
-            // Check various restrictions
-            if (!blockingRule) blockingRule = checkCustomRestrictions(lender, criteria);
-            if (!blockingRule) blockingRule = checkStateRestrictions(lender, criteria);
-            if (!blockingRule && criteria.isSoleProp) blockingRule = checkSolePropRestrictions(lender);
-            if (!blockingRule) blockingRule = checkIndustryRestrictions(lender, criteria);
-            if (!blockingRule) blockingRule = checkMinimumRequirements(lender, criteria);
-
-            // Final classification
-            if (blockingRule) {
-                nonQualifiedLenders.push({ 
-                    lender: lenderName, 
-                    blockingRule: blockingRule 
-                });
-            } else {
-                qualifiedLenders.push(lender);
-            }
+    displayResults(result, criteria);
+    renderWhatIfPanel(criteria, result);
+}
 
-        } catch (error) {
-            processingErrors.push(`Row ${index + 1}: ${error.message}`);
-            autoDroppedCount++;
-        }
+// Groups qualified lenders by Tier (numeric tiers first, then named, then
+// unspecified), each group sorted by lender name
+function groupLendersByTier(qualified) {
+    const tierGroups = {};
+    qualified.forEach(lender => {
+        const tier = String(lender['Tier'] || 'Unknown').trim();
+        if (!tierGroups[tier]) tierGroups[tier] = [];
+        tierGroups[tier].push(lender);
     });
 
-    if (processingErrors.length > 0 && debugMode) {
-        console.warn('Processing errors:', processingErrors);
-    }
+    const sortedTiers = Object.keys(tierGroups).sort((a, b) => {
+        if (a === 'Unknown') return 1;
+        if (b === 'Unknown') return -1;
+        
+        const aNum = parseInt(a);
+        const bNum = parseInt(b);
+        
+        if (!isNaN(aNum) && !isNaN(bNum)) return aNum - bNum;
+        if (!isNaN(aNum)) return -1;
+        if (!isNaN(bNum)) return 1;
+        
+        return a.localeCompare(b);
+    });
 
-    displayResults(qualifiedLenders, nonQualifiedLenders, autoDroppedCount, processingErrors);
+    return sortedTiers.map(tier => ({
+        tier,
+        label: tier === 'Unknown' ? 'No Tier Specified' : `Tier ${tier}`,
+        lenders: tierGroups[tier].sort((a, b) => String(a['Lender Name']).localeCompare(String(b['Lender Name'])))
+    }));
 }
 
 // Display functions
-function displayResults(qualified, nonQualified, autoDropped, errors = []) {
+function renderLenderWarnings(messages) {
+    if (!messages || messages.length === 0) return '';
+    return messages.map(message => `<div class="lender-warning">⚠️ ${escapeHtml(message)}</div>`).join('');
+}
+
+// Other_Key_Requirements text the engine couldn't interpret
+function renderLenderNotes(notes) {
+    if (!notes || notes.length === 0) return '';
+    return `<div class="lender-note">📝 Manual review: ${escapeHtml(notes.join('; '))}</div>`;
+}
+
+function displayResults(result, criteria) {
+    const { qualified, conditional, nonQualified, needsReview, autoDropped, errors, warnings, notes } = result;
     const resultsDiv = document.getElementById('results');
-    let html = '';
+    let html = renderPrintHeader();
+
+    // Export actions
+    html += `
+        <div class="export-bar no-print">
+            <button type="button" class="secondary-btn" data-export="csv">⬇️ CSV</button>
+            <button type="button" class="secondary-btn" data-export="json">⬇️ JSON</button>
+            <button type="button" class="secondary-btn" data-export="print">🖨️ Print</button>
+            <button type="button" class="secondary-btn" data-export="clipboard">📋 Copy</button>
+            <button type="button" class="secondary-btn primary" data-save-deal>💾 Save Deal</button>
+        </div>
+    `;
 
     // Summary
     html += `
@@ -312,10 +235,22 @@ function displayResults(qualified, nonQualified, autoDropped, errors = []) {
                 <div class="summary-number">${qualified.length}</div>
                 <div class="summary-label">Qualified</div>
             </div>
+            <div class="summary-item">
+                <div class="summary-number">${conditional.length}</div>
+                <div class="summary-label">Conditional</div>
+            </div>
+            <div class="summary-item">
+                <div class="summary-number">${needsReview.length}</div>
+                <div class="summary-label">Needs Review</div>
+            </div>
             <div class="summary-item">
                 <div class="summary-number">${nonQualified.length}</div>
                 <div class="summary-label">Non-Qualified</div>
             </div>
+            <div class="summary-item">
+                <div class="summary-number">${nonQualified.filter(item => item.failures.length === 1).length}</div>
+                <div class="summary-label">Near Misses</div>
+            </div>
             <div class="summary-item">
                 <div class="summary-number">${autoDropped}</div>
                 <div class="summary-label">Auto-Dropped</div>
@@ -328,7 +263,7 @@ function displayResults(qualified, nonQualified, autoDropped, errors = []) {
         html += `
             <div class="debug-info">
                 <strong>Processing Errors:</strong><br>
-                ${errors.join('<br>')}
+                ${errors.map(escapeHtml).join('<br>')}
             </div>
         `;
     }
@@ -338,73 +273,94 @@ function displayResults(qualified, nonQualified, autoDropped, errors = []) {
         html += `
             <div class="results-section">
                 <h3>📋 Results</h3>
-                <p>No qualified lenders found. Please check your criteria or CSV data.</p>
+                <p>${conditional.length > 0
+                    ? 'No lenders qualify outright; see the conditional lenders below.'
+                    : 'No qualified lenders found. Please check your criteria or CSV data.'}</p>
             </div>
         `;
     } else {
-        // Group by tier
-        const tierGroups = {};
-        qualified.forEach(lender => {
-            const tier = String(lender['Tier'] || 'Unknown').trim();
-            if (!tierGroups[tier]) tierGroups[tier] = [];
-            tierGroups[tier].push(lender);
-        });
-
-        // Sort tiers
-        const sortedTiers = Object.keys(tierGroups).sort((a, b) => {
-            if (a === 'Unknown') return 1;
-            if (b === 'Unknown') return -1;
-            
-            const aNum = parseInt(a);
-            const bNum = parseInt(b);
-            
-            if (!isNaN(aNum) && !isNaN(bNum)) return aNum - bNum;
-            if (!isNaN(aNum)) return -1;
-            if (!isNaN(bNum)) return 1;
-            
-            return a.localeCompare(b);
-        });
-
-        html += `<div class="results-section"><h3>✅ Qualified Lenders</h3>`;
-        
-        sortedTiers.forEach(tier => {
-            const tierLabel = tier === 'Unknown' ? 'No Tier Specified' : `Tier ${tier}`;
-            html += `
-                <div class="tier-group">
-                    <div class="tier-title">${tierLabel}</div>
-                    <div class="lender-list">
-            `;
-            
-            tierGroups[tier]
-                .sort((a, b) => String(a['Lender Name']).localeCompare(String(b['Lender Name'])))
-                .forEach(lender => {
-                    const lenderName = String(lender['Lender Name']).trim();
-                    html += `<div class="lender-item">${lenderName}</div>`;
-                });
-            
-            html += `</div></div>`;
-        });
-        
+        html += `
+            <div class="results-section">
+                <h3>✅ Qualified Lenders — Ranked by Fit</h3>
+                <div id="lenderRanking">${renderLenderRanking(qualified, criteria, warnings, notes)}</div>
+            </div>
+        `;
+        html += renderOfferEstimates(qualified, criteria);
+    }
+
+    // Lenders that pass only within a tolerance of the strictness profile
+    if (conditional.length > 0) {
+        html += `
+            <div class="results-section conditional">
+                <h3>🟡 Conditional — Within ${STRICTNESS_PROFILES[result.profile].label} Tolerance</h3>
+        `;
+        conditional
+            .slice()
+            .sort((a, b) => a.lender.localeCompare(b.lender))
+            .forEach(item => {
+                html += `
+                    <div class="conditional-item">
+                        <div class="lender-name">${escapeHtml(item.lender)}</div>
+                        ${item.conditions.map(outcome => `<div class="condition-reason">${escapeHtml(outcome.condition)}</div>`).join('')}
+                        ${renderLenderWarnings(warnings[item.lender])}
+                        ${renderLenderNotes(notes[item.lender])}
+                    </div>
+                `;
+            });
         html += `</div>`;
     }
 
-    // Non-qualified lenders
-    if (nonQualified.length > 0) {
+    // Lenders that pass but list the merchant's industry as case by case
+    if (needsReview.length > 0) {
         html += `
-            <div class="results-section">
-                <h3>❌ Non-Qualified Lenders</h3>
+            <div class="results-section needs-review">
+                <h3>🔍 Needs Review — Case by Case</h3>
         `;
-        
-        nonQualified
+        needsReview
+            .slice()
             .sort((a, b) => a.lender.localeCompare(b.lender))
             .forEach(item => {
                 html += `
-                    <div class="non-qualified-item">
-                        <div class="lender-name">${item.lender}</div>
-                        <div class="blocking-reason">${item.blockingRule}</div>
+                    <div class="review-item">
+                        <div class="lender-name">${escapeHtml(item.lender)}</div>
+                        ${item.reviews.map(review => `<div class="review-reason">${escapeHtml(review.message)}</div>`).join('')}
+                        ${item.conditions.map(outcome => `<div class="condition-reason">${escapeHtml(outcome.condition)}</div>`).join('')}
+                        ${renderLenderWarnings(warnings[item.lender])}
+                        ${renderLenderNotes(notes[item.lender])}
                     </div>
                 `;
             });
+        html += `</div>`;
+    }
+
+    // Non-qualified lenders, with near misses (one failing rule) called out first
+    const nearMisses = nonQualified.filter(item => item.failures.length === 1);
+    const otherNonQualified = nonQualified.filter(item => item.failures.length > 1);
+
+    if (nearMisses.length > 0) {
+        html += `
+            <div class="results-section near-miss">
+                <h3>⚠️ Near Misses — Fails Only 1 Rule</h3>
+        `;
+        nearMisses
+            .sort((a, b) => a.lender.localeCompare(b.lender))
+            .forEach(item => {
+                html += renderNonQualifiedItem(item, warnings[item.lender], notes[item.lender]);
+            });
+        html += `</div>`;
+    }
+
+    if (otherNonQualified.length > 0) {
+        html += `
+            <div class="results-section">
+                <h3>❌ Non-Qualified Lenders</h3>
+        `;
+        
+        otherNonQualified
+            .sort((a, b) => a.failures.length - b.failures.length || a.lender.localeCompare(b.lender))
+            .forEach(item => {
+                html += renderNonQualifiedItem(item, warnings[item.lender], notes[item.lender]);
+            });
         
         html += `</div>`;
     }
@@ -414,16 +370,118 @@ function displayResults(qualified, nonQualified, autoDropped, errors = []) {
     resultsDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+function renderNonQualifiedItem(item, warnings, notes) {
+    const failureCount = item.failures.length;
+    let html = `
+        <div class="non-qualified-item">
+            <div class="lender-name">
+                ${escapeHtml(item.lender)}
+                <span class="failure-count">${failureCount} ${failureCount === 1 ? 'rule' : 'rules'} failed</span>
+            </div>
+    `;
+
+    item.failures.forEach(failure => {
+        html += `
+            <div class="blocking-reason">
+                ${escapeHtml(failure.message)}
+                <span class="merchant-value">Merchant: ${escapeHtml(typeof failure.merchantValue === 'number' ? failure.merchantValue.toLocaleString() : failure.merchantValue)}</span>
+                ${failure.hint ? `<div class="gap-hint">→ ${escapeHtml(failure.hint)}</div>` : ''}
+            </div>
+        `;
+    });
+
+    html += renderLenderWarnings(warnings);
+    html += renderLenderNotes(notes);
+    html += `</div>`;
+    return html;
+}
+
 function displayError(message) {
     const resultsDiv = document.getElementById('results');
     resultsDiv.innerHTML = `
         <div class="results-section">
             <div class="status error">
-                ❌ ${message}
+                ❌ ${escapeHtml(message)}
             </div>
         </div>
     `;
     resultsDiv.style.display = 'block';
+    document.getElementById('whatIfPanel').style.display = 'none';
+}
+
+// Guidelines import
+function completeGuidelinesImport(rows, fileName, note) {
+    const status = document.getElementById('fileStatus');
+
+    try {
+        guidelinesReport = validateGuidelines(rows);
+        renderImportReport(guidelinesReport);
+
+        if (!guidelinesReport.isUsable) {
+            throw new Error('required columns are missing (see import report)');
+        }
+
+        // Only keep rows that have a lender name
+        csvData = rows.filter(row => row['Lender Name'] && String(row['Lender Name']).trim());
+        csvFileName = fileName;
+        csvLoadedAt = new Date();
+        status.innerHTML = `✅ Loaded ${guidelinesReport.loadedCount} lenders successfully` +
+            (guidelinesReport.droppedCount > 0 ? ` (${guidelinesReport.droppedCount} rows dropped)` : '') +
+            (note ? ` — ${escapeHtml(note)} <button type="button" class="link-btn" id="editMappingBtn">Edit mapping</button>` : '');
+        status.className = 'status success';
+        status.style.display = 'block';
+
+        if (note) {
+            document.getElementById('editMappingBtn').addEventListener('click', editGuidelinesMapping);
+        }
+
+        storeImportedGuidelines(fileName, csvData);
+        submitGuidelines(fileName, csvData);
+
+        if (debugMode) {
+            console.log('CSV Headers:', Object.keys(csvData[0] || {}));
+            console.log('Sample row:', csvData[0]);
+        }
+    } catch (error) {
+        status.textContent = `❌ Error loading file: ${error.message}`;
+        status.className = 'status error';
+        status.style.display = 'block';
+        csvData = null;
+    }
+
+    updateProcessButton();
+}
+
+// Merchant criteria
+
+// Optional inputs are null when left blank, so lenders that need them get a warning instead of a decline
+function readOptionalNumber(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return isNaN(value) ? null : value;
+}
+
+function readOptionalAnswer(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : value === 'yes';
+}
+
+function readMerchantCriteria() {
+    return {
+        requestedPosition: parseInt(document.getElementById('position').value),
+        tib: parseInt(document.getElementById('tib').value),
+        monthlyRevenue: parseInt(document.getElementById('revenue').value),
+        fico: parseInt(document.getElementById('fico').value),
+        state: document.getElementById('state').value.trim(),
+        industry: document.getElementById('industry').value.trim(),
+        isSoleProp: document.getElementById('soleProp').checked,
+        depositsPerMonth: readOptionalNumber('depositsPerMonth'),
+        nsfsPerMonth: readOptionalNumber('nsfsPerMonth'),
+        avgDailyBalance: readOptionalNumber('avgDailyBalance'),
+        hasPriorDefault: readOptionalAnswer('priorDefault'),
+        isHomeBased: readOptionalAnswer('homeBased'),
+        positions: readPositions(),
+        bankMetrics: statementAnalysis ? statementAnalysis.metrics : null
+    };
 }
 
 function updateProcessButton() {
@@ -439,6 +497,7 @@ function updateProcessButton() {
     
     const isFormValid = position && tib && revenue && fico && state && industry;
     btn.disabled = !csvData || !isFormValid;
+    refreshAnalyticsDashboard();
 }
 
 // Event listeners
@@ -448,14 +507,17 @@ document.addEventListener('DOMContentLoaded', function() {
         const file = e.target.files[0];
         const status = document.getElementById('fileStatus');
         
+        document.getElementById('importReport').style.display = 'none';
+        closeMappingWizard();
+
         if (!file) {
             csvData = null;
             updateProcessButton();
             return;
         }
         
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            status.textContent = '❌ Please select a CSV file';
+        if (!isSpreadsheetFile(file.name)) {
+            status.textContent = '❌ Please select a CSV or Excel (.xlsx) file';
             status.className = 'status error';
             status.style.display = 'block';
             csvData = null;
@@ -463,38 +525,140 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
         
+        csvData = null;
+        status.style.display = 'none';
+        updateProcessButton();
+
+        readFileBytes(file)
+            .then(bytes => parseSpreadsheet(file.name, bytes))
+            .then(rows => startGuidelinesImport(rows, file.name))
+            .catch(error => {
+                status.textContent = `❌ Error loading file: ${error.message}`;
+                status.className = 'status error';
+                status.style.display = 'block';
+                csvData = null;
+                updateProcessButton();
+            });
+    });
+
+    // Industry picker
+    const industryOptions = document.getElementById('industryOptions');
+    INDUSTRY_TAXONOMY.forEach(industry => {
+        const option = document.createElement('option');
+        option.value = industry.name;
+        if (industry.naics.length > 0) option.label = `NAICS ${industry.naics[0]}`;
+        industryOptions.appendChild(option);
+    });
+
+    document.getElementById('industry').addEventListener('input', function(e) {
+        const hint = document.getElementById('industryMatch');
+        const ids = resolveIndustries(e.target.value);
+
+        if (!e.target.value.trim()) {
+            hint.textContent = '';
+        } else if (ids.length === 0) {
+            hint.textContent = 'Not in the industry list; lenders will be matched by keyword';
+        } else {
+            hint.textContent = 'Matched: ' + ids.map(id =>
+                [formatIndustry(id)].concat(getIndustryAncestors(id).map(parent => industryById[parent].name)).join(' › ')
+            ).join('; ');
+        }
+    });
+
+    // Lender rules file handling
+    document.getElementById('rulesFile').addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        const status = document.getElementById('rulesStatus');
+
+        if (!file) return;
+
+        // Validated here first, then saved on the server as the rules everyone uses
         const reader = new FileReader();
         reader.onload = function(e) {
+            let config;
             try {
-                csvData = parseCSV(e.target.result);
-                status.textContent = `✅ Loaded ${csvData.length} lenders successfully`;
-                status.className = 'status success';
-                status.style.display = 'block';
-                
-                if (debugMode) {
-                    console.log('CSV Headers:', Object.keys(csvData[0] || {}));
-                    console.log('Sample row:', csvData[0]);
-                }
-                
-                updateProcessButton();
+                config = JSON.parse(e.target.result);
+                loadLenderRules(config);
             } catch (error) {
-                status.textContent = `❌ Error loading file: ${error.message}`;
+                status.textContent = `❌ Error loading rules: ${error.message} (rules unchanged)`;
                 status.className = 'status error';
                 status.style.display = 'block';
-                csvData = null;
-                updateProcessButton();
+                return;
             }
-        };
-        reader.onerror = function() {
-            status.textContent = '❌ Error reading file';
-            status.className = 'status error';
-            status.style.display = 'block';
-            csvData = null;
-            updateProcessButton();
+
+            saveServerRules(config)
+                .then(() => loadServerRules())
+                .then(() => {
+                    status.textContent = `✅ Saved ${lenderRules.length} lender rules from ${file.name}; they now apply to every user`;
+                    status.className = 'status success';
+                })
+                .catch(error => {
+                    status.textContent = `❌ Rules not saved: ${error.message} (rules unchanged)`;
+                    status.className = 'status error';
+                })
+                .then(() => {
+                    status.style.display = 'block';
+                });
         };
         reader.readAsText(file);
+        e.target.value = ''; // Allow re-uploading the same file
+    });
+
+    // Result exports, ranking sort, scoring weights and saving deals
+    document.getElementById('results').addEventListener('click', function(e) {
+        const button = e.target.closest('[data-export]');
+        if (button) exportLastRun(button.dataset.export, button);
+
+        const sortHeader = e.target.closest('[data-sort]');
+        if (sortHeader) sortLenderRanking(sortHeader.dataset.sort);
+
+        if (e.target.closest('[data-reset-weights]')) resetScoringWeights();
+
+        const saveButton = e.target.closest('[data-save-deal]');
+        if (saveButton) saveCurrentDeal(saveButton);
+    });
+
+    document.getElementById('results').addEventListener('change', function(e) {
+        if (e.target.dataset.weight) updateScoringWeight(e.target.dataset.weight, e.target.value);
+    });
+
+    // Batch merchants file handling
+    document.getElementById('merchantsFile').addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) handleMerchantsFile(file);
+        e.target.value = ''; // Allow re-uploading the same file
+    });
+
+    // Bank statements
+    document.getElementById('statementsFile').addEventListener('change', function(e) {
+        const files = Array.from(e.target.files);
+        if (files.length > 0) handleStatementFiles(files);
+        e.target.value = ''; // Allow re-uploading the same files
     });
 
+    // Existing positions
+    document.getElementById('addPositionBtn').addEventListener('click', function() {
+        addPositionRow();
+    });
+
+    document.getElementById('positionsList').addEventListener('click', function(e) {
+        if (!e.target.closest('.remove-position')) return;
+        e.target.closest('.position-row').remove();
+        updateDerivedPosition();
+        updateProcessButton();
+    });
+
+    document.getElementById('positionsList').addEventListener('input', updateDerivedPosition);
+
+    // Saved deals
+    document.getElementById('dealsList').addEventListener('click', function(e) {
+        const button = e.target.closest('[data-deal-action]');
+        if (button) handleDealAction(button.dataset.dealAction, Number(button.dataset.dealId));
+    });
+
+    document.getElementById('dealSearch').addEventListener('input', renderDealsList);
+    document.getElementById('newDealBtn').addEventListener('click', startNewDeal);
+
     // Form validation
     document.getElementById('merchantForm').addEventListener('input', updateProcessButton);
     document.getElementById('merchantForm').addEventListener('change', updateProcessButton);
@@ -502,29 +666,8 @@ document.addEventListener('DOMContentLoaded', function() {
     // Process button
     document.getElementById('processBtn').addEventListener('click', function() {
         try {
-            const merchantCriteria = {
-                requestedPosition: parseInt(document.getElementById('position').value),
-                tib: parseInt(document.getElementById('tib').value),
-                monthlyRevenue: parseInt(document.getElementById('revenue').value),
-                fico: parseInt(document.getElementById('fico').value),
-                state: document.getElementById('state').value.trim(),
-                industry: document.getElementById('industry').value.trim(),
-                isSoleProp: document.getElementById('soleProp').checked
-            };
-
-            // Validate inputs
-            if (isNaN(merchantCriteria.requestedPosition) || merchantCriteria.requestedPosition < 1 || merchantCriteria.requestedPosition > 10) {
-                throw new Error('Invalid position selected');
-            }
-            if (isNaN(merchantCriteria.tib) || merchantCriteria.tib < 0) {
-                throw new Error('Invalid time in business');
-            }
-            if (isNaN(merchantCriteria.monthlyRevenue) || merchantCriteria.monthlyRevenue < 0) {
-                throw new Error('Invalid monthly revenue');
-            }
-            if (isNaN(merchantCriteria.fico) || merchantCriteria.fico < 300 || merchantCriteria.fico > 850) {
-                throw new Error('Invalid FICO score (must be 300-850)');
-            }
+            const merchantCriteria = readMerchantCriteria();
+            validateMerchantCriteria(merchantCriteria);
 
             processLenders(merchantCriteria);
         } catch (error) {
@@ -532,6 +675,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    document.getElementById('analyticsBtn').addEventListener('click', renderAnalyticsDashboard);
+
     // Input validation styling
     document.getElementById('fico').addEventListener('input', function(e) {
         const value = parseInt(e.target.value);
@@ -561,5 +706,9 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     // Initialize
+    initStrictnessProfiles();
     updateProcessButton();
+    initSession();
+    initGuidelinesLibrary();
+    initDeals();
 });
\ No newline at end of file
@@ -0,0 +1,351 @@
+// Bank statement analyzer
+//
+// Reads bank statement transaction CSVs (date, description, amount or
+// debit/credit columns, running balance) and derives the figures reps used to
+// work out by hand: average monthly deposits, true revenue (deposits minus
+// own-account transfers, loan proceeds and reversals; see engine/deposits.js),
+// average daily balance, NSF and negative-balance days, and existing MCA
+// debits detected as recurring same-amount payments. The metrics prefill the
+// merchant form and are passed to processLenders as criteria.bankMetrics for
+// the Max_NSFs, Min_Avg_Daily_Balance and Max_Negative_Days rules and the
+// deposit, NSF and balance requirements parsed from Other_Key_Requirements.
+
+const STATEMENT_COLUMN_ALIASES = {
+    date: ['date', 'postingdate', 'posteddate', 'transactiondate', 'postdate', 'effectivedate'],
+    description: ['description', 'memo', 'details', 'payee', 'transactiondescription', 'narrative'],
+    amount: ['amount', 'transactionamount', 'netamount'],
+    debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'withdrawalamount', 'debitamount'],
+    credit: ['credit', 'credits', 'deposit', 'deposits', 'depositamount', 'creditamount'],
+    balance: ['balance', 'runningbalance', 'endingbalance', 'ledgerbalance', 'availablebalance']
+};
+
+const NSF_PATTERN = /\b(nsf|insufficient funds?|returned item|overdraft(?: item)? fee|od fee|non-?sufficient)\b/i;
+
+// Recurring debit detection: at least this many same-amount payments with a
+// regular gap (in days) between them
+const RECURRING_DEBIT_RULES = {
+    daily: { minCount: 8, maxMedianGap: 3 },
+    weekly: { minCount: 3, minMedianGap: 6, maxMedianGap: 8 }
+};
+const RECURRING_AMOUNT_TOLERANCE = 0.01;
+const ACTIVE_DEBIT_DAYS = 10; // Last payment within this many days of the statement end
+// Statements that start or end this close to a month boundary cover the whole
+// month; transactions rarely land on the 1st or the last day
+const PARTIAL_MONTH_GRACE_DAYS = 3;
+
+let statementAnalysis = null;
+
+function findStatementColumns(headers) {
+    const columns = {};
+    Object.keys(STATEMENT_COLUMN_ALIASES).forEach(field => {
+        columns[field] = headers.find(header =>
+            STATEMENT_COLUMN_ALIASES[field].includes(compactHeader(header))
+        );
+    });
+    return columns;
+}
+
+// "$1,234.56", "(45.00)" and "-45" style amounts; null when blank
+function parseStatementAmount(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /\bDR\b/i.test(text);
+    const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (isNaN(number)) return null;
+    return negative ? -number : number;
+}
+
+// ISO or US (M/D/YYYY, M/D/YY) dates as a local-midnight Date, or null
+function parseStatementDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    match = text.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return new Date(year, Number(match[1]) - 1, Number(match[2]));
+    }
+    return null;
+}
+
+function parseStatementRows(rows) {
+    const columns = findStatementColumns(Object.keys(rows[0] || {}));
+    if (!columns.date) throw new Error('Statement is missing a date column');
+    if (!columns.amount && !columns.debit && !columns.credit) {
+        throw new Error('Statement is missing an amount (or debit/credit) column');
+    }
+
+    const transactions = [];
+    rows.forEach((row, index) => {
+        const date = parseStatementDate(row[columns.date]);
+        let amount = columns.amount ? parseStatementAmount(row[columns.amount]) : null;
+        if (amount === null) {
+            const credit = columns.credit ? parseStatementAmount(row[columns.credit]) : null;
+            const debit = columns.debit ? parseStatementAmount(row[columns.debit]) : null;
+            if (credit) amount = Math.abs(credit);
+            else if (debit) amount = -Math.abs(debit);
+        }
+        if (!date || amount === null) return; // Headers repeated mid-file, totals, blank lines
+
+        transactions.push({
+            rowNumber: index + 2,
+            date,
+            description: columns.description ? String(row[columns.description]).trim() : '',
+            amount,
+            balance: columns.balance ? parseStatementAmount(row[columns.balance]) : null
+        });
+    });
+
+    if (transactions.length === 0) throw new Error('No transactions with a date and amount were found');
+    return transactions;
+}
+
+function dayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function monthKey(date) {
+    return dayKey(date).slice(0, 7);
+}
+
+function daysBetween(a, b) {
+    return Math.round((b - a) / (24 * 60 * 60 * 1000));
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// End-of-day balances for every calendar day in the statement, carrying the
+// last known balance over days without transactions
+function getDailyBalances(transactions) {
+    const withBalance = transactions.filter(transaction => transaction.balance !== null);
+    if (withBalance.length === 0) return [];
+
+    const endOfDay = {};
+    withBalance.forEach(transaction => { endOfDay[dayKey(transaction.date)] = transaction.balance; });
+
+    const balances = [];
+    const last = withBalance[withBalance.length - 1].date;
+    let current = null;
+    for (let day = new Date(withBalance[0].date); day <= last; day.setDate(day.getDate() + 1)) {
+        const key = dayKey(day);
+        if (endOfDay[key] !== undefined) current = endOfDay[key];
+        balances.push({ day: key, balance: current });
+    }
+    return balances;
+}
+
+function normalizeDebitDescription(description) {
+    return description.toLowerCase()
+        .replace(/[0-9#*]+/g, ' ')
+        .replace(/\b(ach|debit|pmt|payment|web|ccd|ppd|id|ref|co|entry|descr)\b/g, ' ')
+        .replace(/[^a-z ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Same payee and amount debited on a daily or weekly rhythm
+function detectRecurringDebits(transactions, statementEnd) {
+    const groups = {};
+    transactions.filter(transaction => transaction.amount < 0).forEach(transaction => {
+        const payee = normalizeDebitDescription(transaction.description);
+        if (!payee) return;
+        const amount = Math.abs(transaction.amount);
+        const group = (groups[payee] = groups[payee] || []).find(existing =>
+            Math.abs(existing.amount - amount) <= existing.amount * RECURRING_AMOUNT_TOLERANCE);
+
+        if (group) {
+            group.transactions.push(transaction);
+        } else {
+            groups[payee].push({ payee, amount, transactions: [transaction] });
+        }
+    });
+
+    const debits = [];
+    Object.keys(groups).forEach(payee => groups[payee].forEach(group => {
+        const dates = group.transactions.map(transaction => transaction.date).sort((a, b) => a - b);
+        if (dates.length < 2) return;
+
+        const gap = median(dates.slice(1).map((date, index) => daysBetween(dates[index], date)));
+        const frequency = Object.keys(RECURRING_DEBIT_RULES).find(name => {
+            const rule = RECURRING_DEBIT_RULES[name];
+            return dates.length >= rule.minCount && gap <= rule.maxMedianGap && gap >= (rule.minMedianGap || 0);
+        });
+        if (!frequency) return;
+
+        const lastDate = dates[dates.length - 1];
+        debits.push({
+            funder: group.transactions[0].description,
+            payee,
+            payment: Math.round(group.amount * 100) / 100,
+            frequency,
+            count: dates.length,
+            firstDate: dayKey(dates[0]),
+            lastDate: dayKey(lastDate),
+            active: daysBetween(lastDate, statementEnd) <= ACTIVE_DEBIT_DAYS
+        });
+    }));
+
+    return debits.sort((a, b) => b.payment - a.payment);
+}
+
+// Share of a month ("2024-03") the statements from start to end cover
+function getMonthCoverage(month, start, end) {
+    const [year, index] = month.split('-').map(Number);
+    const first = new Date(year, index - 1, 1);
+    const last = new Date(year, index, 0);
+    const from = daysBetween(first, start) > PARTIAL_MONTH_GRACE_DAYS ? start : first;
+    const to = daysBetween(end, last) > PARTIAL_MONTH_GRACE_DAYS ? end : last;
+    return (daysBetween(from, to) + 1) / last.getDate();
+}
+
+function analyzeStatements(transactions) {
+    const sorted = transactions.slice().sort((a, b) => a.date - b.date || a.rowNumber - b.rowNumber);
+    const start = sorted[0].date;
+    const end = sorted[sorted.length - 1].date;
+    const months = Array.from(new Set(sorted.map(transaction => monthKey(transaction.date)))).sort();
+
+    const byMonth = {};
+    months.forEach(month => {
+        byMonth[month] = { month, coverage: getMonthCoverage(month, start, end), deposits: 0, revenue: 0, revenueDeposits: 0, nsfs: 0 };
+    });
+
+    sorted.forEach(transaction => {
+        const month = byMonth[monthKey(transaction.date)];
+        if (transaction.amount > 0) {
+            month.deposits += transaction.amount;
+            if (isRevenueDeposit(transaction.description)) {
+                month.revenue += transaction.amount;
+                month.revenueDeposits++;
+            }
+        }
+        if (NSF_PATTERN.test(transaction.description)) month.nsfs++;
+    });
+
+    const monthly = months.map(month => byMonth[month]);
+    const dailyBalances = getDailyBalances(sorted).filter(entry => entry.balance !== null);
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    const average = values => values.length > 0 ? sum(values) / values.length : null;
+
+    // Monthly figures come from the full months; a partial first or last month
+    // would understate them. Statements shorter than a full month are scaled up
+    // from the days they cover.
+    const fullMonths = monthly.filter(month => month.coverage === 1);
+    const perMonth = field => Math.round(fullMonths.length > 0
+        ? average(fullMonths.map(month => month[field]))
+        : sum(monthly.map(month => month[field])) / sum(monthly.map(month => month.coverage)));
+
+    return {
+        start: dayKey(start),
+        end: dayKey(end),
+        transactionCount: sorted.length,
+        monthly,
+        metrics: {
+            months: Math.round(sum(monthly.map(month => month.coverage)) * 10) / 10,
+            avgMonthlyDeposits: perMonth('deposits'),
+            trueMonthlyRevenue: perMonth('revenue'),
+            avgMonthlyDepositCount: perMonth('revenueDeposits'),
+            avgDailyBalance: dailyBalances.length > 0 ? Math.round(average(dailyBalances.map(entry => entry.balance))) : null,
+            nsfCount: sum(monthly.map(month => month.nsfs)),
+            maxMonthlyNsfs: Math.max(...monthly.map(month => month.nsfs)),
+            negativeDays: dailyBalances.length > 0 ? dailyBalances.filter(entry => entry.balance < 0).length : null
+        },
+        recurringDebits: detectRecurringDebits(sorted, end)
+    };
+}
+
+function describeBankMetrics(metrics) {
+    if (!metrics) return 'Not imported';
+    return [
+        `${metrics.months} ${metrics.months === 1 ? 'month' : 'months'}`,
+        `revenue $${metrics.trueMonthlyRevenue.toLocaleString()}/mo`,
+        metrics.avgDailyBalance !== null ? `ADB $${metrics.avgDailyBalance.toLocaleString()}` : null,
+        `${metrics.nsfCount} NSFs`,
+        metrics.negativeDays !== null ? `${metrics.negativeDays} negative days` : null
+    ].filter(Boolean).join(', ');
+}
+
+function renderStatementSummary(analysis, fileNames) {
+    const container = document.getElementById('statementSummary');
+    const { metrics } = analysis;
+    const money = amount => amount === null ? '—' : `$${amount.toLocaleString()}`;
+    const active = analysis.recurringDebits.filter(debit => debit.active);
+
+    container.innerHTML = `
+        <div class="statement-summary">
+            <div class="statement-meta">${escapeHtml(fileNames.join(', '))} · ${analysis.start} to ${analysis.end} · ${analysis.transactionCount} transactions</div>
+            <div class="statement-metrics">
+                <div><span>Avg Monthly Deposits</span><strong>${money(metrics.avgMonthlyDeposits)}</strong></div>
+                <div><span>Deposits / Month</span><strong>${metrics.avgMonthlyDepositCount === undefined ? '—' : metrics.avgMonthlyDepositCount}</strong></div>
+                <div><span>True Monthly Revenue</span><strong>${money(metrics.trueMonthlyRevenue)}</strong></div>
+                <div><span>Avg Daily Balance</span><strong>${money(metrics.avgDailyBalance)}</strong></div>
+                <div><span>NSFs</span><strong>${metrics.nsfCount}</strong></div>
+                <div><span>Negative Days</span><strong>${metrics.negativeDays === null ? '—' : metrics.negativeDays}</strong></div>
+            </div>
+            ${active.length > 0 ? `
+                <div class="statement-debits">
+                    <strong>Detected MCA debits (added to Existing Positions):</strong>
+                    <ul>
+                        ${active.map(debit => `<li>${escapeHtml(debit.funder)} — $${debit.payment.toLocaleString()} ${debit.frequency} (${debit.count} payments since ${debit.firstDate})</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            <button type="button" class="link-btn" id="clearStatementsBtn">Clear statements</button>
+        </div>
+    `;
+    container.style.display = 'block';
+    document.getElementById('clearStatementsBtn').addEventListener('click', clearStatementAnalysis);
+}
+
+// Fills revenue and existing positions from the analysis
+function prefillFromStatements(analysis) {
+    document.getElementById('revenue').value = analysis.metrics.trueMonthlyRevenue;
+
+    const listed = readPositions().map(position => normalizeDebitDescription(position.funder));
+    analysis.recurringDebits
+        .filter(debit => debit.active && !listed.includes(debit.payee))
+        .forEach(debit => addPositionRow({ funder: debit.funder, payment: debit.payment, frequency: debit.frequency }));
+
+    updateDerivedPosition();
+    updateProcessButton();
+}
+
+function clearStatementAnalysis() {
+    statementAnalysis = null;
+    const container = document.getElementById('statementSummary');
+    container.innerHTML = '';
+    container.style.display = 'none';
+    document.getElementById('statementStatus').style.display = 'none';
+}
+
+function handleStatementFiles(files) {
+    const status = document.getElementById('statementStatus');
+    const fileNames = files.map(file => file.name);
+
+    Promise.all(files.map(file => readFileBytes(file).then(bytes => {
+        try {
+            return parseStatementRows(parseCSVRows(decodeText(bytes)));
+        } catch (error) {
+            throw new Error(`${file.name}: ${error.message}`);
+        }
+    })))
+        .then(results => {
+            statementAnalysis = analyzeStatements([].concat(...results));
+            renderStatementSummary(statementAnalysis, fileNames);
+            prefillFromStatements(statementAnalysis);
+            status.textContent = `✅ Analyzed ${statementAnalysis.transactionCount} transactions; revenue and positions prefilled`;
+            status.className = 'status success';
+        })
+        .catch(error => {
+            statementAnalysis = null;
+            status.textContent = `❌ ${error.message}`;
+            status.className = 'status error';
+        })
+        .then(() => { status.style.display = 'block'; });
+}
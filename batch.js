@@ -0,0 +1,172 @@
+// Batch qualification
+//
+// Qualifies every merchant in an uploaded merchants CSV against the loaded
+// guidelines and renders a merchant × lender matrix that can be downloaded.
+
+let batchRun = null;
+
+function runBatchQualification(merchantRows) {
+    const lenderNames = new Set();
+    const merchants = readMerchantRows(merchantRows).map(merchant => {
+        if (merchant.error) return merchant;
+
+        const result = qualifyLenders(csvData, merchant.criteria);
+        result.qualified.forEach(lender => lenderNames.add(String(lender['Lender Name']).trim()));
+        result.conditional.forEach(item => lenderNames.add(item.lender));
+        result.needsReview.forEach(item => lenderNames.add(item.lender));
+        result.nonQualified.forEach(item => lenderNames.add(item.lender));
+        return Object.assign(merchant, { result });
+    });
+
+    return { merchants, lenderNames: Array.from(lenderNames).sort() };
+}
+
+// Status of one lender for one merchant: qualified, or the conditions,
+// review reasons or failing reasons
+function getBatchCell(merchant, lenderName) {
+    if (!merchant.result) return null;
+    if (merchant.result.qualified.some(lender => String(lender['Lender Name']).trim() === lenderName)) {
+        return { qualified: true, reasons: [] };
+    }
+    const conditional = merchant.result.conditional.find(entry => entry.lender === lenderName);
+    if (conditional) {
+        return { qualified: false, conditional: true, reasons: conditional.conditions.map(outcome => outcome.condition) };
+    }
+    const review = merchant.result.needsReview.find(entry => entry.lender === lenderName);
+    if (review) {
+        return { qualified: false, review: true, reasons: review.reviews.map(outcome => outcome.message) };
+    }
+    const item = merchant.result.nonQualified.find(entry => entry.lender === lenderName);
+    return { qualified: false, reasons: item ? item.failures.map(failure => failure.message) : ['Auto-dropped'] };
+}
+
+function renderBatchResults(run) {
+    const container = document.getElementById('batchResults');
+    const validMerchants = run.merchants.filter(merchant => !merchant.error);
+    const errors = run.merchants.filter(merchant => merchant.error);
+
+    let html = `
+        <div class="results-section">
+            <h3>📦 Batch Qualification</h3>
+            <div class="summary">
+                <div class="summary-item">
+                    <div class="summary-number">${run.merchants.length}</div>
+                    <div class="summary-label">Merchants</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-number">${validMerchants.filter(merchant => merchant.result.qualified.length > 0).length}</div>
+                    <div class="summary-label">With Qualified Lenders</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-number">${errors.length}</div>
+                    <div class="summary-label">Invalid Rows</div>
+                </div>
+            </div>
+    `;
+
+    if (errors.length > 0) {
+        html += `
+            <div class="status error batch-errors">
+                ${errors.map(merchant => escapeHtml(merchant.error)).join('<br>')}
+            </div>
+        `;
+    }
+
+    html += `
+            <button type="button" class="secondary-btn" id="batchDownloadBtn">⬇️ Download Matrix CSV</button>
+            <div class="matrix-wrapper">
+                <table class="matrix">
+                    <thead>
+                        <tr>
+                            <th>Merchant</th>
+                            <th>Qualified</th>
+                            ${run.lenderNames.map(name => `<th class="lender-column"><span>${escapeHtml(name)}</span></th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+    `;
+
+    validMerchants.forEach(merchant => {
+        html += `
+            <tr>
+                <td class="merchant-cell">${escapeHtml(merchant.name)}</td>
+                <td class="count-cell">${merchant.result.qualified.length}</td>
+                ${run.lenderNames.map(lenderName => {
+                    const cell = getBatchCell(merchant, lenderName);
+                    const title = escapeHtml(cell.reasons.join('; '));
+                    if (cell.qualified) return `<td class="cell-qualified" title="Qualified">✓</td>`;
+                    if (cell.conditional) return `<td class="cell-conditional" title="${title}">~</td>`;
+                    if (cell.review) return `<td class="cell-review" title="${title}">?</td>`;
+                    return `<td class="cell-declined" title="${title}">✗</td>`;
+                }).join('')}
+            </tr>
+        `;
+    });
+
+    html += `
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    container.innerHTML = html;
+    container.style.display = 'block';
+    document.getElementById('batchDownloadBtn').addEventListener('click', downloadBatchResults);
+}
+
+function downloadBatchResults() {
+    if (!batchRun) return;
+
+    const rows = [['Row', 'Merchant', 'Position', 'TIB', 'Revenue', 'FICO', 'State', 'Industry', 'Sole Prop',
+        'Qualified Count', 'Error'].concat(batchRun.lenderNames)];
+
+    batchRun.merchants.forEach(merchant => {
+        const criteria = merchant.criteria;
+        rows.push([
+            merchant.rowNumber, merchant.name, criteria.requestedPosition, criteria.tib,
+            criteria.monthlyRevenue, criteria.fico, criteria.state, criteria.industry,
+            criteria.isSoleProp ? 'Yes' : 'No',
+            merchant.result ? merchant.result.qualified.length : '',
+            merchant.error || ''
+        ].concat(batchRun.lenderNames.map(lenderName => {
+            const cell = getBatchCell(merchant, lenderName);
+            if (!cell) return '';
+            if (cell.qualified) return 'Qualified';
+            return (cell.conditional ? 'Conditional: ' : cell.review ? 'Needs Review: ' : '') + cell.reasons.join('; ');
+        })));
+    });
+
+    downloadFile('batch-qualification.csv', toCSV(rows), 'text/csv');
+}
+
+function handleMerchantsFile(file) {
+    const status = document.getElementById('batchStatus');
+    const showStatus = (message, type) => {
+        status.textContent = message;
+        status.className = `status ${type}`;
+        status.style.display = 'block';
+    };
+
+    if (!csvData || csvData.length === 0) {
+        showStatus('❌ Upload the lender guidelines CSV before running a batch', 'error');
+        return;
+    }
+
+    readFileBytes(file)
+        .then(bytes => parseSpreadsheet(file.name, bytes))
+        .then(rows => {
+            batchRun = runBatchQualification(rows);
+            recordQualifications(batchRun.merchants.filter(merchant => !merchant.error).map(merchant =>
+                ({ merchant: merchant.name, criteria: merchant.criteria, result: merchant.result })), file.name);
+            const errorCount = batchRun.merchants.filter(merchant => merchant.error).length;
+            showStatus(`✅ Qualified ${batchRun.merchants.length - errorCount} merchants` +
+                (errorCount > 0 ? ` (${errorCount} rows with errors)` : ''), errorCount > 0 ? 'error' : 'success');
+            renderBatchResults(batchRun);
+        })
+        .catch(error => {
+            batchRun = null;
+            showStatus(`❌ Error loading merchants: ${error.message}`, 'error');
+            document.getElementById('batchResults').style.display = 'none';
+        });
+}
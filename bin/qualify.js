@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// Command-line qualifier
+//
+// Runs merchants against a guidelines CSV with the same engine as the web
+// page, for scripts and cron jobs:
+//   lender-qualify guidelines.csv --position 2 --tib 36 --revenue 40000 \
+//       --fico 620 --state TX --industry trucking --sole-prop
+//   lender-qualify guidelines.csv --merchants merchants.csv --format csv
+//   lender-qualify guidelines.csv --merchants merchants.csv --profile strict
+// Lender rules are the ones an admin saved on the server (DATA_DIR or
+// --data-dir), so results match the page; --rules runs with a rules file
+// instead, and the built-in rules apply when none have been saved.
+// Exit codes: 0 success, 1 guideline validation errors (missing columns or
+// rows dropped for invalid values), 2 bad arguments or merchant input.
+
+import { existsSync, readFileSync, realpathSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    DEFAULT_LENDER_RULES,
+    loadLenderRules,
+    parseSpreadsheet,
+    toCSV,
+    validateGuidelines,
+    validateGuidelineRow,
+    getNonLenderReason,
+    validateMerchantCriteria,
+    readMerchantRows,
+    qualify,
+    getStrictnessProfile,
+    resolveStrictnessProfiles,
+    STRICTNESS_PROFILES,
+    ordinal
+} from '../engine/index.js';
+
+const USAGE = `Usage: lender-qualify <guidelines.csv|.xlsx> [merchant flags | --merchants <file>] [options]
+
+Merchant flags:
+  --position <n>      Requested position (1-10)
+  --tib <months>      Time in business
+  --revenue <amount>  Monthly revenue
+  --fico <score>      FICO score
+  --state <state>     State name or abbreviation
+  --industry <text>   Industry
+  --sole-prop         Merchant is a sole proprietorship
+  --deposits <n>      Deposits per month
+  --nsfs <n>          NSFs per month
+  --adb <amount>      Average daily balance
+  --prior-default <yes|no>
+                      Merchant has defaulted on an advance before
+  --home-based <yes|no>
+                      Business is run from home
+  --name <text>       Merchant name for the output
+
+Options:
+  --merchants <file>  Merchants CSV or .xlsx to qualify instead of the flags
+  --rules <file>      Lender rules JSON (defaults to the rules saved on the server)
+  --data-dir <dir>    Server data directory (default $DATA_DIR or ./data)
+  --profile <name>    Strictness profile: ${Object.keys(STRICTNESS_PROFILES).join(', ')} (default standard)
+  --profiles <file>   Strictness settings JSON replacing profile defaults, e.g.
+                      {"aggressive": {"fico": 40, "revenuePct": 15, "tibMonths": 3}}
+  --sheet <name>      Guidelines workbook sheet (defaults to the first)
+  --format <format>   table (default), json or csv
+  -h, --help          Show this help`;
+
+const FORMATS = ['table', 'json', 'csv'];
+const DEFAULT_DATA_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+class UsageError extends Error {}
+
+function readFile(path, encoding) {
+    try {
+        return readFileSync(path, encoding);
+    } catch (error) {
+        throw new UsageError(`Can't read ${path}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+}
+
+function parseCommandLine(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                position: { type: 'string' },
+                tib: { type: 'string' },
+                revenue: { type: 'string' },
+                fico: { type: 'string' },
+                state: { type: 'string' },
+                industry: { type: 'string' },
+                'sole-prop': { type: 'boolean', default: false },
+                deposits: { type: 'string' },
+                nsfs: { type: 'string' },
+                adb: { type: 'string' },
+                'prior-default': { type: 'string' },
+                'home-based': { type: 'string' },
+                name: { type: 'string' },
+                merchants: { type: 'string' },
+                rules: { type: 'string' },
+                'data-dir': { type: 'string' },
+                profile: { type: 'string', default: 'standard' },
+                profiles: { type: 'string' },
+                sheet: { type: 'string' },
+                format: { type: 'string', default: 'table' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// CSV or .xlsx rows, parsed the way the page parses uploads
+function readSpreadsheetFile(path, options) {
+    return parseSpreadsheet(path, readFile(path), options);
+}
+
+// Guidelines rows as the page loads them, plus the validation problems that fail the run
+function loadGuidelines(path, sheet) {
+    return readSpreadsheetFile(path, { sheet }).then(rows => describeGuidelines(rows), error => {
+        if (error instanceof UsageError) throw error;
+        return { lenders: [], report: { isUsable: false }, errors: [error.message] };
+    });
+}
+
+function describeGuidelines(rows) {
+    const report = validateGuidelines(rows);
+    const errors = report.headers.missing.map(item =>
+        `Missing required column ${item.column}${item.suggestion ? ` (found "${item.suggestion}" — misspelled?)` : ''}`);
+
+    // Blank and total rows are skipped quietly, as on the page
+    rows.forEach((row, index) => {
+        if (getNonLenderReason(row)) return;
+        validateGuidelineRow(row).errors.forEach(error => {
+            errors.push(`Row ${index + 2} (${String(row['Lender Name']).trim()}): ${error}`);
+        });
+    });
+
+    return {
+        lenders: rows.filter(row => row['Lender Name'] && String(row['Lender Name']).trim()),
+        report,
+        errors
+    };
+}
+
+// The rules file if one is given, else the server's saved rules. Read
+// directly rather than through the server's store, which would create the
+// data directory.
+function loadRules(path, dataDir) {
+    const savedPath = join(dataDir, 'rules.json');
+    if (!path && !existsSync(savedPath)) return DEFAULT_LENDER_RULES;
+
+    const source = path || savedPath;
+    try {
+        const json = JSON.parse(readFile(source, 'utf8'));
+        if (path) return loadLenderRules(json);
+        // Saved as { config, updatedBy, updatedAt }; a null config restores the defaults
+        return json.config === null ? DEFAULT_LENDER_RULES : loadLenderRules(json.config);
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        throw new UsageError(`Invalid rules file ${source}: ${error.message}`);
+    }
+}
+
+function loadProfile(name, settingsPath) {
+    let profiles = STRICTNESS_PROFILES;
+    if (settingsPath) {
+        try {
+            profiles = resolveStrictnessProfiles(JSON.parse(readFile(settingsPath, 'utf8')));
+        } catch (error) {
+            if (error instanceof UsageError) throw error;
+            throw new UsageError(`Invalid strictness settings ${settingsPath}: ${error.message}`);
+        }
+    }
+
+    try {
+        return getStrictnessProfile(name, profiles);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// Optional merchant flags are null when left out, like blank cells in a
+// merchants file, so requirements on them stay unchecked rather than failing
+function readOptionalNumber(values, flag) {
+    if (values[flag] === undefined) return null;
+    const value = parseFloat(String(values[flag]).replace(/[$,]/g, ''));
+    if (isNaN(value) || value < 0) throw new UsageError(`--${flag} must be a number`);
+    return value;
+}
+
+function readOptionalAnswer(values, flag) {
+    if (values[flag] === undefined) return null;
+    const answer = String(values[flag]).trim().toLowerCase();
+    if (['yes', 'y', 'true'].includes(answer)) return true;
+    if (['no', 'n', 'false'].includes(answer)) return false;
+    throw new UsageError(`--${flag} must be yes or no`);
+}
+
+function readMerchantFlags(values) {
+    const criteria = {
+        requestedPosition: parseInt(values.position),
+        tib: parseInt(values.tib),
+        monthlyRevenue: parseInt(values.revenue),
+        fico: parseInt(values.fico),
+        state: String(values.state || '').trim(),
+        industry: String(values.industry || '').trim(),
+        isSoleProp: values['sole-prop'],
+        depositsPerMonth: readOptionalNumber(values, 'deposits'),
+        nsfsPerMonth: readOptionalNumber(values, 'nsfs'),
+        avgDailyBalance: readOptionalNumber(values, 'adb'),
+        hasPriorDefault: readOptionalAnswer(values, 'prior-default'),
+        isHomeBased: readOptionalAnswer(values, 'home-based')
+    };
+
+    try {
+        validateMerchantCriteria(criteria);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    return [{ rowNumber: null, name: values.name || 'Merchant', criteria, error: null }];
+}
+
+function readMerchantsFile(path) {
+    return Promise.resolve()
+        .then(() => readSpreadsheetFile(path))
+        .then(readMerchantRows)
+        .catch(error => {
+            if (error instanceof UsageError) throw error;
+            throw new UsageError(`Invalid merchants file ${path}: ${error.message}`);
+        });
+}
+
+// One entry per lender: status plus the reasons behind it (warnings for
+// qualified lenders, the tolerances relied on for conditional ones), then any
+// requirements text left for manual review
+function describeResult(result, lenders) {
+    const tiers = {};
+    lenders.forEach(lender => {
+        tiers[String(lender['Lender Name']).trim()] = String(lender['Tier'] === undefined ? '' : lender['Tier']).trim();
+    });
+    const entry = (lender, status, reasons) => ({
+        lender,
+        tier: tiers[lender] || '',
+        status,
+        reasons: result.notes[lender] ? reasons.concat(`Manual review: ${result.notes[lender].join('; ')}`) : reasons
+    });
+
+    return [].concat(
+        result.qualified.map(lender => {
+            const name = String(lender['Lender Name']).trim();
+            return entry(name, 'Qualified', result.warnings[name] || []);
+        }),
+        result.conditional.map(item => entry(item.lender, 'Conditional', item.conditions.map(outcome => outcome.condition))),
+        result.needsReview.map(item => entry(item.lender, 'Needs Review', item.reviews.map(review => review.message))),
+        result.nonQualified.map(item => entry(item.lender, 'Non-Qualified', item.failures.map(failure => failure.message)))
+    );
+}
+
+function describeCriteria(criteria) {
+    return `${ordinal(criteria.requestedPosition)} position, ${criteria.tib} mo TIB, ` +
+        `$${criteria.monthlyRevenue.toLocaleString()}/mo, FICO ${criteria.fico}, ${criteria.state}, ` +
+        `${criteria.industry}${criteria.isSoleProp ? ', sole prop' : ''}`;
+}
+
+function formatTable(runs) {
+    const blocks = runs.map(run => {
+        if (run.error) return `${run.name}\n  ${run.error}`;
+
+        const rows = [['Lender', 'Tier', 'Status', 'Reasons']].concat(run.lenders.map(entry =>
+            [entry.lender, entry.tier, entry.status, entry.reasons.join('; ')]));
+        const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length)));
+        const lines = rows.map(row => row.map((cell, column) => column < 3 ? cell.padEnd(widths[column]) : cell).join('  ').trimEnd());
+
+        return [
+            `${run.name} — ${describeCriteria(run.criteria)}`,
+            `${run.counts.qualified} qualified, ${run.counts.conditional} conditional, ${run.counts.needsReview} needs review, ` +
+                `${run.counts.nonQualified} non-qualified, ${run.counts.autoDropped} auto-dropped`,
+            ''
+        ].concat(lines).join('\n');
+    });
+    return blocks.join('\n\n') + '\n';
+}
+
+function formatCSV(runs) {
+    const rows = [['Merchant', 'Lender', 'Tier', 'Status', 'Reasons']];
+    runs.forEach(run => {
+        if (run.error) {
+            rows.push([run.name, '', '', 'Error', run.error]);
+            return;
+        }
+        run.lenders.forEach(entry => rows.push([run.name, entry.lender, entry.tier, entry.status, entry.reasons.join('; ')]));
+    });
+    return toCSV(rows) + '\n';
+}
+
+function formatJSON(runs, guidelines, profile) {
+    return JSON.stringify({
+        profile: profile.id,
+        guidelines: {
+            loaded: guidelines.report.loadedCount,
+            dropped: guidelines.report.droppedCount,
+            errors: guidelines.errors
+        },
+        merchants: runs.map(run => run.error
+            ? { name: run.name, row: run.rowNumber, error: run.error }
+            : { name: run.name, row: run.rowNumber, criteria: run.criteria, counts: run.counts, lenders: run.lenders })
+    }, null, 2) + '\n';
+}
+
+// Resolves to the exit code
+export function main(argv, stdout = process.stdout, stderr = process.stderr) {
+    return Promise.resolve().then(() => {
+        const { values, positionals } = parseCommandLine(argv);
+        if (values.help) {
+            stdout.write(USAGE + '\n');
+            return 0;
+        }
+        if (positionals.length !== 1) {
+            throw new UsageError('Expected exactly one guidelines file');
+        }
+        if (!FORMATS.includes(values.format)) {
+            throw new UsageError(`Unknown format "${values.format}" (use ${FORMATS.join(', ')})`);
+        }
+
+        const rules = loadRules(values.rules, resolve(values['data-dir'] || process.env.DATA_DIR || DEFAULT_DATA_DIR));
+        const profile = loadProfile(values.profile, values.profiles);
+        return Promise.all([
+            values.merchants ? readMerchantsFile(values.merchants) : readMerchantFlags(values),
+            loadGuidelines(positionals[0], values.sheet)
+        ]).then(([merchants, guidelines]) => {
+            guidelines.errors.forEach(error => stderr.write(`Guidelines: ${error}\n`));
+            if (!guidelines.report.isUsable) return 1;
+
+            const runs = merchants.map(merchant => {
+                if (merchant.error) return merchant;
+                const result = qualify(guidelines.lenders, merchant.criteria, { rules, profile });
+                return Object.assign({}, merchant, {
+                    counts: {
+                        qualified: result.qualified.length,
+                        conditional: result.conditional.length,
+                        needsReview: result.needsReview.length,
+                        nonQualified: result.nonQualified.length,
+                        autoDropped: result.autoDropped
+                    },
+                    lenders: describeResult(result, guidelines.lenders)
+                });
+            });
+
+            const formatters = { table: formatTable, csv: formatCSV, json: formatJSON };
+            stdout.write(formatters[values.format](runs, guidelines, profile));
+
+            if (guidelines.errors.length > 0) return 1;
+            return runs.some(run => run.error) ? 2 : 0;
+        });
+    }).catch(error => {
+        if (!(error instanceof UsageError)) throw error;
+        stderr.write(`${error.message}\nRun with --help for usage.\n`);
+        return 2;
+    });
+}
+
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
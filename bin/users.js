@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Server accounts
+//
+// Manages the logins the server accepts:
+//   lender-users add jane --role admin    prompts for the password
+//   lender-users add sam                  a rep; the password can also be piped in
+//   lender-users list
+//   lender-users remove sam
+// Accounts are kept in DATA_DIR (default ./data) or --data-dir.
+
+import { realpathSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ROLES } from '../server/auth.js';
+import { createStore } from '../server/store.js';
+
+const USAGE = `Usage: lender-users <command> [options]
+
+Commands:
+  add <username>      Add a user, or reset an existing user's password and role
+  list                List users and their roles
+  remove <username>   Remove a user (their sessions end on the next request)
+
+Options:
+  --role <role>       ${ROLES.join(' or ')} (default rep)
+  --data-dir <dir>    Server data directory (default $DATA_DIR or ./data)
+  -h, --help          Show this help`;
+
+const DEFAULT_DATA_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                role: { type: 'string', default: 'rep' },
+                'data-dir': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// From a terminal the password is typed without echo; otherwise the first
+// line of stdin is used
+function readPassword(stdin, stderr) {
+    return new Promise((resolvePassword, reject) => {
+        const terminal = Boolean(stdin.isTTY);
+        const rl = createInterface({ input: stdin, output: terminal ? stderr : undefined, terminal });
+        let answered = false;
+
+        if (terminal) {
+            stderr.write('Password: ');
+            // Echo nothing while the password is typed
+            rl._writeToOutput = () => {};
+        }
+        rl.once('line', line => {
+            answered = true;
+            if (terminal) stderr.write('\n');
+            rl.close();
+            resolvePassword(line);
+        });
+        rl.once('close', () => {
+            if (!answered) reject(new UsageError('No password given'));
+        });
+    });
+}
+
+// Resolves to the exit code
+export function main(argv, { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin } = {}) {
+    return Promise.resolve().then(() => {
+        const { values, positionals } = parseCommandLine(argv);
+        const [command, username] = positionals;
+        if (values.help || !command) {
+            stdout.write(USAGE + '\n');
+            return values.help ? 0 : 2;
+        }
+
+        const store = createStore(resolve(values['data-dir'] || process.env.DATA_DIR || DEFAULT_DATA_DIR));
+
+        if (command === 'list') {
+            store.listUsers().forEach(user => stdout.write(`${user.username}\t${user.role}\t${user.createdAt}\n`));
+            return 0;
+        }
+        if (command !== 'add' && command !== 'remove') throw new UsageError(`Unknown command "${command}"`);
+        if (!username) throw new UsageError(`Expected a username to ${command}`);
+
+        if (command === 'remove') {
+            if (!store.removeUser(username)) throw new UsageError(`No user named ${username}`);
+            stdout.write(`Removed ${username}\n`);
+            return 0;
+        }
+
+        if (!ROLES.includes(values.role)) throw new UsageError(`Role must be one of: ${ROLES.join(', ')}`);
+        return readPassword(stdin, stderr).then(password => {
+            const existing = store.findUser(username);
+            try {
+                store.saveUser(username, password, values.role);
+            } catch (error) {
+                throw new UsageError(error.message);
+            }
+            stdout.write(`${existing ? 'Updated' : 'Added'} ${username} (${values.role})\n`);
+            return 0;
+        });
+    }).catch(error => {
+        if (!(error instanceof UsageError)) throw error;
+        stderr.write(`${error.message}\nRun with --help for usage.\n`);
+        return 2;
+    });
+}
+
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
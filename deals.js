@@ -0,0 +1,296 @@
+// Saved deals
+//
+// Saves a merchant deal (criteria, notes, the guidelines version it ran
+// against and a snapshot of each lender's status) to the IndexedDB "deals"
+// store. Saved deals can be searched, reopened into the merchant form and
+// re-run against the current guidelines, which lists the lenders whose status
+// changed since the last check and adds the check to the deal's history.
+
+const DEAL_STATUS_LABELS = {
+    qualified: 'Qualified',
+    conditional: 'Conditional',
+    review: 'Needs Review',
+    declined: 'Non-Qualified',
+    missing: 'Not in guidelines'
+};
+
+let savedDeals = []; // Newest first
+let currentDealId = null; // Deal loaded into the form, updated on save
+
+function listDeals() {
+    return withStore(DEALS_STORE, 'readonly', store => store.getAll())
+        .then(deals => deals.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+}
+
+function putDeal(deal) {
+    return withStore(DEALS_STORE, 'readwrite', store => store.put(deal))
+        .then(id => Object.assign(deal, { id }));
+}
+
+function deleteDeal(id) {
+    return withStore(DEALS_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Lender name → status and reasons for one qualification result
+function snapshotResult(result) {
+    const lenders = {};
+    result.qualified.forEach(lender => {
+        lenders[String(lender['Lender Name']).trim()] = { status: 'qualified', reasons: [] };
+    });
+    (result.conditional || []).forEach(item => {
+        lenders[item.lender] = { status: 'conditional', reasons: item.conditions.map(outcome => outcome.condition) };
+    });
+    result.needsReview.forEach(item => {
+        lenders[item.lender] = { status: 'review', reasons: item.reviews.map(review => review.message) };
+    });
+    result.nonQualified.forEach(item => {
+        lenders[item.lender] = { status: 'declined', reasons: item.failures.map(failure => failure.message) };
+    });
+    return lenders;
+}
+
+function describeCheck(result) {
+    return {
+        checkedAt: new Date().toISOString(),
+        guidelines: describeGuidelines(),
+        strictness: result.profile,
+        qualified: result.qualified.length,
+        conditional: (result.conditional || []).length,
+        needsReview: result.needsReview.length,
+        nonQualified: result.nonQualified.length
+    };
+}
+
+// Lenders whose status differs between a saved snapshot and a new one
+function compareSnapshots(previous, current) {
+    const names = Array.from(new Set(Object.keys(previous).concat(Object.keys(current)))).sort();
+    return names
+        .map(lender => ({
+            lender,
+            from: previous[lender] ? previous[lender].status : 'missing',
+            to: current[lender] ? current[lender].status : 'missing',
+            reasons: current[lender] ? current[lender].reasons : []
+        }))
+        .filter(change => change.from !== change.to);
+}
+
+function readDealDetails() {
+    return {
+        merchantName: document.getElementById('merchantName').value.trim(),
+        notes: document.getElementById('dealNotes').value.trim()
+    };
+}
+
+function saveCurrentDeal(button) {
+    if (!lastRun) return;
+
+    const details = readDealDetails();
+    const existing = savedDeals.find(deal => deal.id === currentDealId);
+    const now = new Date().toISOString();
+    const check = describeCheck(lastRun.result);
+
+    const deal = Object.assign(existing || { createdAt: now, history: [] }, {
+        merchantName: details.merchantName || 'Unnamed merchant',
+        notes: details.notes,
+        criteria: lastRun.criteria,
+        statements: statementAnalysis,
+        guidelines: Object.assign({ setId: activeGuidelineSetId }, describeGuidelines()),
+        snapshot: snapshotResult(lastRun.result),
+        updatedAt: now,
+        lastCheckedAt: lastRun.runAt.toISOString()
+    });
+    deal.history = deal.history.concat([check]);
+
+    const label = button.textContent;
+    putDeal(deal)
+        .then(saved => {
+            currentDealId = saved.id;
+            button.textContent = '✅ Saved';
+            return refreshDeals().catch(error => showDealsError('Saved deals unavailable', error));
+        })
+        .catch(error => {
+            showDealsError('Deal was not saved', error);
+            button.textContent = '❌ Save failed';
+        })
+        .then(() => setTimeout(() => { button.textContent = label; }, 2000));
+}
+
+// Puts a saved deal's criteria, positions, statements and notes back in the form
+function openDeal(deal) {
+    const criteria = deal.criteria;
+    currentDealId = deal.id;
+
+    document.getElementById('merchantName').value = deal.merchantName;
+    document.getElementById('dealNotes').value = deal.notes || '';
+    document.getElementById('tib').value = criteria.tib;
+    document.getElementById('revenue').value = criteria.monthlyRevenue;
+    document.getElementById('fico').value = criteria.fico;
+    document.getElementById('state').value = criteria.state;
+    document.getElementById('industry').value = criteria.industry;
+    document.getElementById('soleProp').checked = criteria.isSoleProp;
+    ['depositsPerMonth', 'nsfsPerMonth', 'avgDailyBalance'].forEach(id => {
+        document.getElementById(id).value = criteria[id] === null || criteria[id] === undefined ? '' : criteria[id];
+    });
+    [['priorDefault', criteria.hasPriorDefault], ['homeBased', criteria.isHomeBased]].forEach(([id, answer]) => {
+        document.getElementById(id).value = answer === null || answer === undefined ? '' : (answer ? 'yes' : 'no');
+    });
+
+    document.getElementById('positionsList').innerHTML = '';
+    (criteria.positions || []).forEach(position => addPositionRow(position));
+    document.getElementById('position').value = criteria.requestedPosition;
+    updateDerivedPosition();
+
+    clearStatementAnalysis();
+    if (deal.statements) {
+        statementAnalysis = deal.statements;
+        renderStatementSummary(statementAnalysis, ['Saved with deal']);
+    }
+
+    updateProcessButton();
+    renderDealsList();
+}
+
+// Re-runs a deal against the current guidelines and records what changed
+function rerunDeal(deal) {
+    if (!csvData) {
+        displayError('Load guidelines before re-running a deal');
+        return;
+    }
+
+    openDeal(deal);
+    const criteria = readMerchantCriteria();
+    try {
+        validateMerchantCriteria(criteria);
+    } catch (error) {
+        displayError(`Processing error: ${error.message}`);
+        return;
+    }
+
+    processLenders(criteria);
+
+    const snapshot = snapshotResult(lastRun.result);
+    const changes = compareSnapshots(deal.snapshot, snapshot);
+    renderDealChanges(deal, changes);
+
+    deal.snapshot = snapshot;
+    deal.lastCheckedAt = lastRun.runAt.toISOString();
+    deal.guidelines = Object.assign({ setId: activeGuidelineSetId }, describeGuidelines());
+    deal.history = deal.history.concat([describeCheck(lastRun.result)]);
+    putDeal(deal).then(refreshDeals).catch(error => showDealsError('Deal history was not saved', error));
+}
+
+function renderDealChanges(deal, changes) {
+    const previous = deal.history[deal.history.length - 1];
+    let html = `
+        <div class="results-section deal-changes">
+            <h3>🔄 Changes Since Last Check</h3>
+            <p class="deal-changes-meta">
+                Last checked ${formatDateTime(deal.lastCheckedAt)} against ${previous ? escapeHtml(previous.guidelines.fileName) : 'unknown guidelines'};
+                now ${escapeHtml(describeGuidelines().fileName)}
+            </p>
+    `;
+
+    if (changes.length === 0) {
+        html += `<p>No lender changed status.</p>`;
+    } else {
+        html += `
+            <ul>
+                ${changes.map(change => `
+                    <li class="status-${change.to}">
+                        <strong>${escapeHtml(change.lender)}:</strong>
+                        ${DEAL_STATUS_LABELS[change.from]} → ${DEAL_STATUS_LABELS[change.to]}
+                        ${change.reasons.length > 0 ? `<span class="change-reasons">(${escapeHtml(change.reasons.join('; '))})</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    html += `</div>`;
+    document.getElementById('results').insertAdjacentHTML('afterbegin', html);
+}
+
+function dealMatchesSearch(deal, query) {
+    if (!query) return true;
+    const text = [deal.merchantName, deal.notes, deal.criteria.state, deal.criteria.industry].join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).every(word => text.includes(word));
+}
+
+function renderDealsList() {
+    const container = document.getElementById('dealsList');
+    const query = document.getElementById('dealSearch').value.trim();
+    const deals = savedDeals.filter(deal => dealMatchesSearch(deal, query));
+
+    document.getElementById('savedDeals').style.display = savedDeals.length > 0 ? 'block' : 'none';
+
+    if (deals.length === 0) {
+        container.innerHTML = `<p class="deals-empty">No saved deals match "${escapeHtml(query)}".</p>`;
+        return;
+    }
+
+    container.innerHTML = deals.map(deal => {
+        const statuses = Object.values(deal.snapshot).map(entry => entry.status);
+        return `
+            <div class="deal-item${deal.id === currentDealId ? ' current' : ''}">
+                <div class="deal-info">
+                    <div class="lender-name">${escapeHtml(deal.merchantName)}</div>
+                    <div class="deal-meta">
+                        ${ordinal(deal.criteria.requestedPosition)} position · ${escapeHtml(deal.criteria.state)} · ${escapeHtml(deal.criteria.industry)} ·
+                        ${statuses.filter(status => status === 'qualified').length} qualified ·
+                        checked ${formatDateTime(deal.lastCheckedAt)} (${escapeHtml(deal.guidelines.fileName)})
+                    </div>
+                    ${deal.notes ? `<div class="deal-notes">${escapeHtml(deal.notes)}</div>` : ''}
+                </div>
+                <div class="deal-actions">
+                    <button type="button" class="secondary-btn" data-deal-action="open" data-deal-id="${escapeHtml(deal.id)}">Open</button>
+                    <button type="button" class="secondary-btn primary" data-deal-action="rerun" data-deal-id="${escapeHtml(deal.id)}">Re-run</button>
+                    <button type="button" class="link-btn" data-deal-action="delete" data-deal-id="${escapeHtml(deal.id)}">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function handleDealAction(action, dealId) {
+    const deal = savedDeals.find(item => item.id === dealId);
+    if (!deal) return;
+
+    if (action === 'open') {
+        openDeal(deal);
+    } else if (action === 'rerun') {
+        rerunDeal(deal);
+    } else if (action === 'delete' && confirm(`Delete the saved deal for ${deal.merchantName}?`)) {
+        if (currentDealId === deal.id) currentDealId = null;
+        deleteDeal(deal.id).then(refreshDeals).catch(error => showDealsError('Deal was not deleted', error));
+    }
+}
+
+// Clears the form's link to a saved deal so the next save creates a new one
+function startNewDeal() {
+    currentDealId = null;
+    document.getElementById('merchantName').value = '';
+    document.getElementById('dealNotes').value = '';
+    renderDealsList();
+}
+
+function refreshDeals() {
+    return listDeals().then(deals => {
+        savedDeals = deals;
+        document.getElementById('dealsStatus').style.display = 'none';
+        renderDealsList();
+    });
+}
+
+// Deal storage failures are shown above the saved deals; the full error goes
+// to the console in debug mode
+function showDealsError(message, error) {
+    if (debugMode) console.warn(`${message}:`, error);
+    const status = document.getElementById('dealsStatus');
+    status.textContent = `⚠️ ${message}${error && error.message ? ` (${error.message})` : ''}`;
+    status.className = 'status error';
+    status.style.display = 'block';
+}
+
+function initDeals() {
+    return refreshDeals().catch(error => showDealsError('Saved deals unavailable', error));
+}
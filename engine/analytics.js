@@ -0,0 +1,143 @@
+// Guidelines analytics
+//
+// Summarizes a whole guidelines file rather than one merchant: how lenders'
+// minimums are distributed, how many fund each position, which states and
+// industries are most often excluded, and how many lenders are left per
+// state and position. Rows the import report drops are left out, as they are
+// when qualifying.
+
+import { stateAbbreviations } from './states.js';
+import { parseStateRestrictions, isStateAllowed } from './state-restrictions.js';
+import { industryById, getLenderIndustries } from './industry-taxonomy.js';
+import { getAutoDropReason } from './schema.js';
+
+export const MAX_POSITION = 10;
+
+// The 50 states and DC; territories rarely come up and would pad the heatmap
+const TERRITORIES = ['pr', 'gu', 'vi', 'as', 'mp'];
+export const HEATMAP_STATES = Object.values(stateAbbreviations).filter(code => !TERRITORIES.includes(code));
+
+// Bucket lower bounds for each minimum column
+export const DISTRIBUTION_BUCKETS = {
+    Min_FICO: [0, 500, 550, 600, 650, 700],
+    Min_TIB_Months: [0, 6, 12, 24, 36, 60],
+    Min_Monthly_Revenue: [0, 10000, 15000, 25000, 50000, 100000]
+};
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// { column, count, missing, min, median, max, buckets: [{ from, to, count }] }
+export function summarizeMinimums(lenders, column) {
+    const bounds = DISTRIBUTION_BUCKETS[column];
+    const values = lenders.map(lender => parseFloat(lender[column])).filter(value => !isNaN(value));
+    const buckets = bounds.map((from, index) => ({
+        from,
+        to: index + 1 < bounds.length ? bounds[index + 1] : null, // null: no upper bound
+        count: 0
+    }));
+
+    values.forEach(value => {
+        const bucket = buckets.slice().reverse().find(candidate => value >= candidate.from) || buckets[0];
+        bucket.count++;
+    });
+
+    return {
+        column,
+        count: values.length,
+        missing: lenders.length - values.length,
+        min: values.length > 0 ? Math.min(...values) : null,
+        median: values.length > 0 ? median(values) : null,
+        max: values.length > 0 ? Math.max(...values) : null,
+        buckets
+    };
+}
+
+function fundsPosition(lender, position) {
+    return position >= parseFloat(lender['pos_min']) && position <= parseFloat(lender['pos_max']);
+}
+
+// Counts by key, most frequent first, then alphabetically
+function rankCounts(counts) {
+    return Object.keys(counts)
+        .map(key => Object.assign({ count: counts[key].count }, counts[key].item))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+function countInto(counts, key, item) {
+    if (!counts[key]) counts[key] = { item, count: 0 };
+    counts[key].count++;
+}
+
+export function analyzeGuidelines(rows) {
+    const lenders = rows.filter(row => !getAutoDropReason(row));
+    const restrictions = lenders.map(lender => parseStateRestrictions(lender['State_Restrictions']));
+
+    const positions = [];
+    for (let position = 1; position <= MAX_POSITION; position++) {
+        positions.push({ position, count: lenders.filter(lender => fundsPosition(lender, position)).length });
+    }
+
+    const restrictedStates = {};
+    HEATMAP_STATES.forEach(code => {
+        restrictions.forEach(parsed => {
+            if (!isStateAllowed(parsed, code)) countInto(restrictedStates, code, { code, name: code.toUpperCase() });
+        });
+    });
+
+    // Each lender counts once per industry, even if it's listed in more than one column
+    const prohibited = {};
+    const caseByCase = {};
+    lenders.forEach(lender => {
+        const industries = getLenderIndustries(lender);
+        const seen = new Set();
+        industries.prohibited.forEach(entry => {
+            if (seen.has(entry.id)) return;
+            seen.add(entry.id);
+            countInto(prohibited, entry.id, { id: entry.id, name: industryById[entry.id].name });
+        });
+        industries.review.forEach(entry => {
+            if (seen.has(entry.id)) return;
+            seen.add(entry.id);
+            countInto(caseByCase, entry.id, { id: entry.id, name: industryById[entry.id].name });
+        });
+        industries.unrecognized.filter(entry => entry.mode !== 'review').forEach(entry => {
+            const key = `text:${entry.text.toLowerCase()}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            countInto(prohibited, key, { id: null, name: entry.text });
+        });
+    });
+
+    // Lenders available per state and position, before any merchant details
+    const heatmap = HEATMAP_STATES.map(code => ({
+        state: code,
+        counts: positions.map(({ position }) => lenders.filter((lender, index) =>
+            fundsPosition(lender, position) && isStateAllowed(restrictions[index], code)).length)
+    }));
+
+    return {
+        lenderCount: lenders.length,
+        droppedCount: rows.length - lenders.length,
+        minimums: Object.keys(DISTRIBUTION_BUCKETS).map(column => summarizeMinimums(lenders, column)),
+        positions,
+        restrictedStates: rankCounts(restrictedStates),
+        prohibitedIndustries: rankCounts(prohibited),
+        caseByCaseIndustries: rankCounts(caseByCase),
+        heatmap
+    };
+}
+
+// Coverage gaps: state and position pairs with fewer than minLenders lenders
+export function findCoverageGaps(analysis, minLenders = 1) {
+    const gaps = [];
+    analysis.heatmap.forEach(row => {
+        row.counts.forEach((count, index) => {
+            if (count < minLenders) gaps.push({ state: row.state, position: index + 1, count });
+        });
+    });
+    return gaps;
+}
@@ -0,0 +1,4 @@
+// Exposes the engine to the page's classic scripts as globals
+import * as engine from './index.js';
+
+Object.assign(window, engine);
@@ -0,0 +1,414 @@
+// Lender requirement checks
+//
+// Each check returns a list of rule outcomes, one per lender requirement that
+// applies to the merchant, so every failure can be reported, not just the first.
+
+import { normalizeState } from './states.js';
+import { parseStateRestrictions, describeStateRestrictions, isStateAllowed } from './state-restrictions.js';
+import { industryById, resolveIndustries, getLenderIndustries, compareIndustries, formatIndustry } from './industry-taxonomy.js';
+import { summarizePositions } from './positions.js';
+import { parseOtherRequirements, describeRequirement, SOLE_PROP_MENTION_PATTERN } from './requirements.js';
+import { getLenderTolerances, getMinimumThresholds } from './tolerances.js';
+
+export function ruleOutcome(ruleId, category, requirement, merchantValue, passed, message) {
+    return { ruleId, category, requirement, merchantValue, passed, message };
+}
+
+// Shortfall for a failed numeric requirement, e.g. "needs 4 more months TIB"
+export function withShortfall(outcome, shortfall, hint) {
+    if (!outcome.passed) {
+        outcome.shortfall = shortfall;
+        outcome.hint = hint;
+    }
+    return outcome;
+}
+
+export function ordinal(number) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = number % 100;
+    return number + ((lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[number % 10] || 'th'));
+}
+
+export function checkPositionRange(lender, criteria) {
+    const posMin = parseFloat(lender['pos_min']);
+    const posMax = parseFloat(lender['pos_max']);
+    const positionInfo = `Positions ${posMin}-${posMax}`;
+    const requested = criteria.requestedPosition;
+    const passed = requested >= posMin && requested <= posMax;
+    const hint = requested > posMax
+        ? `qualifies at ${ordinal(posMax)} position instead of ${ordinal(requested)}`
+        : `only funds ${ordinal(posMin)} position and later`;
+
+    return [withShortfall(
+        ruleOutcome('position', 'Position', positionInfo, requested, passed, `Position - ${positionInfo}`),
+        requested > posMax ? requested - posMax : posMin - requested,
+        hint
+    )];
+}
+
+// Stacking rules against the merchant's existing positions; blank columns
+// mean the lender has no such limit
+export function checkStackingRequirements(lender, criteria) {
+    const outcomes = [];
+    const summary = summarizePositions(criteria.positions, criteria.monthlyRevenue);
+
+    const maxHoldback = parseFloat(lender['Max_Holdback_Pct']);
+    if (!isNaN(maxHoldback)) {
+        const holdback = Math.round(summary.holdbackPct * 10) / 10;
+        outcomes.push(withShortfall(
+            ruleOutcome('max-holdback', 'Holdback', `Max ${maxHoldback}% holdback`, `${holdback}%`,
+                holdback <= maxHoldback, `Holdback - Max ${maxHoldback}% of revenue`),
+            Math.round((holdback - maxHoldback) * 10) / 10,
+            `existing holdback ${(holdback - maxHoldback).toFixed(1)}% over`
+        ));
+    }
+
+    const minDays = parseFloat(lender['Min_Days_Since_Last_Funding']);
+    if (!isNaN(minDays) && summary.count > 0) {
+        if (summary.daysSinceLastFunding === null) {
+            outcomes.push(Object.assign(
+                ruleOutcome('min-days-since-funding', 'Stacking', `Min ${minDays} days since last funding`,
+                    'Unknown', true, `Stacking - Min ${minDays} days since last funding`),
+                { warning: `Requires ${minDays} days since last funding; enter funded dates to check` }
+            ));
+        } else {
+            const days = summary.daysSinceLastFunding;
+            outcomes.push(withShortfall(
+                ruleOutcome('min-days-since-funding', 'Stacking', `Min ${minDays} days since last funding`,
+                    `${days} days`, days >= minDays, `Stacking - Min ${minDays} days since last funding`),
+                minDays - days,
+                `eligible in ${minDays - days} more days`
+            ));
+        }
+    }
+
+    const maxPositions = parseFloat(lender['Max_Positions']);
+    if (!isNaN(maxPositions)) {
+        outcomes.push(withShortfall(
+            ruleOutcome('max-positions', 'Stacking', `Max ${maxPositions} existing positions`, summary.count,
+                summary.count <= maxPositions, `Stacking - Max ${maxPositions} existing positions`),
+            summary.count - maxPositions,
+            `${summary.count - maxPositions} too many open positions`
+        ));
+    }
+
+    return outcomes;
+}
+
+// Bank statement rules; without imported statements the rule can't be
+// checked, so the lender stays qualified with a warning
+export function checkBankStatementRequirements(lender, criteria) {
+    const metrics = criteria.bankMetrics;
+    const rules = [
+        {
+            ruleId: 'max-nsfs', column: 'Max_NSFs', label: limit => `Max ${limit} NSFs per month`,
+            value: () => metrics.maxMonthlyNsfs, passes: (value, limit) => value <= limit,
+            hint: (value, limit) => `${value - limit} NSFs over in the worst month`
+        },
+        {
+            ruleId: 'min-avg-daily-balance', column: 'Min_Avg_Daily_Balance', label: limit => `Min $${limit.toLocaleString()} avg daily balance`,
+            value: () => metrics.avgDailyBalance, passes: (value, limit) => value >= limit,
+            hint: (value, limit) => `average daily balance $${(limit - value).toLocaleString()} short`
+        },
+        {
+            ruleId: 'max-negative-days', column: 'Max_Negative_Days', label: limit => `Max ${limit} negative days`,
+            value: () => metrics.negativeDays, passes: (value, limit) => value <= limit,
+            hint: (value, limit) => `${value - limit} negative days over`
+        }
+    ];
+
+    const outcomes = [];
+    rules.forEach(rule => {
+        const limit = parseFloat(lender[rule.column]);
+        if (isNaN(limit)) return;
+
+        const requirement = rule.label(limit);
+        const value = metrics ? rule.value() : null;
+        if (value === null || value === undefined) {
+            outcomes.push(Object.assign(
+                ruleOutcome(rule.ruleId, 'Bank Statements', requirement, 'Unknown', true, `Bank Statements - ${requirement}`),
+                { warning: `Requires ${requirement.charAt(0).toLowerCase() + requirement.slice(1)}; import bank statements${metrics ? ' with a balance column' : ''} to check` }
+            ));
+            return;
+        }
+
+        const passed = rule.passes(value, limit);
+        outcomes.push(withShortfall(
+            ruleOutcome(rule.ruleId, 'Bank Statements', requirement, value, passed, `Bank Statements - ${requirement}`),
+            Math.abs(value - limit),
+            rule.hint(value, limit)
+        ));
+    });
+
+    return outcomes;
+}
+
+export function checkStateRestrictions(lender, criteria) {
+    const stateRestrictions = String(lender['State_Restrictions'] || '').trim();
+    if (!stateRestrictions) return [];
+    
+    const parsed = parseStateRestrictions(stateRestrictions);
+    const merchantState = normalizeState(criteria.state);
+    const passed = isStateAllowed(parsed, merchantState);
+    const message = parsed.allow && !parsed.allow.includes(merchantState)
+        ? `State - Only ${parsed.allow.map(code => code.toUpperCase()).join(', ')}`
+        : `State - ${merchantState.toUpperCase()} not accepted`;
+    
+    const outcome = ruleOutcome('state-restrictions', 'State', describeStateRestrictions(parsed),
+        merchantState.toUpperCase(), passed, message);
+    if (parsed.unparsed.length > 0) {
+        outcome.warning = `Unrecognized state restriction text: "${parsed.unparsed.join('", "')}"`;
+        // The unread clauses may still exclude the merchant's state
+        if (passed) {
+            outcome.needsReview = true;
+            outcome.message = `State - Review: ${parsed.unparsed.join('; ')}`;
+        }
+    }
+    return [outcome];
+}
+
+// Sole props are declined by an Other_Key_Requirements clause such as "Corp
+// only", or by listing them in Prohibited_Industries
+export function checkSolePropRestrictions(lender) {
+    const { requirements, unparsed } = parseOtherRequirements(lender['Other_Key_Requirements']);
+    const prohibited = String(lender['Prohibited_Industries'] || '').split(/[,;\n]/)
+        .some(entry => /\bsole\s*prop/i.test(entry) && !/\b(ok|okay|accepted|allowed)\b/i.test(entry));
+
+    const blocked = prohibited || requirements.some(requirement => requirement.type === 'no-sole-prop');
+    if (blocked) {
+        return [ruleOutcome('sole-prop', 'Sole Prop', 'No sole props', 'Sole prop', false, 'Sole Prop - Not accepted')];
+    }
+
+    // Sole prop terms the parser couldn't read, e.g. "No sole props under 2
+    // years TIB", go to review rather than passing with only a note
+    const conditions = unparsed.filter(clause => SOLE_PROP_MENTION_PATTERN.test(clause));
+    if (conditions.length > 0) {
+        return [Object.assign(
+            ruleOutcome('sole-prop', 'Sole Prop', conditions.join('; '), 'Sole prop', true,
+                `Sole Prop - Review: ${conditions.join('; ')}`),
+            { needsReview: true }
+        )];
+    }
+
+    return [ruleOutcome('sole-prop', 'Sole Prop', 'Sole props accepted', 'Sole prop', true, 'Sole Prop - Accepted')];
+}
+
+// Merchant value each Other_Key_Requirements type is checked against. Values
+// entered on the form win; imported bank statements fill in the rest.
+const OTHER_REQUIREMENT_CHECKS = {
+    'min-deposit-count': {
+        value: criteria => firstKnown(criteria.depositsPerMonth, criteria.bankMetrics && criteria.bankMetrics.avgMonthlyDepositCount),
+        passes: (value, limit) => value >= limit,
+        hint: (value, limit) => `${limit - value} more deposits per month needed`,
+        missing: 'enter deposits per month or import bank statements'
+    },
+    'min-monthly-deposits': {
+        value: criteria => firstKnown(criteria.bankMetrics && criteria.bankMetrics.avgMonthlyDeposits, criteria.monthlyRevenue),
+        passes: (value, limit) => value >= limit,
+        hint: (value, limit) => `monthly deposits $${(limit - value).toLocaleString()} short`
+    },
+    'max-nsfs': {
+        value: criteria => firstKnown(criteria.nsfsPerMonth, criteria.bankMetrics && criteria.bankMetrics.maxMonthlyNsfs),
+        passes: (value, limit) => value <= limit,
+        hint: (value, limit) => `${value - limit} NSFs over in the worst month`,
+        missing: 'enter NSFs per month or import bank statements'
+    },
+    'min-avg-daily-balance': {
+        value: criteria => firstKnown(criteria.avgDailyBalance, criteria.bankMetrics && criteria.bankMetrics.avgDailyBalance),
+        passes: (value, limit) => value >= limit,
+        hint: (value, limit) => `average daily balance $${(limit - value).toLocaleString()} short`,
+        missing: 'enter the average daily balance or import bank statements'
+    },
+    'no-prior-defaults': {
+        value: criteria => firstKnown(criteria.hasPriorDefault),
+        passes: value => !value,
+        missing: 'answer "Prior default" to check'
+    },
+    'no-home-based': {
+        value: criteria => firstKnown(criteria.isHomeBased),
+        passes: value => !value,
+        missing: 'answer "Home-based" to check'
+    }
+};
+
+function firstKnown(...values) {
+    const value = values.find(candidate => candidate !== null && candidate !== undefined && candidate !== '');
+    return value === undefined ? null : value;
+}
+
+function describeMerchantValue(value) {
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return value;
+}
+
+// Requirements parsed from Other_Key_Requirements. Unknown merchant values
+// keep the lender qualified with a warning; clauses the parser doesn't
+// recognize come back as notes for manual review.
+export function checkOtherRequirements(lender, criteria) {
+    const parsed = parseOtherRequirements(lender['Other_Key_Requirements']);
+    const outcomes = [];
+
+    parsed.requirements.forEach(requirement => {
+        const check = OTHER_REQUIREMENT_CHECKS[requirement.type];
+        if (!check) return; // Sole prop clauses are checked by checkSolePropRestrictions
+
+        const label = describeRequirement(requirement);
+        const value = check.value(criteria);
+        if (value === null) {
+            outcomes.push(Object.assign(
+                ruleOutcome(requirement.type, 'Requirements', label, 'Unknown', true, `Requirements - ${label}`),
+                { warning: `Requires ${label.charAt(0).toLowerCase() + label.slice(1)}; ${check.missing}` }
+            ));
+            return;
+        }
+
+        const outcome = ruleOutcome(requirement.type, 'Requirements', label, describeMerchantValue(value),
+            check.passes(value, requirement.value), `Requirements - ${label}`);
+        outcomes.push(check.hint ? withShortfall(outcome, Math.abs(value - requirement.value), check.hint(value, requirement.value)) : outcome);
+    });
+
+    if (parsed.unparsed.length > 0) {
+        outcomes.push(Object.assign(
+            ruleOutcome('other-requirements', 'Requirements', 'Manual review', '', true, 'Requirements - Manual review'),
+            { notes: parsed.unparsed }
+        ));
+    }
+    return outcomes;
+}
+
+// Merchant words found in a lender's industry text, for industries the
+// taxonomy doesn't cover
+export function matchIndustryKeywords(merchantIndustry, text) {
+    const lowerText = String(text).toLowerCase();
+    return merchantIndustry.toLowerCase().split(/[\s\/,]+/)
+        .some(keyword => keyword.length > 3 && lowerText.includes(keyword));
+}
+
+export function checkIndustryRestrictions(lender, criteria) {
+    const lenderIndustries = getLenderIndustries(lender);
+    const listed = lenderIndustries.prohibited.concat(lenderIndustries.review);
+    if (listed.length === 0 && lenderIndustries.unrecognized.length === 0) return [];
+    
+    const merchantIndustries = resolveIndustries(criteria.industry);
+    const merchantLabel = merchantIndustries.length > 0
+        ? merchantIndustries.map(formatIndustry).join(', ')
+        : criteria.industry;
+    const outcomes = [];
+    const seen = new Set();
+    const addOutcome = (requirement, passed, needsReview, message) => {
+        if (seen.has(message)) return;
+        seen.add(message);
+        const outcome = ruleOutcome('prohibited-industries', 'Industry', requirement, merchantLabel, passed, message);
+        if (needsReview) outcome.needsReview = true;
+        outcomes.push(outcome);
+    };
+
+    // Taxonomy categories
+    listed.forEach(entry => {
+        const isReview = lenderIndustries.review.includes(entry);
+        const name = industryById[entry.id].name;
+
+        merchantIndustries.forEach(merchantId => {
+            const relation = compareIndustries(entry.id, merchantId);
+            if (relation === 'match' && !isReview) {
+                addOutcome(`No ${name}`, false, false, `Industry - ${name} prohibited`);
+            } else if (relation === 'match') {
+                addOutcome(`${name} case by case`, true, true, `Industry - ${name} case by case`);
+            } else if (relation === 'broader') {
+                addOutcome(`${isReview ? '' : 'No '}${name}${isReview ? ' case by case' : ''}`, true, true,
+                    `Industry - ${name} ${isReview ? 'case by case' : 'prohibited'}; confirm the merchant's specific industry`);
+            }
+        });
+    });
+
+    // Lender entries the taxonomy couldn't classify fall back to keyword matching
+    lenderIndustries.unrecognized.forEach(entry => {
+        if (!matchIndustryKeywords(criteria.industry, entry.text)) return;
+        if (entry.mode === 'review') {
+            addOutcome(`${entry.text} case by case`, true, true, `Industry - ${entry.text} case by case`);
+        } else {
+            addOutcome(`No ${entry.text}`, false, false, `Industry - ${entry.text}`);
+        }
+    });
+
+    // Unknown merchant industry: keyword match against everything the lender lists
+    if (merchantIndustries.length === 0) {
+        listed.forEach(entry => {
+            if (!matchIndustryKeywords(criteria.industry, entry.text)) return;
+            if (lenderIndustries.review.includes(entry)) {
+                addOutcome(`${entry.text} case by case`, true, true, `Industry - ${entry.text} case by case`);
+            } else {
+                addOutcome(`No ${entry.text}`, false, false, `Industry - ${entry.text}`);
+            }
+        });
+    }
+
+    if (outcomes.length === 0) {
+        addOutcome(`Not in: ${listed.map(entry => industryById[entry.id].name)
+            .concat(lenderIndustries.unrecognized.map(entry => entry.text)).join(', ')}`,
+            true, false, 'Industry - Not restricted');
+    }
+
+    return outcomes;
+}
+
+// Minimums, less the tolerances of the strictness profile. A minimum cleared
+// only thanks to a tolerance passes as a condition of the lender's approval.
+export function checkMinimumRequirements(lender, criteria, profile) {
+    const outcomes = [];
+    const tolerances = getLenderTolerances(lender, profile);
+    const thresholds = getMinimumThresholds(lender, profile);
+    const withCondition = (outcome, belowMinimum, condition) => {
+        if (outcome.passed && belowMinimum) {
+            outcome.conditional = true;
+            outcome.condition = condition;
+        }
+        return outcome;
+    };
+
+    // Min TIB
+    const minTib = parseFloat(lender['Min_TIB_Months']);
+    if (!isNaN(minTib)) {
+        const requirement = `Min ${minTib} months` + (tolerances.tibMonths > 0 ? ` (with ${tolerances.tibMonths}-month tolerance)` : '');
+        const monthsShort = thresholds.tib - criteria.tib;
+        const monthsUnder = minTib - criteria.tib;
+        outcomes.push(withCondition(withShortfall(
+            ruleOutcome('min-tib', 'TIB', requirement, criteria.tib,
+                criteria.tib >= thresholds.tib, `TIB - ${requirement}`),
+            monthsShort,
+            `needs ${monthsShort} more ${monthsShort === 1 ? 'month' : 'months'} TIB`
+        ), monthsUnder > 0, `TIB ${monthsUnder} ${monthsUnder === 1 ? 'month' : 'months'} under Min ${minTib} months (within ${tolerances.tibMonths}-month tolerance)`));
+    }
+
+    // Min Revenue
+    const minRevenue = parseFloat(lender['Min_Monthly_Revenue']);
+    if (!isNaN(minRevenue)) {
+        const requirement = `Min $${minRevenue.toLocaleString()}` + (tolerances.revenuePct > 0 ? ` (with ${tolerances.revenuePct}% tolerance)` : '');
+        const revenueShort = thresholds.monthlyRevenue - criteria.monthlyRevenue;
+        const revenueUnder = minRevenue - criteria.monthlyRevenue;
+        outcomes.push(withCondition(withShortfall(
+            ruleOutcome('min-revenue', 'Revenue', requirement,
+                criteria.monthlyRevenue, criteria.monthlyRevenue >= thresholds.monthlyRevenue,
+                `Revenue - ${requirement}`),
+            revenueShort,
+            `revenue $${revenueShort.toLocaleString()} short`
+        ), revenueUnder > 0, `Revenue $${revenueUnder.toLocaleString()} under Min $${minRevenue.toLocaleString()} (within ${tolerances.revenuePct}% tolerance)`));
+    }
+
+    // Min FICO
+    const minFico = parseFloat(lender['Min_FICO']);
+    if (!isNaN(minFico)) {
+        const requirement = `Min ${minFico}` + (tolerances.fico > 0 ? ` (with ${tolerances.fico}pt tolerance)` : '');
+        const pointsShort = thresholds.fico - criteria.fico;
+        const pointsUnder = minFico - criteria.fico;
+        outcomes.push(withCondition(withShortfall(
+            ruleOutcome('min-fico', 'FICO', requirement,
+                criteria.fico, criteria.fico >= thresholds.fico,
+                `FICO - ${requirement}`),
+            pointsShort,
+            `FICO ${pointsShort} ${pointsShort === 1 ? 'point' : 'points'} short`
+        ), pointsUnder > 0, `FICO ${pointsUnder} ${pointsUnder === 1 ? 'point' : 'points'} under Min ${minFico} (within ${tolerances.fico}pt tolerance)`));
+    }
+
+    return outcomes;
+}
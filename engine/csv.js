@@ -0,0 +1,273 @@
+// CSV parsing and output
+//
+// RFC 4180 parsing: quoted cells may contain delimiters, escaped quotes ("")
+// and line breaks. createCSVParser accepts text in chunks, so large files can
+// be streamed; parseCSVRows parses a whole file into row objects keyed by
+// header. The delimiter (comma, semicolon, tab or pipe) is detected from the
+// header row and a leading byte order mark is dropped. decodeText picks the
+// encoding of raw file bytes. Cells in the guideline columns GUIDELINE_SCHEMA
+// types as numbers are normalized with normalizeCellValue, so "$25,000",
+// "25%" and "2 years" arrive as numbers; every other cell stays text, so a
+// Tier of "007" or "2 years" inside a requirement comes through as written.
+
+import { GUIDELINE_SCHEMA } from './schema.js';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Length of each duration unit in days
+const DURATION_DAYS = { year: 365, month: 365 / 12, week: 7, day: 1 };
+const DURATION_UNITS = [
+    { pattern: /^(years?|yrs?|y)$/, unit: 'year' },
+    { pattern: /^(months?|mos?)$/, unit: 'month' },
+    { pattern: /^(weeks?|wks?)$/, unit: 'week' },
+    { pattern: /^(days?)$/, unit: 'day' }
+];
+
+// UTF-8 and UTF-16 byte order marks; UTF-8 without a BOM is tried next, then
+// Windows-1252, which is what Excel writes for "CSV" on Windows
+export function decodeText(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+    if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+        return new TextDecoder('utf-8').decode(data.subarray(3));
+    }
+    if (data[0] === 0xFF && data[1] === 0xFE) return new TextDecoder('utf-16le').decode(data.subarray(2));
+    if (data[0] === 0xFE && data[1] === 0xFF) return new TextDecoder('utf-16be').decode(data.subarray(2));
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(data);
+    }
+}
+
+// End of the first record (a line break outside quotes), or -1 if not seen yet
+function findRecordEnd(text) {
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (text[i] === '\n' || text[i] === '\r')) return i;
+    }
+    return -1;
+}
+
+// The candidate that splits the header row into the most cells
+export function detectDelimiter(text) {
+    const end = findRecordEnd(text);
+    const header = end === -1 ? text : text.slice(0, end);
+    const counts = DELIMITERS.map(delimiter => {
+        let count = 0;
+        let inQuotes = false;
+        for (const char of header) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && char === delimiter) count++;
+        }
+        return count;
+    });
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+// Streaming parser: push() text chunks as they arrive, then end(). Each
+// complete record is passed to onRecord as an array of raw cell strings;
+// blank lines are skipped.
+export function createCSVParser(onRecord, options = {}) {
+    let delimiter = options.delimiter || null;
+    let pending = ''; // Text held back until the header row shows the delimiter
+    let started = false;
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let quoteClosed = false; // Just left a quoted section; another quote is an escaped quote
+    let skipLineFeed = false; // Previous character was a \r ending a record, so a following \n ends nothing
+    let line = 1;
+    let quoteLine = 0;
+
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0].trim() !== '') onRecord(record);
+        record = [];
+        field = '';
+    };
+
+    const consume = text => {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+            if (char === '\n') line++;
+
+            if (inQuotes) {
+                if (char === '"') {
+                    inQuotes = false;
+                    quoteClosed = true;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && quoteClosed) {
+                field += '"';
+                inQuotes = true;
+                quoteClosed = false;
+                continue;
+            }
+            quoteClosed = false;
+
+            if (char === '"' && field.trim() === '') {
+                field = '';
+                inQuotes = true;
+                quoteLine = line;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                skipLineFeed = char === '\r';
+                endRecord();
+            } else {
+                field += char;
+            }
+        }
+    };
+
+    const start = text => {
+        started = true;
+        if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+        if (!delimiter) delimiter = detectDelimiter(text);
+        consume(text);
+    };
+
+    return {
+        push(chunk) {
+            if (started) {
+                consume(chunk);
+                return;
+            }
+            pending += chunk;
+            if (options.delimiter || findRecordEnd(pending) !== -1) {
+                start(pending);
+                pending = '';
+            }
+        },
+        end() {
+            if (!started) start(pending);
+            if (inQuotes) {
+                throw new Error(`Unclosed quote in the cell starting on line ${quoteLine}`);
+            }
+            if (field !== '' || record.length > 0) endRecord();
+        },
+        get delimiter() {
+            return delimiter;
+        }
+    };
+}
+
+export function parseCSVRecords(text, options) {
+    const records = [];
+    const parser = createCSVParser(record => records.push(record), options);
+    parser.push(text);
+    parser.end();
+    return records;
+}
+
+export function parseNumber(text) {
+    let value = String(text).trim();
+    let negative = false;
+
+    const parenthesized = value.match(/^\((.*)\)$/);
+    if (parenthesized) {
+        negative = true;
+        value = parenthesized[1].trim();
+    }
+    if (value.startsWith('-')) {
+        negative = !negative;
+        value = value.slice(1).trim();
+    }
+
+    const currency = /^[$€£]/.test(value);
+    value = value.replace(/^[$€£]\s*/, '');
+
+    let scale = 1;
+    if (value.endsWith('%')) {
+        value = value.slice(0, -1).trim();
+    } else if (/\d\s*k$/i.test(value)) {
+        scale = 1000;
+        value = value.slice(0, -1).trim();
+    } else if (currency && /\d\s*(m|mm)$/i.test(value)) {
+        scale = 1000000;
+        value = value.replace(/\s*m+$/i, '');
+    }
+
+    if (!/^(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/.test(value) || !/\d/.test(value)) return null;
+    const number = parseFloat(value.replace(/,/g, '')) * scale;
+    return negative ? -number : number;
+}
+
+// "2 years", "18 mo", "90 days" in months, or in days when unit is 'day'
+export function parseDuration(text, unit = 'month') {
+    const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*\+?\s*([a-z]+)\.?\+?$/);
+    if (!match) return null;
+
+    const entry = DURATION_UNITS.find(candidate => candidate.pattern.test(match[2]));
+    if (!entry) return null;
+
+    const value = parseFloat(match[1]) * DURATION_DAYS[entry.unit] / DURATION_DAYS[unit];
+    return Math.round(value * 10) / 10;
+}
+
+// Numbers, currency, percents and durations become numbers; anything else is
+// returned as trimmed text. Durations are read in days for columns whose
+// header mentions days (Term_Days) and in months otherwise.
+export function normalizeCellValue(value, header = '') {
+    if (typeof value === 'number') return value;
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return '';
+
+    const number = parseNumber(text);
+    if (number !== null && isFinite(number)) return number;
+
+    const duration = parseDuration(text, /day/i.test(header) ? 'day' : 'month');
+    return duration === null ? text : duration;
+}
+
+export function isNumberColumn(header) {
+    return GUIDELINE_SCHEMA.some(column => column.type === 'number' && column.name === header);
+}
+
+// Row objects keyed by the first record's headers
+export function recordsToRows(records) {
+    if (records.length < 2) {
+        throw new Error('File must have at least a header row and one data row');
+    }
+
+    const headers = records[0].map(header => String(header).trim());
+    return records.slice(1).map(record => {
+        const row = {};
+        headers.forEach((header, index) => {
+            const value = record[index];
+            row[header] = isNumberColumn(header)
+                ? normalizeCellValue(value, header)
+                : String(value === undefined || value === null ? '' : value).trim();
+        });
+        return row;
+    });
+}
+
+export function parseCSVRows(text, options) {
+    try {
+        return recordsToRows(parseCSVRecords(text, options));
+    } catch (error) {
+        throw new Error(`CSV parsing failed: ${error.message}`);
+    }
+}
+
+export function toCSV(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
@@ -0,0 +1,39 @@
+// Bank statement deposits
+//
+// Tells revenue apart from the other money a merchant's account receives, for
+// the true revenue the bank statement analyzer derives. Only deposits that
+// plainly aren't sales are left out: transfers between the merchant's own
+// accounts, loan and MCA proceeds, and reversals. Processor payouts such as
+// "STRIPE TRANSFER" or "SHOPIFY TRANSFER" and deposits at banks with
+// "Capital" in their name are revenue.
+
+// MCA funders and processor lending programs whose deposits are proceeds
+const FUNDER_NAMES = [
+    'on deck', 'kabbage', 'bluevine', 'fundbox', 'credibly', 'rapid finance',
+    'libertas', 'yellowstone capital', 'forward financing', 'pearl capital', 'mulligan funding',
+    'fora financial', 'kapitus', 'national funding', 'fundera', 'lendio', 'headway capital',
+    'square capital', 'sq capital', 'shopify capital', 'stripe capital', 'paypal working capital',
+    'amazon lending'
+];
+
+const NON_REVENUE_PATTERNS = [
+    // Transfers between the merchant's own accounts
+    /\b(?:transfer|xfer|trnsfr|tfr)\s+from\b/i,
+    /\b(?:online|internal|book|acct|account|mobile)(?: banking)? (?:transfer|xfer|trnsfr|tfr)\b/i,
+    /\bfrom (?:savings|checking|share)\b/i,
+    // Loan and advance proceeds
+    /\bloan (?:proceeds|deposit|disbursement|funding)\b/i,
+    /\b(?:merchant cash|cash|merchant|mca) advance\b/i,
+    /\bmca (?:funding|deposit)\b/i,
+    /\bproceeds\b/i,
+    /\b(?:sba|eidl|ppp)\b/i,
+    new RegExp(`\\b(?:${FUNDER_NAMES.map(name => name.replace(/ /g, '\\s*')).join('|')})\\b`, 'i'),
+    // Money coming back rather than coming in
+    /\b(?:reversal|reversed|refund|returned|chargeback|return of)\b/i
+];
+
+// Whether a deposit's description reads as sales revenue
+export function isRevenueDeposit(description) {
+    const text = String(description || '');
+    return !NON_REVENUE_PATTERNS.some(pattern => pattern.test(text));
+}
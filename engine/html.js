@@ -0,0 +1,11 @@
+// Markup escaping
+//
+// Guideline cells, lender and merchant names, rule messages and deal notes
+// come from uploaded files and other users, so the page escapes them before
+// placing them in HTML.
+
+export function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,24 @@
+// Qualification engine
+//
+// Pure functions with no DOM access: qualify(lenders, criteria) runs a
+// merchant against parsed guidelines rows and returns the qualified,
+// conditional, non-qualified and needs-review lenders. Used by the page (via
+// browser.js) and from Node.
+
+export * from './states.js';
+export * from './csv.js';
+export * from './xlsx.js';
+export * from './spreadsheet.js';
+export * from './positions.js';
+export * from './state-restrictions.js';
+export * from './industry-taxonomy.js';
+export * from './requirements.js';
+export * from './lender-rules.js';
+export * from './tolerances.js';
+export * from './checks.js';
+export * from './schema.js';
+export * from './qualify.js';
+export * from './analytics.js';
+export * from './merchants.js';
+export * from './deposits.js';
+export * from './html.js';
@@ -0,0 +1,234 @@
+// Industry taxonomy
+//
+// NAICS-based industry categories with SIC codes, synonyms and parent
+// categories. Merchant industries and lender prohibited / case-by-case lists
+// are both resolved to these categories before matching, so "trucking" is
+// caught by a lender that prohibits "transportation", and a lender that only
+// reviews an industry case by case produces a "needs review" outcome.
+
+export const INDUSTRY_TAXONOMY = [
+    // Agriculture, mining and utilities
+    { id: 'agriculture', name: 'Agriculture', naics: ['11'], sic: ['01', '02', '07', '08', '09'], synonyms: ['agriculture', 'farm', 'farming', 'ranch', 'nursery', 'forestry', 'fishing'] },
+    { id: 'cannabis', name: 'Cannabis / CBD', naics: ['111419', '453998'], sic: [], synonyms: ['cannabis', 'marijuana', 'dispensary', 'cbd', 'hemp', 'thc'] },
+    { id: 'mining', name: 'Mining, Oil & Gas', naics: ['21'], sic: ['10', '12', '13', '14'], synonyms: ['mining', 'quarry', 'coal'] },
+    { id: 'oil-gas', name: 'Oil & Gas / Oilfield Services', parent: 'mining', naics: ['211', '213111', '213112'], sic: ['13'], synonyms: ['oil and gas', 'oil & gas', 'oilfield', 'oil field', 'drilling', 'fracking', 'petroleum'] },
+    { id: 'utilities', name: 'Utilities', naics: ['22'], sic: ['49'], synonyms: ['utility', 'utilities'] },
+    { id: 'solar', name: 'Solar / Renewable Energy', parent: 'construction', naics: ['221114', '238210'], sic: [], synonyms: ['solar', 'renewable energy', 'solar installation'] },
+
+    // Construction and manufacturing
+    { id: 'construction', name: 'Construction', naics: ['23'], sic: ['15', '16', '17'], synonyms: ['construction', 'contractor', 'general contractor', 'builder', 'remodeling', 'renovation'] },
+    { id: 'roofing', name: 'Roofing', parent: 'construction', naics: ['238160'], sic: ['1761'], synonyms: ['roofing', 'roofer'] },
+    { id: 'specialty-trades', name: 'Specialty Trade Contractors', parent: 'construction', naics: ['238'], sic: ['17'], synonyms: ['plumbing', 'plumber', 'electrician', 'electrical contractor', 'hvac', 'landscaping', 'painting contractor', 'flooring'] },
+    { id: 'manufacturing', name: 'Manufacturing', naics: ['31', '32', '33'], sic: ['20', '22', '23', '24', '25', '26', '27', '28', '29', '30', '31', '32', '33', '34', '35', '36', '37', '38', '39'], synonyms: ['manufacturing', 'manufacturer', 'fabrication', 'machine shop', 'factory'] },
+    { id: 'firearms', name: 'Firearms & Ammunition', naics: ['332992', '332994', '451110'], sic: ['3484', '5941'], synonyms: ['firearm', 'firearms', 'gun', 'guns', 'gun shop', 'ammunition', 'ammo'] },
+
+    // Trade
+    { id: 'wholesale', name: 'Wholesale Trade', naics: ['42'], sic: ['50', '51'], synonyms: ['wholesale', 'wholesaler', 'distributor', 'distribution'] },
+    { id: 'retail', name: 'Retail', naics: ['44', '45'], sic: ['52', '53', '54', '56', '57', '59'], synonyms: ['retail', 'retailer', 'store', 'boutique', 'ecommerce', 'e-commerce', 'online store'] },
+    { id: 'automotive', name: 'Automotive', naics: ['441', '8111'], sic: ['55', '75'], synonyms: ['auto', 'automotive', 'car', 'cars', 'vehicle', 'vehicles'] },
+    { id: 'auto-sales', name: 'Auto Sales / Dealers', parent: 'automotive', naics: ['4411', '441120'], sic: ['5511', '5521'], synonyms: ['auto sales', 'car sales', 'car dealer', 'auto dealer', 'used car', 'used cars', 'dealership'] },
+    { id: 'auto-repair', name: 'Auto Repair', parent: 'automotive', naics: ['8111'], sic: ['753'], synonyms: ['auto repair', 'mechanic', 'auto body', 'collision', 'tire shop', 'oil change'] },
+    { id: 'gas-stations', name: 'Gas Stations', parent: 'retail', naics: ['447', '457'], sic: ['5541'], synonyms: ['gas station', 'gas stations', 'fuel station', 'convenience store'] },
+    { id: 'liquor-stores', name: 'Liquor Stores', parent: 'retail', naics: ['4453', '445320'], sic: ['5921'], synonyms: ['liquor store', 'liquor', 'wine shop', 'beer store'] },
+    { id: 'jewelry', name: 'Jewelry Stores', parent: 'retail', naics: ['4483', '458310'], sic: ['5944'], synonyms: ['jewelry', 'jeweler', 'jewelry store'] },
+    { id: 'tobacco-vape', name: 'Tobacco / Vape Shops', parent: 'retail', naics: ['453991', '459991'], sic: ['5993'], synonyms: ['vape', 'vape shop', 'smoke shop', 'tobacco', 'head shop', 'e-cigarette'] },
+
+    // Transportation
+    { id: 'transportation', name: 'Transportation & Warehousing', naics: ['48', '49'], sic: ['40', '41', '42', '44', '45', '47'], synonyms: ['transportation', 'transport', 'logistics', 'freight', 'shipping', 'warehousing', 'courier', 'delivery'] },
+    { id: 'trucking', name: 'Trucking', parent: 'transportation', naics: ['484'], sic: ['421'], synonyms: ['trucking', 'truck', 'trucks', 'trucker', 'owner operator', 'hauling', 'hauler', 'long haul', 'freight hauling'] },
+    { id: 'taxi-limo', name: 'Taxi / Limo / Rideshare', parent: 'transportation', naics: ['4853', '4854'], sic: ['4121'], synonyms: ['taxi', 'limo', 'limousine', 'rideshare', 'uber', 'lyft', 'chauffeur'] },
+    { id: 'towing', name: 'Towing', parent: 'transportation', naics: ['48841'], sic: ['7549'], synonyms: ['towing', 'tow truck', 'tow company'] },
+
+    // Finance, real estate and professional services
+    { id: 'information', name: 'Information & Telecom', naics: ['51'], sic: ['48', '78'], synonyms: ['telecom', 'telecommunications', 'media', 'publishing', 'software', 'it services', 'internet'] },
+    { id: 'financial-services', name: 'Financial Services', naics: ['52'], sic: ['60', '61', '62', '63', '64', '67'], synonyms: ['financial services', 'finance', 'lending', 'lender', 'insurance', 'broker', 'brokerage', 'bank'] },
+    { id: 'check-cashing', name: 'Check Cashing / Money Services', parent: 'financial-services', naics: ['522390'], sic: ['6099'], synonyms: ['check cashing', 'money transfer', 'money services', 'payday', 'payday loans'] },
+    { id: 'pawn', name: 'Pawn Shops', parent: 'financial-services', naics: ['522298', '459510'], sic: ['5932'], synonyms: ['pawn', 'pawn shop', 'pawnbroker'] },
+    { id: 'crypto', name: 'Cryptocurrency', parent: 'financial-services', naics: ['523'], sic: [], synonyms: ['crypto', 'cryptocurrency', 'bitcoin', 'crypto mining'] },
+    { id: 'debt-collection', name: 'Debt Collection', parent: 'financial-services', naics: ['561440'], sic: ['7322'], synonyms: ['debt collection', 'collection agency', 'debt settlement', 'credit repair'] },
+    { id: 'real-estate', name: 'Real Estate', naics: ['53'], sic: ['65'], synonyms: ['real estate', 'realtor', 'property management', 'landlord', 'real estate investor', 'mortgage'] },
+    { id: 'professional-services', name: 'Professional Services', naics: ['54'], sic: ['73', '87'], synonyms: ['professional services', 'consulting', 'consultant', 'accounting', 'engineering', 'architecture', 'marketing', 'advertising'] },
+    { id: 'legal', name: 'Legal Services / Attorneys', parent: 'professional-services', naics: ['5411'], sic: ['81'], synonyms: ['legal', 'law firm', 'attorney', 'attorneys', 'lawyer', 'lawyers'] },
+    { id: 'staffing', name: 'Staffing / Employment Agencies', naics: ['5613'], sic: ['736'], synonyms: ['staffing', 'staffing agency', 'temp agency', 'employment agency', 'recruiting'] },
+    { id: 'cleaning', name: 'Cleaning / Janitorial', naics: ['5617'], sic: ['734'], synonyms: ['cleaning', 'janitorial', 'maid service', 'pest control', 'carpet cleaning'] },
+    { id: 'security', name: 'Security Services', naics: ['5616'], sic: ['7381', '7382'], synonyms: ['security guard', 'security services', 'alarm', 'alarm monitoring'] },
+    { id: 'travel', name: 'Travel Agencies', naics: ['5615'], sic: ['4724'], synonyms: ['travel agency', 'travel agent', 'tour operator', 'travel'] },
+
+    // Education, health and social services
+    { id: 'education', name: 'Education', naics: ['61'], sic: ['82'], synonyms: ['education', 'school', 'tutoring', 'training', 'daycare', 'child care', 'childcare'] },
+    { id: 'healthcare', name: 'Healthcare', naics: ['62'], sic: ['80'], synonyms: ['healthcare', 'health care', 'medical', 'clinic', 'doctor', 'physician', 'chiropractor', 'physical therapy'] },
+    { id: 'dental', name: 'Dental', parent: 'healthcare', naics: ['6212'], sic: ['8021'], synonyms: ['dental', 'dentist', 'orthodontist'] },
+    { id: 'home-health', name: 'Home Health / Nursing', parent: 'healthcare', naics: ['6216', '623'], sic: ['805', '8082'], synonyms: ['home health', 'nursing home', 'assisted living', 'home care', 'hospice'] },
+    { id: 'pharmacy', name: 'Pharmacy', parent: 'healthcare', naics: ['456110', '446110'], sic: ['5912'], synonyms: ['pharmacy', 'drug store', 'pharmacist'] },
+
+    // Hospitality and entertainment
+    { id: 'entertainment', name: 'Arts, Entertainment & Recreation', naics: ['71'], sic: ['79', '84'], synonyms: ['entertainment', 'recreation', 'amusement', 'event venue', 'events'] },
+    { id: 'gambling', name: 'Gambling / Gaming', parent: 'entertainment', naics: ['7132'], sic: ['7993'], synonyms: ['gambling', 'gaming', 'casino', 'betting', 'sweepstakes', 'lottery'] },
+    { id: 'adult', name: 'Adult Entertainment', parent: 'entertainment', naics: ['713990'], sic: [], synonyms: ['adult entertainment', 'adult', 'strip club', 'gentlemens club', 'escort'] },
+    { id: 'fitness', name: 'Fitness / Gyms', parent: 'entertainment', naics: ['713940'], sic: ['7991'], synonyms: ['gym', 'fitness', 'yoga studio', 'crossfit', 'martial arts'] },
+    { id: 'hospitality', name: 'Accommodation & Food Services', naics: ['72'], sic: ['58', '70'], synonyms: ['hospitality', 'food service', 'catering'] },
+    { id: 'restaurants', name: 'Restaurants', parent: 'hospitality', naics: ['7225'], sic: ['5812'], synonyms: ['restaurant', 'restaurants', 'cafe', 'diner', 'pizzeria', 'food truck', 'deli', 'bakery', 'fast food'] },
+    { id: 'bars', name: 'Bars / Nightclubs', parent: 'hospitality', naics: ['7224'], sic: ['5813'], synonyms: ['bar', 'bars', 'nightclub', 'night club', 'tavern', 'pub', 'lounge', 'brewery'] },
+    { id: 'hotels', name: 'Hotels / Motels', parent: 'hospitality', naics: ['7211'], sic: ['701'], synonyms: ['hotel', 'motel', 'inn', 'bed and breakfast', 'lodging'] },
+
+    // Other services
+    { id: 'personal-services', name: 'Personal Services', naics: ['812'], sic: ['72'], synonyms: ['personal services', 'dry cleaning', 'laundromat', 'pet grooming'] },
+    { id: 'beauty', name: 'Beauty / Salons / Spas', parent: 'personal-services', naics: ['8121'], sic: ['7231', '7241'], synonyms: ['salon', 'hair salon', 'beauty', 'barber', 'barbershop', 'nail salon', 'spa', 'med spa'] },
+    { id: 'tattoo', name: 'Tattoo Parlors', parent: 'personal-services', naics: ['812199'], sic: [], synonyms: ['tattoo', 'tattoo parlor', 'piercing'] },
+    { id: 'funeral', name: 'Funeral Homes', parent: 'personal-services', naics: ['8122'], sic: ['7261'], synonyms: ['funeral', 'funeral home', 'cemetery', 'mortuary'] },
+    { id: 'non-profit', name: 'Non-Profit / Religious Organizations', naics: ['813'], sic: ['86'], synonyms: ['non-profit', 'nonprofit', 'non profit', 'church', 'religious', 'charity'] },
+    { id: 'government', name: 'Government / Public Administration', naics: ['92'], sic: ['91', '92', '93', '94', '95', '96', '97'], synonyms: ['government', 'municipal', 'public administration'] }
+];
+
+export const industryById = {};
+INDUSTRY_TAXONOMY.forEach(industry => {
+    industryById[industry.id] = industry;
+});
+
+const CASE_BY_CASE_PATTERN = /case[\s-]*by[\s-]*case|\bcbc\b|\bon review\b|with approval|upon approval|\brestricted\b|\breview\b/i;
+
+const resolvedIndustryCache = new Map();
+const lenderIndustryCache = new Map();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Synonym patterns, longest first, matching whole words with an optional plural
+const industryPatterns = [];
+INDUSTRY_TAXONOMY.forEach(industry => {
+    [industry.name.toLowerCase()].concat(industry.synonyms).forEach(phrase => {
+        industryPatterns.push({
+            id: industry.id,
+            length: phrase.length,
+            regex: new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}(s|es)?(?=$|[^a-z0-9])`, 'i')
+        });
+    });
+});
+industryPatterns.sort((a, b) => b.length - a.length);
+
+export function getIndustryAncestors(id) {
+    const ancestors = [];
+    let current = industryById[id];
+    while (current && current.parent) {
+        ancestors.push(current.parent);
+        current = industryById[current.parent];
+    }
+    return ancestors;
+}
+
+// Most specific category whose NAICS or SIC code prefixes the given code
+export function resolveIndustryCode(code) {
+    let best = null;
+    let bestLength = 0;
+    INDUSTRY_TAXONOMY.forEach(industry => {
+        industry.naics.concat(industry.sic).forEach(prefix => {
+            if (code.startsWith(prefix) && prefix.length > bestLength) {
+                best = industry.id;
+                bestLength = prefix.length;
+            }
+        });
+    });
+    return best;
+}
+
+// Category ids mentioned in free text, dropping a category when one of its
+// more specific children also matched
+export function resolveIndustries(text) {
+    const source = String(text || '').toLowerCase().trim();
+    if (!source) return [];
+    if (resolvedIndustryCache.has(source)) return resolvedIndustryCache.get(source);
+
+    const matches = new Set();
+    let remaining = source;
+
+    (source.match(/\b\d{2,6}\b/g) || []).forEach(code => {
+        const id = resolveIndustryCode(code);
+        if (id) matches.add(id);
+    });
+
+    // Longest phrases first, consuming matched text so "auto repair" doesn't also count as "auto"
+    industryPatterns.forEach(pattern => {
+        if (pattern.regex.test(remaining)) {
+            matches.add(pattern.id);
+            remaining = remaining.replace(pattern.regex, '$1 ');
+        }
+    });
+
+    const ids = Array.from(matches);
+    const result = ids.filter(id => !ids.some(other => getIndustryAncestors(other).includes(id)));
+    resolvedIndustryCache.set(source, result);
+    return result;
+}
+
+export function formatIndustry(id) {
+    const industry = industryById[id];
+    if (!industry) return id;
+    return industry.naics.length > 0 ? `${industry.name} (NAICS ${industry.naics[0]})` : industry.name;
+}
+
+// Splits a lender's industry text into prohibited and case-by-case categories.
+// Clauses (";" or new line) starting with "Case by case:" / "Restricted:" put
+// every item in them up for review; otherwise an item is reviewed only when it
+// says so itself, e.g. "Trucking (case by case)".
+export function parseIndustryList(text, defaultMode) {
+    const result = { prohibited: [], review: [], unrecognized: [] };
+
+    String(text || '').split(/[;\n]+/).forEach(clause => {
+        let mode = defaultMode;
+        let body = clause.trim();
+        const prefix = body.match(/^([^:]+):\s*(.*)$/);
+
+        if (prefix && CASE_BY_CASE_PATTERN.test(prefix[1])) {
+            mode = 'review';
+            body = prefix[2];
+        } else if (prefix && /prohibited|excluded|no\b|not accepted/i.test(prefix[1])) {
+            mode = 'prohibited';
+            body = prefix[2];
+        }
+
+        body.split(/[,\/|]+/).map(item => item.trim()).filter(Boolean).forEach(item => {
+            const itemMode = CASE_BY_CASE_PATTERN.test(item) ? 'review' : mode;
+            const label = item.replace(/\(?\s*(case[\s-]*by[\s-]*case|cbc|on review|with approval|upon approval)\s*\)?/ig, '').trim();
+            if (!label) return;
+
+            const ids = resolveIndustries(label);
+            if (ids.length === 0) {
+                result.unrecognized.push({ text: label, mode: itemMode });
+            } else {
+                ids.forEach(id => result[itemMode].push({ id, text: label }));
+            }
+        });
+    });
+
+    return result;
+}
+
+export function getLenderIndustries(lender) {
+    const key = [lender['Prohibited_Industries'], lender['Restricted_Industries'], lender['Case_By_Case_Industries']]
+        .map(value => String(value || '')).join('\u0000');
+    if (lenderIndustryCache.has(key)) return lenderIndustryCache.get(key);
+
+    const lists = [
+        parseIndustryList(lender['Prohibited_Industries'], 'prohibited'),
+        parseIndustryList(lender['Restricted_Industries'], 'review'),
+        parseIndustryList(lender['Case_By_Case_Industries'], 'review')
+    ];
+    const result = {
+        prohibited: [].concat(...lists.map(list => list.prohibited)),
+        review: [].concat(...lists.map(list => list.review)),
+        unrecognized: [].concat(...lists.map(list => list.unrecognized))
+    };
+
+    lenderIndustryCache.set(key, result);
+    return result;
+}
+
+// How a lender's listed category applies to the merchant's category:
+// 'match' when it is the same or a parent ("Transportation" covers trucking),
+// 'broader' when the merchant only gave the parent and the lender lists a child
+export function compareIndustries(lenderId, merchantId) {
+    if (lenderId === merchantId || getIndustryAncestors(merchantId).includes(lenderId)) return 'match';
+    if (getIndustryAncestors(lenderId).includes(merchantId)) return 'broader';
+    return null;
+}
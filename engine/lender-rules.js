@@ -0,0 +1,271 @@
+// Lender rule engine
+//
+// Lender-specific guideline quirks live here as data instead of code. A rule
+// targets lenders whose name contains `lender` (case-insensitive) and blocks
+// the merchant when ALL of its `when` conditions match:
+//   industry  - list of keywords, matches if the merchant industry contains any
+//   state     - list of state names or abbreviations
+//   soleProp  - true / false
+//   position, tib, fico, revenue - comparison object, e.g. { gte: 3 } or { lt: 84 }
+// The reason may reference merchant values with {state}, {industry},
+// {position}, {tib}, {fico} and {revenue} placeholders. qualify() uses
+// DEFAULT_LENDER_RULES unless a rule set from loadLenderRules is passed in.
+
+import { normalizeState } from './states.js';
+import { ruleOutcome } from './checks.js';
+
+export const DEFAULT_LENDER_RULES = [
+    {
+        id: 'lexio-trucking-position',
+        lender: 'lexio',
+        category: 'Industry',
+        when: { industry: ['truck', 'transport'], position: { gte: 3 } },
+        reason: 'Trucking 1st-2nd position only'
+    },
+    {
+        id: 'fyncap-trucking-il',
+        lender: 'fyncap',
+        category: 'Industry',
+        when: { industry: ['truck', 'transport'], state: ['il'] },
+        reason: 'Trucking not accepted in IL'
+    },
+    {
+        id: 'blackbridge-trucking-il',
+        lender: 'blackbridge',
+        category: 'Industry',
+        when: { industry: ['truck', 'transport'], state: ['il'] },
+        reason: 'Trucking not accepted in IL'
+    },
+    {
+        id: 'smarter-merchant-sole-prop-states',
+        lender: 'smarter merchant',
+        category: 'Industry',
+        when: { soleProp: true, state: ['il', 'ar', 'ny'] },
+        reason: 'Sole props not accepted in {state}'
+    },
+    {
+        id: 'idea-financial-construction-tib',
+        lender: 'idea financial',
+        category: 'Industry',
+        when: { industry: ['construction'], tib: { lt: 84 } }, // 7 years = 84 months
+        reason: 'Construction requires 7+ years TIB'
+    }
+];
+
+// Criteria property compared by each numeric condition
+export const NUMERIC_RULE_FIELDS = {
+    position: 'requestedPosition',
+    tib: 'tib',
+    fico: 'fico',
+    revenue: 'monthlyRevenue'
+};
+
+const COMPARISON_OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq'];
+
+// Rule validation
+export function validateLenderRule(rule, { requireLender = true } = {}) {
+    const errors = [];
+    const label = rule && rule.id ? `Rule "${rule.id}"` : 'Rule';
+
+    if (!rule || typeof rule !== 'object') {
+        return ['Rule must be an object'];
+    }
+    if (requireLender && (!rule.lender || typeof rule.lender !== 'string')) {
+        errors.push(`${label}: "lender" is required`);
+    }
+    if (!rule.reason || typeof rule.reason !== 'string') {
+        errors.push(`${label}: "reason" is required`);
+    }
+    if (!rule.when || typeof rule.when !== 'object' || Object.keys(rule.when).length === 0) {
+        errors.push(`${label}: "when" must contain at least one condition`);
+        return errors;
+    }
+
+    Object.keys(rule.when).forEach(field => {
+        const condition = rule.when[field];
+        if (field === 'industry' || field === 'state') {
+            if (!Array.isArray(condition) || condition.length === 0) {
+                errors.push(`${label}: "${field}" must be a non-empty list`);
+            }
+        } else if (field === 'soleProp') {
+            if (typeof condition !== 'boolean') {
+                errors.push(`${label}: "soleProp" must be true or false`);
+            }
+        } else if (NUMERIC_RULE_FIELDS[field]) {
+            const operators = condition && typeof condition === 'object' ? Object.keys(condition) : [];
+            if (operators.length === 0 ||
+                operators.some(op => !COMPARISON_OPERATORS.includes(op) || typeof condition[op] !== 'number')) {
+                errors.push(`${label}: "${field}" must be a comparison like { "gte": 3 }`);
+            }
+        } else {
+            errors.push(`${label}: unknown condition "${field}"`);
+        }
+    });
+
+    return errors;
+}
+
+// Accepts either an array of rules (replaces the defaults) or
+// { includeDefaults: true, rules: [...] } to extend them.
+export function loadLenderRules(json) {
+    let rules = json;
+    let includeDefaults = false;
+
+    if (json && !Array.isArray(json)) {
+        rules = json.rules;
+        includeDefaults = Boolean(json.includeDefaults);
+    }
+    if (!Array.isArray(rules)) {
+        throw new Error('Rules file must contain an array of rules');
+    }
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+        validateLenderRule(rule).forEach(error => errors.push(`#${index + 1} ${error}`));
+    });
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    return (includeDefaults ? DEFAULT_LENDER_RULES : []).concat(rules);
+}
+
+// Custom_Rules CSV column
+//
+// Compact syntax for rules attached to a single lender row. Rules are
+// separated by ";" and conditions by "&", with an optional "Category:" prefix
+// on the reason:
+//   industry=truck|transport & position>=3 -> Industry: Trucking 1st-2nd position only
+const parsedRuleColumnCache = new Map();
+
+function parseRuleCondition(text, when) {
+    const match = text.trim().match(/^([a-zA-Z]+)\s*(>=|<=|>|<|=)\s*(.+)$/);
+    if (!match) {
+        throw new Error(`Invalid condition "${text.trim()}"`);
+    }
+
+    const field = match[1].toLowerCase() === 'soleprop' ? 'soleProp' : match[1].toLowerCase();
+    const operator = match[2];
+    const value = match[3].trim();
+
+    if (field === 'industry' || field === 'state') {
+        if (operator !== '=') throw new Error(`"${field}" only supports "="`);
+        when[field] = value.split('|').map(item => item.trim().toLowerCase()).filter(Boolean);
+    } else if (field === 'soleProp') {
+        if (operator !== '=') throw new Error('"soleProp" only supports "="');
+        when.soleProp = ['yes', 'true', 'y', '1'].includes(value.toLowerCase());
+    } else if (NUMERIC_RULE_FIELDS[field]) {
+        const number = parseFloat(value);
+        if (isNaN(number)) throw new Error(`"${field}" needs a number`);
+        const op = { '>=': 'gte', '<=': 'lte', '>': 'gt', '<': 'lt', '=': 'eq' }[operator];
+        when[field] = Object.assign(when[field] || {}, { [op]: number });
+    } else {
+        throw new Error(`Unknown condition "${match[1]}"`);
+    }
+}
+
+export function parseRuleColumn(text) {
+    const source = String(text || '').trim();
+    if (!source) return [];
+    if (parsedRuleColumnCache.has(source)) return parsedRuleColumnCache.get(source);
+
+    const rules = source.split(';').filter(part => part.trim()).map((part, index) => {
+        const [conditionText, reasonText] = part.split('->');
+        if (!reasonText || !reasonText.trim()) {
+            throw new Error(`Custom rule ${index + 1} is missing "-> reason"`);
+        }
+
+        const when = {};
+        conditionText.split('&').forEach(condition => parseRuleCondition(condition, when));
+
+        let category = 'Custom';
+        let reason = reasonText.trim();
+        const categoryMatch = reason.match(/^([A-Za-z ]+):\s*(.+)$/);
+        if (categoryMatch) {
+            category = categoryMatch[1].trim();
+            reason = categoryMatch[2].trim();
+        }
+
+        const rule = { id: `custom-${index + 1}`, category, when, reason };
+        const errors = validateLenderRule(rule, { requireLender: false });
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        return rule;
+    });
+
+    parsedRuleColumnCache.set(source, rules);
+    return rules;
+}
+
+// Rule evaluation
+function matchesComparison(value, comparison) {
+    if (comparison.lt !== undefined && !(value < comparison.lt)) return false;
+    if (comparison.lte !== undefined && !(value <= comparison.lte)) return false;
+    if (comparison.gt !== undefined && !(value > comparison.gt)) return false;
+    if (comparison.gte !== undefined && !(value >= comparison.gte)) return false;
+    if (comparison.eq !== undefined && value !== comparison.eq) return false;
+    return true;
+}
+
+export function ruleMatches(rule, criteria) {
+    const merchantIndustry = criteria.industry.toLowerCase();
+
+    return Object.keys(rule.when).every(field => {
+        const condition = rule.when[field];
+
+        if (field === 'industry') {
+            return condition.some(keyword => merchantIndustry.includes(String(keyword).toLowerCase()));
+        }
+        if (field === 'state') {
+            const merchantState = normalizeState(criteria.state);
+            return condition.some(state => normalizeState(String(state)) === merchantState);
+        }
+        if (field === 'soleProp') {
+            return Boolean(criteria.isSoleProp) === condition;
+        }
+        return matchesComparison(criteria[NUMERIC_RULE_FIELDS[field]], condition);
+    });
+}
+
+export function formatRuleReason(rule, criteria) {
+    const values = {
+        state: criteria.state,
+        industry: criteria.industry,
+        position: criteria.requestedPosition,
+        tib: criteria.tib,
+        fico: criteria.fico,
+        revenue: criteria.monthlyRevenue
+    };
+    return rule.reason.replace(/\{(\w+)\}/g, (placeholder, key) =>
+        values[key] !== undefined ? values[key] : placeholder
+    );
+}
+
+export function getRulesForLender(lender, rules = DEFAULT_LENDER_RULES) {
+    const lenderName = String(lender['Lender Name'] || '').toLowerCase();
+    return rules
+        .filter(rule => lenderName.includes(rule.lender.toLowerCase()))
+        .concat(parseRuleColumn(lender['Custom_Rules']));
+}
+
+// Merchant values a rule looked at, for reporting alongside the outcome
+export function describeRuleInputs(rule, criteria) {
+    const labels = {
+        industry: criteria.industry,
+        state: criteria.state,
+        soleProp: criteria.isSoleProp ? 'Sole prop' : 'Not sole prop',
+        position: `Position ${criteria.requestedPosition}`,
+        tib: `${criteria.tib} months TIB`,
+        fico: `FICO ${criteria.fico}`,
+        revenue: `$${Number(criteria.monthlyRevenue).toLocaleString()}/mo`
+    };
+    return Object.keys(rule.when).map(field => labels[field]).join(', ');
+}
+
+export function checkLenderRules(lender, criteria, rules = DEFAULT_LENDER_RULES) {
+    return getRulesForLender(lender, rules).map(rule => {
+        const category = rule.category || 'Custom';
+        const reason = formatRuleReason(rule, criteria);
+        return ruleOutcome(rule.id, category, reason, describeRuleInputs(rule, criteria),
+            !ruleMatches(rule, criteria), `${category} - ${reason}`);
+    });
+}
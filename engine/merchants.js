@@ -0,0 +1,107 @@
+// Merchants CSV
+//
+// Reads merchant rows for batch qualification. Headers are matched loosely
+// against MERCHANT_COLUMN_ALIASES; each row becomes merchant criteria, or an
+// error when a value doesn't pass validateMerchantCriteria.
+
+import { compactHeader } from './schema.js';
+import { normalizeCellValue } from './csv.js';
+import { validateMerchantCriteria } from './qualify.js';
+
+// Accepted header spellings per merchant field, compared lowercase with
+// spaces and punctuation removed
+export const MERCHANT_COLUMN_ALIASES = {
+    name: ['merchantname', 'merchant', 'businessname', 'business', 'name', 'dba'],
+    requestedPosition: ['position', 'requestedposition', 'pos'],
+    tib: ['tib', 'tibmonths', 'timeinbusiness', 'timeinbusinessmonths'],
+    monthlyRevenue: ['revenue', 'monthlyrevenue', 'monthlyrev'],
+    fico: ['fico', 'ficoscore', 'creditscore'],
+    state: ['state'],
+    industry: ['industry'],
+    isSoleProp: ['soleprop', 'soleproprietorship', 'soleproprietor'],
+    // Optional, for lenders' Other_Key_Requirements
+    depositsPerMonth: ['depositspermonth', 'depositcount', 'numberofdeposits'],
+    nsfsPerMonth: ['nsfs', 'nsf', 'nsfspermonth'],
+    avgDailyBalance: ['avgdailybalance', 'averagedailybalance', 'adb'],
+    hasPriorDefault: ['priordefault', 'priordefaults', 'default', 'defaults'],
+    isHomeBased: ['homebased', 'homebasedbusiness']
+};
+
+const REQUIRED_MERCHANT_FIELDS = ['requestedPosition', 'tib', 'monthlyRevenue', 'fico', 'state', 'industry'];
+
+export function findMerchantColumns(headers) {
+    const columns = {};
+    Object.keys(MERCHANT_COLUMN_ALIASES).forEach(field => {
+        columns[field] = headers.find(header =>
+            MERCHANT_COLUMN_ALIASES[field].includes(compactHeader(header))
+        );
+    });
+    return columns;
+}
+
+export function parseSoleProp(text) {
+    return ['yes', 'y', 'true', '1', 'x'].includes(String(text).trim().toLowerCase());
+}
+
+// "$25,000", "25k" and "2 years" (in months) as numbers, "3rd" as 3; NaN
+// when unreadable
+function parseMerchantNumber(text) {
+    const value = normalizeCellValue(text);
+    return typeof value === 'number' ? value : parseFloat(value);
+}
+
+// Blank optional values are null (unknown) rather than zero or "no"
+function parseOptionalNumber(text) {
+    const value = parseMerchantNumber(text);
+    return isNaN(value) ? null : value;
+}
+
+function parseOptionalAnswer(text) {
+    return String(text).trim() === '' ? null : parseSoleProp(text);
+}
+
+export function parseMerchantRow(row, columns) {
+    const value = field => {
+        const raw = columns[field] ? row[columns[field]] : '';
+        return String(raw === undefined ? '' : raw).trim();
+    };
+
+    return {
+        requestedPosition: parseInt(parseMerchantNumber(value('requestedPosition'))),
+        tib: parseInt(parseMerchantNumber(value('tib'))),
+        monthlyRevenue: parseInt(parseMerchantNumber(value('monthlyRevenue'))),
+        fico: parseInt(parseMerchantNumber(value('fico'))),
+        state: value('state'),
+        industry: value('industry'),
+        isSoleProp: parseSoleProp(value('isSoleProp')),
+        depositsPerMonth: parseOptionalNumber(value('depositsPerMonth')),
+        nsfsPerMonth: parseOptionalNumber(value('nsfsPerMonth')),
+        avgDailyBalance: parseOptionalNumber(value('avgDailyBalance')),
+        hasPriorDefault: parseOptionalAnswer(value('hasPriorDefault')),
+        isHomeBased: parseOptionalAnswer(value('isHomeBased'))
+    };
+}
+
+// [{ rowNumber, name, criteria, error }], error null for valid rows
+export function readMerchantRows(rows) {
+    const headers = Object.keys(rows[0] || {});
+    const columns = findMerchantColumns(headers);
+    const missing = REQUIRED_MERCHANT_FIELDS.filter(field => !columns[field]);
+
+    if (missing.length > 0) {
+        throw new Error(`Merchants CSV is missing columns: ${missing.map(field => MERCHANT_COLUMN_ALIASES[field][0]).join(', ')}`);
+    }
+
+    return rows.map((row, index) => {
+        const rowNumber = index + 2; // Header is row 1
+        const name = columns.name && row[columns.name] ? String(row[columns.name]).trim() : `Merchant ${index + 1}`;
+        const criteria = parseMerchantRow(row, columns);
+
+        try {
+            validateMerchantCriteria(criteria);
+        } catch (error) {
+            return { rowNumber, name, criteria, error: `Row ${rowNumber}: ${error.message}` };
+        }
+        return { rowNumber, name, criteria, error: null };
+    });
+}
@@ -0,0 +1,68 @@
+// Positions and remittance
+//
+// Converts remittance payments to monthly debits and totals a merchant's open
+// positions for the stacking rules and offer estimates. A position with no
+// balance entered counts as open while it has a payment.
+
+export const BUSINESS_DAYS_PER_MONTH = 21;
+export const WEEKS_PER_MONTH = 52 / 12;
+
+export const PAYMENTS_PER_MONTH = {
+    daily: BUSINESS_DAYS_PER_MONTH,
+    weekly: WEEKS_PER_MONTH
+};
+
+// 'daily', 'weekly' or null when the text names neither
+export function parseRemittanceFrequency(text) {
+    const value = String(text || '').toLowerCase();
+    if (/dai|day/.test(value)) return 'daily';
+    if (/week/.test(value)) return 'weekly';
+    return null;
+}
+
+export function toMonthlyDebit(amount, frequency) {
+    return (Number(amount) || 0) * PAYMENTS_PER_MONTH[frequency === 'weekly' ? 'weekly' : 'daily'];
+}
+
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export function getOpenPositions(positions) {
+    return (positions || []).filter(position =>
+        position.balance === null ? position.payment > 0 : position.balance > 0);
+}
+
+// Totals for the merchant's open positions as of a date
+export function summarizePositions(positions, monthlyRevenue, asOf) {
+    const open = getOpenPositions(positions);
+    const today = asOf || new Date();
+    const monthlyDebits = open.reduce((sum, position) => sum + toMonthlyDebit(position.payment, position.frequency), 0);
+
+    const fundedTimes = open
+        .map(position => position.fundedDate ? new Date(position.fundedDate).getTime() : NaN)
+        .filter(time => !isNaN(time));
+    const lastFunded = fundedTimes.length > 0 ? Math.max(...fundedTimes) : null;
+
+    return {
+        count: open.length,
+        totalBalance: open.reduce((sum, position) => sum + (position.balance || 0), 0),
+        monthlyDebits,
+        holdbackPct: monthlyRevenue > 0 ? monthlyDebits / monthlyRevenue * 100 : 0,
+        daysSinceLastFunding: lastFunded === null ? null : Math.floor((today.getTime() - lastFunded) / MS_PER_DAY),
+        missingDates: open.length - fundedTimes.length
+    };
+}
+
+export function validatePositions(positions) {
+    positions.forEach((position, index) => {
+        const label = position.funder || `Position ${index + 1}`;
+        if (position.balance < 0 || position.payment < 0) {
+            throw new Error(`${label}: balance and payment can't be negative`);
+        }
+        if (position.balance > 0 && position.payment <= 0) {
+            throw new Error(`${label}: enter the payment amount`);
+        }
+        if (position.fundedDate && new Date(position.fundedDate).getTime() > Date.now()) {
+            throw new Error(`${label}: funded date is in the future`);
+        }
+    });
+}
@@ -0,0 +1,137 @@
+// Qualification
+//
+// Qualifies a merchant against every lender without touching the DOM, so the
+// same logic drives the results view, what-if scenarios, batch runs and Node.
+// Lender rules default to DEFAULT_LENDER_RULES; pass options.rules to use a
+// customized rule set. options.profile picks the strictness profile (see
+// tolerances.js), Standard by default.
+
+import { isKnownState } from './states.js';
+import { getAutoDropReason } from './schema.js';
+import { validatePositions } from './positions.js';
+import { checkLenderRules } from './lender-rules.js';
+import { getStrictnessProfile } from './tolerances.js';
+import {
+    checkPositionRange,
+    checkStackingRequirements,
+    checkBankStatementRequirements,
+    checkStateRestrictions,
+    checkSolePropRestrictions,
+    checkOtherRequirements,
+    checkIndustryRestrictions,
+    checkMinimumRequirements
+} from './checks.js';
+
+export function qualify(lenders, criteria, options = {}) {
+    const profile = getStrictnessProfile(options.profile);
+    let qualifiedLenders = [];
+    let conditionalLenders = [];
+    let nonQualifiedLenders = [];
+    let needsReviewLenders = [];
+    let autoDroppedCount = 0;
+    let processingErrors = [];
+    let lenderWarnings = {};
+    let lenderNotes = {};
+
+    lenders.forEach((lender, index) => {
+        try {
+            const lenderName = String(lender['Lender Name'] || '').trim();
+
+            // Skip rows the import report flagged as unusable
+            if (getAutoDropReason(lender)) {
+                autoDroppedCount++;
+                return;
+            }
+
+            // Evaluate every rule so reps see all the reasons a lender declines
+            const outcomes = [].concat(
+                checkPositionRange(lender, criteria),
+                checkStackingRequirements(lender, criteria),
+                checkBankStatementRequirements(lender, criteria),
+                checkLenderRules(lender, criteria, options.rules),
+                checkStateRestrictions(lender, criteria),
+                criteria.isSoleProp ? checkSolePropRestrictions(lender) : [],
+                checkOtherRequirements(lender, criteria),
+                checkIndustryRestrictions(lender, criteria),
+                checkMinimumRequirements(lender, criteria, profile)
+            );
+            const failures = outcomes.filter(outcome => !outcome.passed);
+            const reviews = outcomes.filter(outcome => outcome.passed && outcome.needsReview);
+            const conditions = outcomes.filter(outcome => outcome.passed && outcome.conditional);
+            const warnings = outcomes.filter(outcome => outcome.warning).map(outcome => outcome.warning);
+            if (warnings.length > 0) lenderWarnings[lenderName] = warnings;
+            // Other_Key_Requirements text the parser didn't recognize
+            const notes = [].concat(...outcomes.filter(outcome => outcome.notes).map(outcome => outcome.notes));
+            if (notes.length > 0) lenderNotes[lenderName] = notes;
+
+            // Final classification
+            if (failures.length > 0) {
+                nonQualifiedLenders.push({ 
+                    lender: lenderName, 
+                    blockingRule: failures[0].message,
+                    failures: failures,
+                    outcomes: outcomes
+                });
+            } else if (reviews.length > 0) {
+                needsReviewLenders.push({
+                    lender: lenderName,
+                    row: lender,
+                    reviews: reviews,
+                    conditions: conditions,
+                    outcomes: outcomes
+                });
+            } else if (conditions.length > 0) {
+                // Passes only thanks to a tolerance
+                conditionalLenders.push({
+                    lender: lenderName,
+                    row: lender,
+                    conditions: conditions,
+                    outcomes: outcomes
+                });
+            } else {
+                qualifiedLenders.push(lender);
+            }
+
+        } catch (error) {
+            processingErrors.push(`Row ${index + 1}: ${error.message}`);
+            autoDroppedCount++;
+        }
+    });
+
+    return {
+        qualified: qualifiedLenders,
+        conditional: conditionalLenders,
+        nonQualified: nonQualifiedLenders,
+        needsReview: needsReviewLenders,
+        autoDropped: autoDroppedCount,
+        errors: processingErrors,
+        warnings: lenderWarnings,
+        notes: lenderNotes,
+        profile: profile.id
+    };
+}
+
+export function validateMerchantCriteria(merchantCriteria) {
+    if (isNaN(merchantCriteria.requestedPosition) || merchantCriteria.requestedPosition < 1 || merchantCriteria.requestedPosition > 10) {
+        throw new Error('Invalid position selected');
+    }
+    if (isNaN(merchantCriteria.tib) || merchantCriteria.tib < 0) {
+        throw new Error('Invalid time in business');
+    }
+    if (isNaN(merchantCriteria.monthlyRevenue) || merchantCriteria.monthlyRevenue < 0) {
+        throw new Error('Invalid monthly revenue');
+    }
+    if (isNaN(merchantCriteria.fico) || merchantCriteria.fico < 300 || merchantCriteria.fico > 850) {
+        throw new Error('Invalid FICO score (must be 300-850)');
+    }
+    if (!merchantCriteria.state) {
+        throw new Error('State is required');
+    }
+    if (!isKnownState(merchantCriteria.state)) {
+        throw new Error(`Unrecognized state "${merchantCriteria.state}"`);
+    }
+    if (!merchantCriteria.industry) {
+        throw new Error('Industry is required');
+    }
+    validatePositions(merchantCriteria.positions || []);
+}
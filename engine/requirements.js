@@ -0,0 +1,125 @@
+// Other_Key_Requirements parsing
+//
+// Turns the free-text Other_Key_Requirements column into typed requirements
+// the engine can enforce. Clauses are separated by ";", new lines, bullets or
+// ", " and each is matched against the phrasings lenders use:
+//   "No sole props" / "Corp only" / "LLC or corp only"     - no-sole-prop
+//   "Only LLCs" / "Must be an LLC or corp"                - no-sole-prop
+//   "Sole props OK"                                       - sole-prop-ok (no restriction)
+//   "Min 5 deposits/month" / "8+ deposits per month"      - min-deposit-count
+//   "Min $20k deposits per month"                         - min-monthly-deposits
+//   "Max 3 NSFs" / "No more than 2 NSFs" / "No NSFs"      - max-nsfs (per month)
+//   "No prior defaults" / "No open defaults"              - no-prior-defaults
+//   "No home-based businesses"                            - no-home-based
+//   "Min ADB $2,000" / "$1k avg daily balance"            - min-avg-daily-balance
+// Clauses that match none of these, or that say more than the phrasing
+// matched ("No sole props under 2 years TIB"), are reported as unparsed so
+// the results can list them for manual review instead of guessing.
+
+import { parseNumber } from './csv.js';
+
+export const NO_OTHER_REQUIREMENTS_PATTERN = /^(none|n\/?a|no other requirements|-+)$/i;
+
+const AMOUNT = '\\$?\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*k?';
+const PER_MONTH = '(?:\\s*(?:per|\\/|a|each|every)\\s*(?:month|mo)\\.?)?';
+const MINIMUM = '(?:min(?:imum)?\\.?(?:\\s+of)?|at\\s+least)';
+const MAXIMUM = '(?:max(?:imum)?\\.?(?:\\s+of)?|no\\s+more\\s+than|up\\s+to|at\\s+most)';
+const AVG_DAILY_BALANCE = '(?:adb|avg\\.?\\s+daily\\s+bal(?:ance)?|average\\s+daily\\s+bal(?:ance)?)';
+// Business entities other than a sole prop: "LLC", "Corp", "S-corps", "Inc"
+const ENTITY = '(?:llcs?|(?:[sc][\\s-]?)?corp(?:oration)?s?|inc(?:orporated)?)';
+const ENTITIES = `${ENTITY}(?:\\s*(?:\\/|or|and|,|&)\\s*${ENTITY})*`;
+
+// [pattern, build(match)] pairs, tried in order on each clause
+const REQUIREMENT_PATTERNS = [
+    [/\bsole\s*prop(?:rietor(?:ship)?)?s?\s+(?:are\s+)?(?:ok|okay|accepted|allowed|welcome|fine)\b/i, () => ({ type: 'sole-prop-ok' })],
+    [/\bsole\s*prop(?:rietor(?:ship)?)?s?\s+(?:are\s+)?not\s+(?:accepted|allowed|funded|eligible|ok|okay)\b|\bno\s+sole\s*prop(?:rietor(?:ship)?)?s?\b|\bno\s+sp'?s\b/i, () => ({ type: 'no-sole-prop' })],
+    [new RegExp(`\\b(?:${ENTITIES}\\s+only|only\\s+${ENTITIES}|must\\s+be\\s+(?:an?\\s+)?${ENTITIES}|${ENTITIES}\\s+required)\\b`, 'i'), () => ({ type: 'no-sole-prop' })],
+    [new RegExp(`\\b${MINIMUM}\\s*(${AMOUNT})\\s*(?:in\\s+)?(?:monthly\\s+)?deposits?${PER_MONTH}`, 'i'), match => amountOrCount(match[1])],
+    [new RegExp(`(${AMOUNT})\\s*\\+\\s*(?:monthly\\s+)?deposits?${PER_MONTH}`, 'i'), match => amountOrCount(match[1])],
+    [new RegExp(`\\b${MINIMUM}\\s*(?:monthly\\s+)?deposits?${PER_MONTH}\\s*(?:of\\s*)?:?\\s*(${AMOUNT})`, 'i'), match => amountOrCount(match[1])],
+    [/\bno\s+nsfs?\b/i, () => ({ type: 'max-nsfs', value: 0 })],
+    [new RegExp(`\\b${MAXIMUM}\\s*(\\d+)\\s*nsfs?\\b`, 'i'), match => ({ type: 'max-nsfs', value: parseInt(match[1]) })],
+    [/\b(?:under|less\s+than|fewer\s+than|<)\s*(\d+)\s*nsfs?\b/i, match => ({ type: 'max-nsfs', value: Math.max(parseInt(match[1]) - 1, 0) })],
+    [/\b(\d+)\s*nsfs?\s*(?:max(?:imum)?|or\s+(?:less|fewer))\b/i, match => ({ type: 'max-nsfs', value: parseInt(match[1]) })],
+    [/\bno\s+(?:prior|previous|past|open|current|existing|recent)?\s*(?:mca\s+)?defaults?\b/i, () => ({ type: 'no-prior-defaults' })],
+    [/\bno\s+home[\s-]*based\b|\bhome[\s-]*based\s+(?:businesses\s+)?not\s+(?:accepted|allowed|funded)\b/i, () => ({ type: 'no-home-based' })],
+    [new RegExp(`\\b(?:${MINIMUM}\\s*)?${AVG_DAILY_BALANCE}\\s*(?:of\\s*)?:?\\s*(${AMOUNT})`, 'i'), match => averageDailyBalance(match[1])],
+    [new RegExp(`(?:${MINIMUM}\\s*)?(${AMOUNT})\\s*\\+?\\s*(?:min(?:imum)?\\.?\\s*)?${AVG_DAILY_BALANCE}`, 'i'), match => averageDailyBalance(match[1])]
+];
+
+// Words that can sit around a matched phrase without changing its meaning
+const FILLER_WORDS = /\b(?:(?:per|a|each|every)\s+mo(?:nth)?|required|requirement|needed|must|have|be|please|accepted|allowed|strictly|businesses|business|merchants?|the|a|an|of|is|are)\b/gi;
+
+export const SOLE_PROP_MENTION_PATTERN = /\bsole\s*prop|\bsp'?s\b/i;
+
+const parsedRequirementsCache = new Map();
+
+// "$20k" is an amount of deposits, "5" a number of deposits
+function amountOrCount(text) {
+    const value = parseNumber(text);
+    if (value === null) return null;
+    return /\$|k\s*$/i.test(text) || value >= 1000
+        ? { type: 'min-monthly-deposits', value }
+        : { type: 'min-deposit-count', value };
+}
+
+function averageDailyBalance(text) {
+    const value = parseNumber(text);
+    return value === null ? null : { type: 'min-avg-daily-balance', value };
+}
+
+function splitClauses(text) {
+    return String(text)
+        .split(/[;\n•]+|,\s+(?!\d{3}\b)|\.\s+(?=[A-Za-z])/)
+        .map(clause => clause.replace(/^[\s\-*.]+|[\s.]+$/g, ''))
+        .filter(Boolean);
+}
+
+// { requirements: [{ type, value?, text }], unparsed: [clause] }
+export function parseOtherRequirements(text) {
+    const source = String(text || '').trim();
+    if (parsedRequirementsCache.has(source)) return parsedRequirementsCache.get(source);
+
+    const result = { requirements: [], unparsed: [] };
+    splitClauses(source).forEach(clause => {
+        if (NO_OTHER_REQUIREMENTS_PATTERN.test(clause)) return;
+
+        const found = [];
+        let leftover = clause;
+        REQUIREMENT_PATTERNS.forEach(([pattern, build]) => {
+            const match = clause.match(pattern);
+            const requirement = match && build(match);
+            if (requirement && !found.some(existing => existing.type === requirement.type)) {
+                found.push(Object.assign(requirement, { text: clause }));
+                leftover = leftover.replace(match[0], ' ');
+            }
+        });
+
+        // A condition or exception the patterns didn't cover makes the whole
+        // clause a manual review rather than a flat rule
+        const qualified = /[a-z0-9]/i.test(leftover.replace(FILLER_WORDS, ' '));
+        if (found.length === 0 || qualified) {
+            result.unparsed.push(clause);
+        } else {
+            result.requirements.push(...found);
+        }
+    });
+
+    parsedRequirementsCache.set(source, result);
+    return result;
+}
+
+export function describeRequirement(requirement) {
+    const money = value => `$${value.toLocaleString()}`;
+    switch (requirement.type) {
+        case 'no-sole-prop': return 'No sole props';
+        case 'sole-prop-ok': return 'Sole props accepted';
+        case 'min-deposit-count': return `Min ${requirement.value} deposits per month`;
+        case 'min-monthly-deposits': return `Min ${money(requirement.value)} deposits per month`;
+        case 'max-nsfs': return requirement.value === 0 ? 'No NSFs' : `Max ${requirement.value} NSFs per month`;
+        case 'no-prior-defaults': return 'No prior defaults';
+        case 'no-home-based': return 'No home-based businesses';
+        case 'min-avg-daily-balance': return `Min ${money(requirement.value)} avg daily balance`;
+        default: return requirement.text;
+    }
+}
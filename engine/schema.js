@@ -0,0 +1,303 @@
+// Lender guidelines schema
+//
+// Validates guidelines rows before anything is processed: missing or
+// misspelled columns are flagged instead of silently reading as "no
+// restriction", and every row is checked so the rep can see which lenders
+// were loaded, which loaded with warnings, and which were dropped and why.
+
+import { parseStateRestrictions } from './state-restrictions.js';
+import { getLenderIndustries } from './industry-taxonomy.js';
+import { parseRemittanceFrequency } from './positions.js';
+import { parseRuleColumn } from './lender-rules.js';
+
+// Aliases are header spellings seen in lender sheets, compared lowercase with
+// spaces and punctuation removed (see header-mapping.js)
+export const GUIDELINE_SCHEMA = [
+    {
+        name: 'Lender Name', type: 'text', required: true,
+        aliases: ['lender', 'lendername', 'funder', 'fundername', 'company', 'name']
+    },
+    {
+        name: 'Tier', type: 'text', required: true,
+        aliases: ['tier', 'lendertier', 'grade', 'rank']
+    },
+    {
+        name: 'pos_min', type: 'number', required: true,
+        aliases: ['minposition', 'minpositions', 'positionmin', 'minpos', 'lowestposition', 'positionsfrom']
+    },
+    {
+        name: 'pos_max', type: 'number', required: true,
+        aliases: ['maxposition', 'maxpositions', 'positionmax', 'maxpos', 'highestposition', 'positionsto']
+    },
+    {
+        name: 'Min_TIB_Months', type: 'number', required: true,
+        aliases: ['mintib', 'tib', 'tibmonths', 'mintibmonths', 'timeinbusiness', 'mintimeinbusiness']
+    },
+    {
+        name: 'Min_Monthly_Revenue', type: 'number', required: true,
+        aliases: ['minrevenue', 'minmonthlyrevenue', 'monthlyrevenue', 'revenue', 'minmonthlysales', 'mingrossrevenue']
+    },
+    {
+        name: 'Min_FICO', type: 'number', required: true, min: 300, max: 850,
+        aliases: ['minfico', 'fico', 'ficoscore', 'creditscore', 'mincreditscore', 'minscore']
+    },
+    {
+        name: 'State_Restrictions', type: 'text', required: true,
+        aliases: ['restrictedstates', 'staterestrictions', 'excludedstates', 'statesnotfunded', 'states']
+    },
+    {
+        name: 'Prohibited_Industries', type: 'text', required: true,
+        aliases: ['prohibitedindustries', 'excludedindustries', 'industryrestrictions', 'industries']
+    },
+    {
+        name: 'Other_Key_Requirements', type: 'text', required: true,
+        aliases: ['otherkeyrequirements', 'otherrequirements', 'requirements', 'notes', 'guidelines']
+    },
+    {
+        name: 'Restricted_Industries', type: 'text', required: false,
+        aliases: ['restrictedindustries', 'industriesrestricted', 'reviewindustries']
+    },
+    {
+        name: 'Case_By_Case_Industries', type: 'text', required: false,
+        aliases: ['casebycaseindustries', 'casebycase', 'cbcindustries']
+    },
+    {
+        name: 'FICO_Tolerance', type: 'number', required: false, min: 0, max: 100,
+        aliases: ['ficotolerance', 'ficoflex', 'ficocushion', 'ficotolerancepoints']
+    },
+    {
+        name: 'Revenue_Tolerance_Pct', type: 'number', required: false, min: 0, max: 50,
+        aliases: ['revenuetolerancepct', 'revenuetolerance', 'revenueflex', 'revenuetolerancepercent']
+    },
+    {
+        name: 'TIB_Tolerance_Months', type: 'number', required: false, min: 0, max: 24,
+        aliases: ['tibtolerancemonths', 'tibtolerance', 'tibflex']
+    },
+    {
+        name: 'Max_Holdback_Pct', type: 'number', required: false, min: 1, max: 100,
+        aliases: ['maxholdbackpct', 'maxholdback', 'holdbackmax', 'maxholdbackpercent', 'maxwithholding']
+    },
+    {
+        name: 'Min_Days_Since_Last_Funding', type: 'number', required: false,
+        aliases: ['mindayssincelastfunding', 'dayssincelastfunding', 'mindayssincefunding', 'daysbetweenfundings', 'seasoningdays']
+    },
+    {
+        name: 'Max_Positions', type: 'number', required: false,
+        aliases: ['maxexistingpositions', 'maxopenpositions', 'maxstack', 'maxstacking']
+    },
+    {
+        name: 'Max_NSFs', type: 'number', required: false,
+        aliases: ['maxnsfs', 'maxnsf', 'nsfs', 'nsfmax', 'maxnsfspermonth', 'nsflimit']
+    },
+    {
+        name: 'Min_Avg_Daily_Balance', type: 'number', required: false,
+        aliases: ['minavgdailybalance', 'minaveragedailybalance', 'minadb', 'adb', 'avgdailybalance']
+    },
+    {
+        name: 'Max_Negative_Days', type: 'number', required: false,
+        aliases: ['maxnegativedays', 'negativedays', 'maxnegdays', 'negdays']
+    },
+    {
+        name: 'Max_Advance_Pct', type: 'number', required: false, min: 1, max: 500,
+        aliases: ['maxadvancepct', 'maxadvancepercent', 'advancepct', 'pctofrevenue', 'percentofrevenue', 'maxpctofrevenue']
+    },
+    {
+        name: 'Max_Funding', type: 'number', required: false,
+        aliases: ['maxfunding', 'maximumfunding', 'fundingmax', 'maxamount', 'maxadvance', 'maxdealsize']
+    },
+    {
+        name: 'Factor_Rate_Min', type: 'number', required: false, min: 1, max: 2,
+        aliases: ['factorratemin', 'minfactorrate', 'minfactor', 'lowfactor', 'buyrate', 'factorfrom']
+    },
+    {
+        name: 'Factor_Rate_Max', type: 'number', required: false, min: 1, max: 2,
+        aliases: ['factorratemax', 'maxfactorrate', 'maxfactor', 'highfactor', 'factorto']
+    },
+    {
+        name: 'Term_Days', type: 'number', required: false,
+        aliases: ['termdays', 'term', 'maxterm', 'termlength', 'maxtermdays']
+    },
+    {
+        name: 'Approval_Hours', type: 'number', required: false,
+        aliases: ['approvalhours', 'approvaltime', 'turnaround', 'turnaroundhours', 'approvalspeed', 'timetoapproval']
+    },
+    {
+        name: 'Remittance_Frequency', type: 'text', required: false,
+        aliases: ['remittancefrequency', 'remittance', 'paymentfrequency', 'debitfrequency', 'frequency']
+    },
+    {
+        name: 'Custom_Rules', type: 'text', required: false,
+        aliases: ['customrules', 'rules']
+    }
+];
+
+export function compactHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// Closest unknown header to an expected column, if it looks like a misspelling
+export function suggestHeader(column, candidates) {
+    const target = compactHeader(column);
+    let best = null;
+    let bestDistance = Infinity;
+
+    candidates.forEach(candidate => {
+        const distance = editDistance(target, compactHeader(candidate));
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return bestDistance <= Math.max(2, Math.floor(target.length / 4)) ? best : null;
+}
+
+export function validateGuidelineHeaders(headers) {
+    const known = GUIDELINE_SCHEMA.map(column => column.name);
+    const unknown = headers.filter(header => header && !known.includes(header));
+    const missing = GUIDELINE_SCHEMA
+        .filter(column => !headers.includes(column.name))
+        .map(column => ({
+            column: column.name,
+            required: column.required,
+            suggestion: suggestHeader(column.name, unknown)
+        }));
+
+    return {
+        missing: missing.filter(item => item.required),
+        missingOptional: missing.filter(item => !item.required),
+        unknown
+    };
+}
+
+// Errors drop the row from qualification; warnings are informational
+export function validateGuidelineRow(row) {
+    const errors = [];
+    const warnings = [];
+
+    GUIDELINE_SCHEMA.forEach(column => {
+        const value = row[column.name];
+        const isBlank = value === undefined || value === null || String(value).trim() === '';
+
+        if (column.type === 'number') {
+            if (isBlank) {
+                if (column.name === 'pos_min' || column.name === 'pos_max') {
+                    errors.push(`${column.name} is blank`);
+                } else if (column.required) {
+                    warnings.push(`${column.name} is blank (no restriction applied)`);
+                }
+            } else if (typeof value !== 'number') {
+                // Optional columns only feed scoring, so a bad value shouldn't drop the lender
+                if (column.required) {
+                    errors.push(`${column.name} "${value}" is not a number`);
+                } else {
+                    warnings.push(`${column.name} "${value}" is not a number (ignored)`);
+                }
+            } else if ((column.min !== undefined && value < column.min) ||
+                       (column.max !== undefined && value > column.max)) {
+                warnings.push(`${column.name} ${value} is outside ${column.min}-${column.max}`);
+            }
+        }
+    });
+
+    const posMin = row['pos_min'];
+    const posMax = row['pos_max'];
+    if (typeof posMin === 'number' && typeof posMax === 'number' && posMin > posMax) {
+        errors.push(`pos_min ${posMin} is greater than pos_max ${posMax}`);
+    }
+
+    if (!String(row['Tier'] === undefined ? '' : row['Tier']).trim()) {
+        warnings.push('Tier is blank (listed under "No Tier Specified")');
+    }
+
+    const stateRestrictions = parseStateRestrictions(row['State_Restrictions']);
+    if (stateRestrictions.unparsed.length > 0) {
+        warnings.push(`State_Restrictions: couldn't read "${stateRestrictions.unparsed.join('", "')}"`);
+    }
+
+    getLenderIndustries(row).unrecognized.forEach(entry => {
+        warnings.push(`Industry "${entry.text}" isn't in the industry taxonomy (keyword match only)`);
+    });
+
+    const remittance = String(row['Remittance_Frequency'] === undefined ? '' : row['Remittance_Frequency']).trim();
+    if (remittance && !parseRemittanceFrequency(remittance)) {
+        warnings.push(`Remittance_Frequency "${remittance}" isn't daily or weekly (daily assumed)`);
+    }
+
+    try {
+        parseRuleColumn(row['Custom_Rules']);
+    } catch (error) {
+        errors.push(`Custom_Rules: ${error.message}`);
+    }
+
+    return { errors, warnings };
+}
+
+// Rows that aren't lenders at all (blank names, totals), or null
+export function getNonLenderReason(lender) {
+    const lenderName = String(lender['Lender Name'] || '').trim();
+
+    // Empty or invalid lender names
+    if (!lenderName || lenderName.length < 2) {
+        return 'Lender name is blank or too short';
+    }
+
+    // Obviously invalid rows such as totals and summaries
+    if (lenderName.includes('$') || lenderName.match(/^\d+$/) ||
+        lenderName.toLowerCase().includes('total') ||
+        lenderName.toLowerCase().includes('summary')) {
+        return `"${lenderName}" looks like a total or summary row`;
+    }
+    return null;
+}
+
+// Why a lender row can't be qualified, or null if it can
+export function getAutoDropReason(lender) {
+    const nonLenderReason = getNonLenderReason(lender);
+    if (nonLenderReason) return nonLenderReason;
+
+    const { errors } = validateGuidelineRow(lender);
+    return errors.length > 0 ? errors.join('; ') : null;
+}
+
+export function validateGuidelines(rows) {
+    const headers = Object.keys(rows[0] || {});
+    const headerReport = validateGuidelineHeaders(headers);
+
+    const rowReports = rows.map((row, index) => {
+        const { warnings } = validateGuidelineRow(row);
+        return {
+            rowNumber: index + 2, // Header is row 1
+            lenderName: String(row['Lender Name'] || '').trim(),
+            dropReason: getAutoDropReason(row),
+            warnings
+        };
+    });
+
+    return {
+        headers: headerReport,
+        rows: rowReports,
+        isUsable: headerReport.missing.length === 0,
+        loadedCount: rowReports.filter(row => !row.dropReason).length,
+        warningCount: rowReports.filter(row => !row.dropReason && row.warnings.length > 0).length,
+        droppedCount: rowReports.filter(row => row.dropReason).length
+    };
+}
@@ -0,0 +1,24 @@
+// Spreadsheet files
+//
+// Guidelines and merchants can be uploaded as CSV (any delimiter or encoding
+// decodeText and the CSV parser recognize) or as an .xlsx workbook.
+
+import { decodeText, parseCSVRows } from './csv.js';
+import { parseXLSXRows } from './xlsx.js';
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.txt', '.tsv', '.xlsx'];
+
+export function isSpreadsheetFile(fileName) {
+    const name = String(fileName).toLowerCase();
+    return SPREADSHEET_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+// Row objects from a file's raw bytes; options.sheet picks a workbook sheet
+export function parseSpreadsheet(fileName, data, options = {}) {
+    const name = String(fileName).toLowerCase();
+    if (name.endsWith('.xls')) {
+        return Promise.reject(new Error('Old .xls workbooks aren\'t supported; save the sheet as .xlsx or CSV'));
+    }
+    if (name.endsWith('.xlsx')) return parseXLSXRows(data, options);
+    return Promise.resolve().then(() => parseCSVRows(decodeText(data)));
+}
@@ -0,0 +1,139 @@
+// State restriction parsing
+//
+// Turns free-text State_Restrictions into allow/deny lists of normalized state
+// codes. Recognized forms (clauses separated by ".", ";" or new lines):
+//   "CA, NY"                        - plain list, read as states not funded
+//   "No CA, NY" / "Excludes: CA"    - deny list ("Not available in", "All states except", ...)
+//   "Only TX, FL" / "Allowed: TX"   - allow list
+//   "None" / "N/A" / "All states"   - no restriction
+// A clause with anything that isn't a state or one of these phrases is
+// reported as unparsed, with none of its states applied, so the lender goes
+// to review instead of being matched on part of the clause.
+
+import { normalizeState, reverseStateMap } from './states.js';
+
+const NO_STATE_RESTRICTION_PATTERN = /^(none|n\/?a|no restrictions?|all states|all 50 states|-+)$/i;
+// Checked before the allow phrases, which "Available in all states except CA" also starts with
+const ALL_STATES_EXCEPT_PATTERN = /^((?:(?:available|funds?|lends?) in\s+)?all (?:50 )?states\s+(?:except|excluding|but))\s*:?\s*(.*)$/i;
+const STATE_ALLOW_PATTERN = /^(only(?: in)?|allowed(?: states)?|approved states|funds? only(?: in)?|available (?:only )?in)\s*:?\s*(.*)$/i;
+const STATE_DENY_PATTERN = /^(except|excludes?|excluding|excluded(?: states)?|restricted(?: states)?|prohibited(?: states)?|does ?n[o']t fund(?: in)?|not available in|not in|no)\s*:?\s*(.*)$/i;
+
+// Longest state name, in words ("District of Columbia")
+const MAX_STATE_NAME_WORDS = 3;
+
+const parsedStateRestrictionCache = new Map();
+
+// State code for a state name, abbreviation or alias, or null if unknown
+export function toStateCode(text) {
+    const cleaned = String(text).toLowerCase().replace(/[().]/g, ' ').replace(/\s+/g, ' ').trim();
+    const code = normalizeState(cleaned);
+    return reverseStateMap[code] ? code : null;
+}
+
+// "and" and a lowercase "or" join states; an all-caps "OR" is Oregon
+function isListConnector(word) {
+    return /^and$/i.test(word) || (/^or$/i.test(word) && word !== 'OR');
+}
+
+// State codes for a run of words such as "CA NY", "Texas or New Mexico" or
+// "CA OR WA", matching multi-word names first; null if any word isn't a state
+function parseStateWords(text) {
+    const words = text.split(/\s+/);
+    const codes = [];
+    let index = 0;
+
+    while (index < words.length) {
+        if (isListConnector(words[index])) {
+            index++;
+            continue;
+        }
+
+        let length = Math.min(MAX_STATE_NAME_WORDS, words.length - index);
+        let code = null;
+        for (; length > 0 && !code; length--) {
+            code = toStateCode(words.slice(index, index + length).join(' '));
+        }
+        if (!code) return null;
+
+        codes.push(code);
+        index += length + 1;
+    }
+    return codes;
+}
+
+export function parseStateList(text) {
+    const codes = [];
+    const unparsed = [];
+
+    String(text).split(/[,;\/&|]/).forEach(token => {
+        const item = token.trim();
+        if (!item) return;
+
+        const code = toStateCode(item);
+        if (code) {
+            codes.push(code);
+            return;
+        }
+
+        const wordCodes = parseStateWords(item);
+        if (wordCodes) {
+            codes.push(...wordCodes);
+        } else {
+            unparsed.push(item);
+        }
+    });
+
+    return { codes, unparsed };
+}
+
+export function parseStateRestrictions(text) {
+    const source = String(text || '').trim();
+    if (parsedStateRestrictionCache.has(source)) return parsedStateRestrictionCache.get(source);
+
+    const result = { allow: null, deny: [], unparsed: [] };
+
+    // Keep dotted abbreviations intact before splitting clauses on "."
+    const normalized = source
+        .replace(/\bd\.\s?c\.?/gi, 'DC')
+        .replace(/\bu\.s\.\s*/gi, 'US ');
+
+    normalized.split(/[.;\n]+/).map(clause => clause.trim()).filter(Boolean).forEach(clause => {
+        if (NO_STATE_RESTRICTION_PATTERN.test(clause)) return;
+
+        const exceptMatch = clause.match(ALL_STATES_EXCEPT_PATTERN);
+        const allowMatch = !exceptMatch && clause.match(STATE_ALLOW_PATTERN);
+        const denyMatch = exceptMatch || (!allowMatch && clause.match(STATE_DENY_PATTERN));
+        const listText = allowMatch ? allowMatch[2] : denyMatch ? denyMatch[2] : clause;
+        const { codes, unparsed } = parseStateList(listText);
+
+        if (codes.length === 0 || unparsed.length > 0) {
+            result.unparsed.push(clause);
+            return;
+        }
+
+        if (allowMatch) {
+            result.allow = (result.allow || []).concat(codes);
+        } else {
+            result.deny = result.deny.concat(codes);
+        }
+    });
+
+    result.deny = Array.from(new Set(result.deny));
+    if (result.allow) result.allow = Array.from(new Set(result.allow));
+
+    parsedStateRestrictionCache.set(source, result);
+    return result;
+}
+
+export function describeStateRestrictions(parsed) {
+    const list = codes => codes.map(code => code.toUpperCase()).join(', ');
+    const parts = [];
+    if (parsed.allow) parts.push(`Only ${list(parsed.allow)}`);
+    if (parsed.deny.length > 0) parts.push(`Excludes ${list(parsed.deny)}`);
+    return parts.join('; ') || 'No restriction';
+}
+
+export function isStateAllowed(parsed, stateCode) {
+    if (parsed.deny.includes(stateCode)) return false;
+    return !parsed.allow || parsed.allow.includes(stateCode);
+}
@@ -0,0 +1,41 @@
+// States
+//
+// Normalizes merchant and lender state text (names, abbreviations, aliases)
+// to lowercase two-letter codes.
+
+// State abbreviation mapping
+export const stateAbbreviations = {
+    'alabama': 'al', 'alaska': 'ak', 'arizona': 'az', 'arkansas': 'ar', 'california': 'ca',
+    'colorado': 'co', 'connecticut': 'ct', 'delaware': 'de', 'florida': 'fl', 'georgia': 'ga',
+    'hawaii': 'hi', 'idaho': 'id', 'illinois': 'il', 'indiana': 'in', 'iowa': 'ia',
+    'kansas': 'ks', 'kentucky': 'ky', 'louisiana': 'la', 'maine': 'me', 'maryland': 'md',
+    'massachusetts': 'ma', 'michigan': 'mi', 'minnesota': 'mn', 'mississippi': 'ms', 'missouri': 'mo',
+    'montana': 'mt', 'nebraska': 'ne', 'nevada': 'nv', 'new hampshire': 'nh', 'new jersey': 'nj',
+    'new mexico': 'nm', 'new york': 'ny', 'north carolina': 'nc', 'north dakota': 'nd', 'ohio': 'oh',
+    'oklahoma': 'ok', 'oregon': 'or', 'pennsylvania': 'pa', 'rhode island': 'ri', 'south carolina': 'sc',
+    'south dakota': 'sd', 'tennessee': 'tn', 'texas': 'tx', 'utah': 'ut', 'vermont': 'vt',
+    'virginia': 'va', 'washington': 'wa', 'west virginia': 'wv', 'wisconsin': 'wi', 'wyoming': 'wy',
+    'district of columbia': 'dc', 'puerto rico': 'pr', 'guam': 'gu', 'virgin islands': 'vi',
+    'american samoa': 'as', 'northern mariana islands': 'mp'
+};
+
+// Other spellings of state and territory names
+export const stateNameAliases = {
+    'washington dc': 'dc', 'us virgin islands': 'vi', 'usvi': 'vi', 'cnmi': 'mp'
+};
+
+export const reverseStateMap = {};
+Object.keys(stateAbbreviations).forEach(name => {
+    const abbrev = stateAbbreviations[name];
+    reverseStateMap[abbrev] = name;
+});
+
+export function normalizeState(state) {
+    if (!state) return '';
+    const lower = state.toLowerCase().trim();
+    return stateAbbreviations[lower] || stateNameAliases[lower] || lower;
+}
+
+export function isKnownState(state) {
+    return Boolean(reverseStateMap[normalizeState(state)]);
+}
@@ -0,0 +1,123 @@
+// Qualification tolerances and strictness profiles
+//
+// How far below a lender's minimums a merchant may fall and still be sent to
+// that lender. The global tolerances come from the strictness profile chosen
+// for the run; a lender can set its own in the optional guideline columns
+//   FICO_Tolerance         - points below Min_FICO
+//   Revenue_Tolerance_Pct  - percent below Min_Monthly_Revenue
+//   TIB_Tolerance_Months   - months below Min_TIB_Months
+// which replace the profile's, except under Strict, where every lender is
+// held to its stated minimums. A lender the merchant clears only thanks to a
+// tolerance qualifies conditionally. The profiles' values below are defaults;
+// resolveStrictnessProfiles applies saved settings over them.
+
+// Points below a lender's Min_FICO accepted under the Standard profile
+export const FICO_TOLERANCE = 20;
+
+// Profile values that settings may change, with the same ranges as the
+// lender tolerance columns
+export const STRICTNESS_SETTINGS = {
+    fico: { label: 'FICO points', min: 0, max: 100 },
+    revenuePct: { label: 'Revenue %', min: 0, max: 50 },
+    tibMonths: { label: 'TIB months', min: 0, max: 24 }
+};
+
+// e.g. "FICO −30, revenue −10%, TIB −2 months"
+export function describeTolerances({ fico, revenuePct, tibMonths }) {
+    const parts = [];
+    if (fico > 0) parts.push(`FICO −${fico}`);
+    if (revenuePct > 0) parts.push(`revenue −${revenuePct}%`);
+    if (tibMonths > 0) parts.push(`TIB −${tibMonths} ${tibMonths === 1 ? 'month' : 'months'}`);
+    return parts.length > 0 ? parts.join(', ') : 'Stated minimums only';
+}
+
+function strictnessProfile(id, label, values) {
+    return Object.assign({ id, label }, values, { description: describeTolerances(values) });
+}
+
+export const STRICTNESS_PROFILES = {
+    strict: strictnessProfile('strict', 'Strict', { fico: 0, revenuePct: 0, tibMonths: 0, lenderTolerances: false }),
+    standard: strictnessProfile('standard', 'Standard', { fico: FICO_TOLERANCE, revenuePct: 0, tibMonths: 0, lenderTolerances: true }),
+    aggressive: strictnessProfile('aggressive', 'Aggressive', { fico: 30, revenuePct: 10, tibMonths: 2, lenderTolerances: true })
+};
+
+export const DEFAULT_STRICTNESS_PROFILE = 'standard';
+
+// Tolerance key -> guideline column holding a lender's own value
+export const LENDER_TOLERANCE_COLUMNS = {
+    fico: 'FICO_Tolerance',
+    revenuePct: 'Revenue_Tolerance_Pct',
+    tibMonths: 'TIB_Tolerance_Months'
+};
+
+// The profiles with saved settings applied over the defaults, e.g.
+//   { aggressive: { fico: 40, revenuePct: 15 } }
+// Values left out keep their defaults; an unknown profile or setting, or a
+// value out of range, throws.
+export function resolveStrictnessProfiles(settings = {}) {
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+        throw new Error('Strictness settings must be an object of profiles');
+    }
+
+    const profiles = {};
+    Object.keys(STRICTNESS_PROFILES).forEach(id => {
+        profiles[id] = STRICTNESS_PROFILES[id];
+    });
+
+    Object.keys(settings).forEach(id => {
+        const defaults = STRICTNESS_PROFILES[id];
+        if (!defaults) throw new Error(`Unknown strictness profile "${id}"`);
+
+        const values = Object.assign({}, defaults);
+        Object.keys(settings[id] || {}).forEach(key => {
+            const setting = STRICTNESS_SETTINGS[key];
+            if (!setting) throw new Error(`Unknown setting "${key}" for ${defaults.label} (use ${Object.keys(STRICTNESS_SETTINGS).join(', ')})`);
+
+            const value = settings[id][key];
+            if (typeof value !== 'number' || !(value >= setting.min && value <= setting.max)) {
+                throw new Error(`${defaults.label} ${key} must be a number from ${setting.min} to ${setting.max}`);
+            }
+            values[key] = value;
+        });
+        profiles[id] = strictnessProfile(id, defaults.label, values);
+    });
+    return profiles;
+}
+
+// A profile by id (case-insensitive) or a profile object; defaults to
+// Standard. profiles is STRICTNESS_PROFILES or resolveStrictnessProfiles'
+// result.
+export function getStrictnessProfile(profile = DEFAULT_STRICTNESS_PROFILE, profiles = STRICTNESS_PROFILES) {
+    if (typeof profile === 'object' && profile !== null) return profile;
+
+    const found = profiles[String(profile).trim().toLowerCase()];
+    if (!found) {
+        throw new Error(`Unknown strictness profile "${profile}" (use ${Object.keys(profiles).join(', ')})`);
+    }
+    return found;
+}
+
+// { fico, revenuePct, tibMonths } for one lender under a profile
+export function getLenderTolerances(lender, profile) {
+    profile = getStrictnessProfile(profile);
+
+    const tolerances = {};
+    Object.keys(LENDER_TOLERANCE_COLUMNS).forEach(key => {
+        const own = profile.lenderTolerances ? parseFloat(lender[LENDER_TOLERANCE_COLUMNS[key]]) : NaN;
+        tolerances[key] = !isNaN(own) && own >= 0 ? own : profile[key];
+    });
+    return tolerances;
+}
+
+// Lowest passing value of each minimum once tolerances apply, keyed by the
+// criteria property it's compared with; NaN where the lender sets no minimum
+export function getMinimumThresholds(lender, profile) {
+    const tolerances = getLenderTolerances(lender, profile);
+    const minRevenue = parseFloat(lender['Min_Monthly_Revenue']);
+
+    return {
+        tib: parseFloat(lender['Min_TIB_Months']) - tolerances.tibMonths,
+        monthlyRevenue: Math.round(minRevenue * (1 - tolerances.revenuePct / 100)),
+        fico: parseFloat(lender['Min_FICO']) - tolerances.fico
+    };
+}
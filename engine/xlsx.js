@@ -0,0 +1,228 @@
+// Excel workbooks
+//
+// Reads .xlsx guideline workbooks without a spreadsheet library: the file is
+// a zip archive of XML parts, unpacked with the platform's
+// DecompressionStream. Only cell values are read (shared strings, inline
+// strings, numbers and booleans); formulas come through as their cached
+// results and dates as Excel serial numbers. Cells formatted as percentages
+// hold fractions (25% is stored as 0.25), so they're scaled back to the
+// percent the sheet shows, as a CSV export would write it. The first sheet is
+// used unless a sheet name is given.
+
+import { recordsToRows } from './csv.js';
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+// Built-in number formats 0% and 0.00%
+const PERCENT_FORMAT_IDS = [9, 10];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function readUint16(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint32(bytes, offset) {
+    return (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+}
+
+// Zip entries by name: { method, offset, compressedSize }
+function readZipDirectory(bytes) {
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+        if (readUint32(bytes, offset) === ZIP_END_OF_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not an .xlsx workbook (zip directory not found)');
+
+    const entries = {};
+    const count = readUint16(bytes, end + 10);
+    let offset = readUint32(bytes, end + 16);
+    const decoder = new TextDecoder('utf-8');
+
+    for (let i = 0; i < count; i++) {
+        if (readUint32(bytes, offset) !== ZIP_DIRECTORY_ENTRY) throw new Error('Workbook zip directory is corrupt');
+        const nameLength = readUint16(bytes, offset + 28);
+        const extraLength = readUint16(bytes, offset + 30);
+        const commentLength = readUint16(bytes, offset + 32);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries[name] = {
+            method: readUint16(bytes, offset + 10),
+            compressedSize: readUint32(bytes, offset + 20),
+            offset: readUint32(bytes, offset + 42)
+        };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
+
+function readZipText(bytes, entries, name) {
+    const entry = entries[name];
+    if (!entry) return Promise.resolve(null);
+    if (readUint32(bytes, entry.offset) !== ZIP_LOCAL_HEADER) {
+        return Promise.reject(new Error(`Workbook part ${name} is corrupt`));
+    }
+
+    const start = entry.offset + 30 + readUint16(bytes, entry.offset + 26) + readUint16(bytes, entry.offset + 28);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+    const decode = content => new TextDecoder('utf-8').decode(content);
+
+    if (entry.method === 0) return Promise.resolve(decode(data));
+    if (entry.method === 8) return inflateRaw(data).then(decode);
+    return Promise.reject(new Error(`Workbook part ${name} uses unsupported compression`));
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        }
+        return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+    });
+}
+
+function readAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+// Text of every <t> run, skipping phonetic hints
+function readRichText(xml) {
+    const text = [];
+    xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').replace(/<t\b[^>]*>([\s\S]*?)<\/t>/g, (match, content) => {
+        text.push(decodeXml(content));
+        return match;
+    });
+    return text.join('');
+}
+
+function readSharedStrings(xml) {
+    if (!xml) return [];
+    return (xml.match(/<si\b[\s\S]*?<\/si>/g) || []).map(readRichText);
+}
+
+// Indexes of the cell styles (a cell's s attribute) that show a percentage
+function readPercentStyles(xml) {
+    const percentStyles = new Set();
+    if (!xml) return percentStyles;
+
+    const percentFormats = new Set(PERCENT_FORMAT_IDS);
+    (xml.match(/<numFmt\b[^>]*>/g) || []).forEach(tag => {
+        // A % outside quoted text or [color]/[condition] brackets
+        const code = (readAttribute(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+        if (code.includes('%')) percentFormats.add(parseInt(readAttribute(tag, 'numFmtId')));
+    });
+
+    const cellStyles = xml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/);
+    if (cellStyles) {
+        (cellStyles[0].match(/<xf\b[^>]*>/g) || []).forEach((tag, index) => {
+            if (percentFormats.has(parseInt(readAttribute(tag, 'numFmtId')))) percentStyles.add(index);
+        });
+    }
+    return percentStyles;
+}
+
+// Zero-based column from a cell reference like "AB12"
+function columnIndex(reference) {
+    const letters = String(reference || '').match(/^[A-Z]+/i);
+    if (!letters) return null;
+    return letters[0].toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function readCellValue(attributes, content, sharedStrings, percentStyles) {
+    const type = readAttribute(attributes, 't');
+    if (type === 'inlineStr') return readRichText(content);
+
+    const valueMatch = content.match(/<v>([\s\S]*?)<\/v>/);
+    const value = valueMatch ? decodeXml(valueMatch[1]) : '';
+    if (type === 's') return sharedStrings[parseInt(value)] || '';
+    if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+    if (type === 'e') return ''; // #N/A, #DIV/0! and other formula errors
+    if (type === 'str') return value;
+    if (value === '') return '';
+    if (percentStyles.has(parseInt(readAttribute(attributes, 's')))) {
+        return Math.round(Number(value) * 100 * 1e9) / 1e9; // 0.075 * 100 is 7.500000000000001
+    }
+    return Number(value);
+}
+
+function readSheetRecords(xml, sharedStrings, percentStyles) {
+    const records = [];
+    (xml.match(/<row\b[^>]*>[\s\S]*?<\/row>/g) || []).forEach(rowXml => {
+        const record = [];
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let match;
+        while ((match = cellPattern.exec(rowXml)) !== null) {
+            const index = columnIndex(readAttribute(match[1], 'r'));
+            const value = readCellValue(match[1], match[2] || '', sharedStrings, percentStyles);
+            record[index === null ? record.length : index] = value;
+        }
+
+        const cells = Array.from(record, value => value === undefined ? '' : value);
+        if (cells.some(value => String(value).trim() !== '')) records.push(cells);
+    });
+    return records;
+}
+
+// Worksheet part for a sheet name (or the first sheet)
+function findSheetPath(workbookXml, relsXml, sheetName) {
+    const sheets = (workbookXml.match(/<sheet\b[^>]*>/g) || []).map(tag => ({
+        name: readAttribute(tag, 'name'),
+        id: readAttribute(tag, 'r:id')
+    }));
+    if (sheets.length === 0) throw new Error('Workbook has no sheets');
+
+    const sheet = sheetName
+        ? sheets.find(candidate => candidate.name.toLowerCase() === sheetName.toLowerCase())
+        : sheets[0];
+    if (!sheet) {
+        throw new Error(`Sheet "${sheetName}" not found (sheets: ${sheets.map(candidate => candidate.name).join(', ')})`);
+    }
+
+    const relationship = (relsXml.match(/<Relationship\b[^>]*>/g) || [])
+        .find(tag => readAttribute(tag, 'Id') === sheet.id);
+    if (!relationship) throw new Error(`Sheet "${sheet.name}" has no worksheet part`);
+
+    const target = readAttribute(relationship, 'Target');
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+// Cell values of one sheet as arrays, blank rows skipped
+export function readXLSXRecords(data, options = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    return Promise.resolve().then(() => {
+        const entries = readZipDirectory(bytes);
+        return Promise.all([
+            readZipText(bytes, entries, 'xl/workbook.xml'),
+            readZipText(bytes, entries, 'xl/_rels/workbook.xml.rels'),
+            readZipText(bytes, entries, 'xl/sharedStrings.xml'),
+            readZipText(bytes, entries, 'xl/styles.xml')
+        ]).then(([workbookXml, relsXml, sharedStringsXml, stylesXml]) => {
+            if (!workbookXml || !relsXml) throw new Error('Not an .xlsx workbook (workbook part missing)');
+            const sheetPath = findSheetPath(workbookXml, relsXml, options.sheet);
+            return readZipText(bytes, entries, sheetPath).then(sheetXml => {
+                if (!sheetXml) throw new Error(`Workbook part ${sheetPath} is missing`);
+                return readSheetRecords(sheetXml, readSharedStrings(sharedStringsXml), readPercentStyles(stylesXml));
+            });
+        });
+    });
+}
+
+export function parseXLSXRows(data, options) {
+    return readXLSXRecords(data, options)
+        .then(recordsToRows)
+        .catch(error => {
+            throw new Error(`Excel import failed: ${error.message}`);
+        });
+}
@@ -0,0 +1,267 @@
+// Result exports
+//
+// Saves or shares the most recent qualification run (lastRun) as CSV, JSON,
+// a print-ready submission packet, or plain text on the clipboard. Every
+// export carries the merchant criteria and the guidelines file it ran against.
+
+function describeCriteria(criteria) {
+    return [
+        ['Position', `${ordinal(criteria.requestedPosition)} position`],
+        ['Time in Business', `${criteria.tib} months`],
+        ['Monthly Revenue', `$${criteria.monthlyRevenue.toLocaleString()}`],
+        ['FICO Score', criteria.fico],
+        ['State', criteria.state],
+        ['Industry', criteria.industry],
+        ['Sole Proprietorship', criteria.isSoleProp ? 'Yes' : 'No'],
+        ['Existing Positions', describePositions(criteria.positions, criteria.monthlyRevenue)],
+        ['Bank Statements', describeBankMetrics(criteria.bankMetrics)]
+    ].concat(describeOptionalCriteria(criteria));
+}
+
+// Only the optional requirement inputs that were filled in
+function describeOptionalCriteria(criteria) {
+    const answer = value => value ? 'Yes' : 'No';
+    return [
+        ['Deposits per Month', criteria.depositsPerMonth],
+        ['NSFs per Month', criteria.nsfsPerMonth],
+        ['Avg Daily Balance', criteria.avgDailyBalance === null || criteria.avgDailyBalance === undefined
+            ? null : `$${criteria.avgDailyBalance.toLocaleString()}`],
+        ['Prior Default', criteria.hasPriorDefault === null || criteria.hasPriorDefault === undefined ? null : answer(criteria.hasPriorDefault)],
+        ['Home-Based Business', criteria.isHomeBased === null || criteria.isHomeBased === undefined ? null : answer(criteria.isHomeBased)]
+    ].filter(([, value]) => value !== null && value !== undefined);
+}
+
+// Profile label for results saved before profiles existed too
+function describeStrictness(profileId) {
+    const profile = getStrictnessProfiles()[profileId || DEFAULT_STRICTNESS_PROFILE];
+    return profile ? `${profile.label} (${profile.description})` : profileId;
+}
+
+function describeGuidelines() {
+    return {
+        fileName: csvFileName || 'Unknown',
+        loadedAt: csvLoadedAt ? csvLoadedAt.toISOString() : null
+    };
+}
+
+function formatDateTime(date) {
+    return date ? new Date(date).toLocaleString() : 'Unknown';
+}
+
+function buildRunExport(run) {
+    return {
+        generatedAt: new Date().toISOString(),
+        runAt: run.runAt.toISOString(),
+        guidelines: describeGuidelines(),
+        criteria: run.criteria,
+        strictness: run.result.profile || DEFAULT_STRICTNESS_PROFILE,
+        summary: {
+            qualified: run.result.qualified.length,
+            conditional: (run.result.conditional || []).length,
+            needsReview: run.result.needsReview.length,
+            nonQualified: run.result.nonQualified.length,
+            autoDropped: run.result.autoDropped
+        },
+        qualified: groupLendersByTier(run.result.qualified).map(group => ({
+            tier: group.tier,
+            lenders: group.lenders.map(lender => String(lender['Lender Name']).trim())
+        })),
+        ranking: scoreLenders(run.result.qualified, run.criteria).map((entry, index) => ({
+            rank: index + 1,
+            lender: entry.name,
+            score: entry.score,
+            factors: Object.keys(entry.factors)
+                .filter(id => entry.factors[id])
+                .reduce((factors, id) => Object.assign(factors, {
+                    [id]: { points: Math.round(entry.factors[id].points * 100), detail: entry.factors[id].detail }
+                }), {})
+        })),
+        offers: run.result.qualified.map(lender => estimateOffer(lender, run.criteria)).map(estimate => ({
+            lender: estimate.lender,
+            affordable: estimate.affordable,
+            reason: estimate.reason,
+            frequency: estimate.terms.frequency,
+            termDays: estimate.terms.termDays,
+            assumptions: estimate.terms.assumptions,
+            low: estimate.low,
+            high: estimate.high
+        })),
+        conditional: (run.result.conditional || [])
+            .slice()
+            .sort((a, b) => a.lender.localeCompare(b.lender))
+            .map(item => ({
+                lender: item.lender,
+                tier: String(item.row['Tier'] || '').trim(),
+                conditions: item.conditions.map(outcome => outcome.condition)
+            })),
+        needsReview: run.result.needsReview
+            .slice()
+            .sort((a, b) => a.lender.localeCompare(b.lender))
+            .map(item => ({
+                lender: item.lender,
+                tier: String(item.row['Tier'] || '').trim(),
+                reasons: item.reviews.map(review => review.message)
+            })),
+        nonQualified: run.result.nonQualified
+            .slice()
+            .sort((a, b) => a.lender.localeCompare(b.lender))
+            .map(item => ({
+                lender: item.lender,
+                failures: item.failures.map(failure => ({
+                    ruleId: failure.ruleId,
+                    category: failure.category,
+                    requirement: failure.requirement,
+                    merchantValue: failure.merchantValue,
+                    message: failure.message
+                }))
+            })),
+        manualReview: run.result.notes || {}
+    };
+}
+
+function buildRunCSV(run) {
+    const data = buildRunExport(run);
+    const rows = [
+        ['Lender Qualification Results'],
+        ['Run At', formatDateTime(data.runAt)],
+        ['Guidelines File', data.guidelines.fileName],
+        ['Guidelines Loaded At', formatDateTime(data.guidelines.loadedAt)],
+        ['Strictness', describeStrictness(data.strictness)]
+    ];
+
+    describeCriteria(run.criteria).forEach(([label, value]) => rows.push([label, value]));
+    rows.push([]);
+    rows.push(['Status', 'Tier', 'Lender', 'Reasons']);
+
+    data.qualified.forEach(group => {
+        group.lenders.forEach(lender => rows.push(['Qualified', group.tier, lender, '']));
+    });
+    data.conditional.forEach(item => {
+        rows.push(['Conditional', item.tier, item.lender, item.conditions.join('; ')]);
+    });
+    data.needsReview.forEach(item => {
+        rows.push(['Needs Review', item.tier, item.lender, item.reasons.join('; ')]);
+    });
+    data.nonQualified.forEach(item => {
+        rows.push(['Non-Qualified', '', item.lender, item.failures.map(failure => failure.message).join('; ')]);
+    });
+    Object.keys(data.manualReview).sort().forEach(lender => {
+        rows.push(['Manual Review', '', lender, data.manualReview[lender].join('; ')]);
+    });
+
+    return toCSV(rows);
+}
+
+function formatRunAsText(run) {
+    const data = buildRunExport(run);
+    const lines = ['LENDER QUALIFICATION RESULTS', ''];
+
+    describeCriteria(run.criteria).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push(`Guidelines: ${data.guidelines.fileName} (loaded ${formatDateTime(data.guidelines.loadedAt)})`);
+    lines.push(`Strictness: ${describeStrictness(data.strictness)}`);
+    lines.push('');
+
+    if (data.qualified.length === 0) {
+        lines.push('No qualified lenders found.');
+    } else {
+        lines.push(`QUALIFIED LENDERS (${data.summary.qualified})`);
+        data.qualified.forEach(group => {
+            lines.push(group.tier === 'Unknown' ? 'No Tier Specified:' : `Tier ${group.tier}:`);
+            group.lenders.forEach(lender => lines.push(`  - ${lender}`));
+        });
+    }
+
+    if (data.conditional.length > 0) {
+        lines.push('');
+        lines.push(`CONDITIONAL — WITHIN TOLERANCE (${data.summary.conditional})`);
+        data.conditional.forEach(item => {
+            lines.push(`  - ${item.lender}: ${item.conditions.join('; ')}`);
+        });
+    }
+
+    if (data.needsReview.length > 0) {
+        lines.push('');
+        lines.push(`NEEDS REVIEW (${data.summary.needsReview})`);
+        data.needsReview.forEach(item => {
+            lines.push(`  - ${item.lender}: ${item.reasons.join('; ')}`);
+        });
+    }
+
+    if (data.nonQualified.length > 0) {
+        lines.push('');
+        lines.push(`NON-QUALIFIED LENDERS (${data.summary.nonQualified})`);
+        data.nonQualified.forEach(item => {
+            lines.push(`  - ${item.lender}: ${item.failures.map(failure => failure.message).join('; ')}`);
+        });
+    }
+
+    const manualReview = Object.keys(data.manualReview).sort();
+    if (manualReview.length > 0) {
+        lines.push('');
+        lines.push('MANUAL REVIEW NOTES');
+        manualReview.forEach(lender => {
+            lines.push(`  - ${lender}: ${data.manualReview[lender].join('; ')}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+function copyTextToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text);
+    }
+
+    // Fallback for browsers without the async clipboard API
+    return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        copied ? resolve() : reject(new Error('Copy command was rejected'));
+    });
+}
+
+// Shown only when printing, so the packet identifies the merchant and guidelines
+function renderPrintHeader() {
+    if (!lastRun) return '';
+    const guidelines = describeGuidelines();
+
+    return `
+        <div class="print-header">
+            <h2>Lender Qualification Results</h2>
+            <div class="print-meta">
+                Run ${formatDateTime(lastRun.runAt)} · Guidelines: ${escapeHtml(guidelines.fileName)}
+                (loaded ${formatDateTime(guidelines.loadedAt)})
+            </div>
+            <table class="print-criteria">
+                ${describeCriteria(lastRun.criteria).map(([label, value]) =>
+                    `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+            </table>
+        </div>
+    `;
+}
+
+function exportLastRun(format, button) {
+    if (!lastRun) return;
+
+    const stamp = lastRun.runAt.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+
+    if (format === 'csv') {
+        downloadFile(`qualification-${stamp}.csv`, buildRunCSV(lastRun), 'text/csv');
+    } else if (format === 'json') {
+        downloadFile(`qualification-${stamp}.json`, JSON.stringify(buildRunExport(lastRun), null, 2), 'application/json');
+    } else if (format === 'print') {
+        window.print();
+    } else if (format === 'clipboard') {
+        const label = button.textContent;
+        copyTextToClipboard(formatRunAsText(lastRun))
+            .then(() => { button.textContent = '✅ Copied'; })
+            .catch(() => { button.textContent = '❌ Copy failed'; })
+            .then(() => setTimeout(() => { button.textContent = label; }, 2000));
+    }
+}
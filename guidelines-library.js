@@ -0,0 +1,287 @@
+// Guidelines library
+//
+// Every successfully imported guidelines sheet is saved to IndexedDB as a
+// versioned set (name, upload date, version). An admin can switch between
+// saved versions to preview them and compare any two to see which lenders
+// were added, removed or changed before approving one on the server. When the
+// server has no approved set to offer, the newest saved set is used.
+
+const GUIDELINES_DB_NAME = 'lenderGuidelines';
+const GUIDELINES_DB_VERSION = 2;
+const GUIDELINE_SETS_STORE = 'guidelineSets';
+const DEALS_STORE = 'deals'; // Added in version 2, see deals.js
+
+let guidelineSets = []; // Saved sets, newest first
+let activeGuidelineSetId = null;
+let guidelinesLibraryLoaded = null; // Settles once the saved sets are listed
+
+function openGuidelinesDB() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(GUIDELINES_DB_NAME, GUIDELINES_DB_VERSION);
+        request.onupgradeneeded = function() {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(GUIDELINE_SETS_STORE)) {
+                const store = db.createObjectStore(GUIDELINE_SETS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('name', 'name');
+            }
+            if (!db.objectStoreNames.contains(DEALS_STORE)) {
+                db.createObjectStore(DEALS_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs fn(store) in a transaction and resolves with the value of the request it returns
+function withStore(storeName, mode, fn) {
+    return openGuidelinesDB().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+function listGuidelineSets() {
+    return withStore(GUIDELINE_SETS_STORE, 'readonly', store => store.getAll())
+        .then(sets => sets.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt) || b.id - a.id));
+}
+
+function getGuidelineSetName(fileName) {
+    return String(fileName || 'Guidelines').replace(/\.[^.]+$/, '').trim() || 'Guidelines';
+}
+
+// Saves rows as the next version of the set with this name
+function saveGuidelineSet(name, fileName, rows) {
+    return listGuidelineSets().then(sets => {
+        const versions = sets.filter(set => set.name === name).map(set => set.version);
+        const record = {
+            name,
+            fileName,
+            version: versions.length > 0 ? Math.max(...versions) + 1 : 1,
+            uploadedAt: new Date().toISOString(),
+            lenderCount: rows.length,
+            rows
+        };
+        return withStore(GUIDELINE_SETS_STORE, 'readwrite', store => store.add(record))
+            .then(id => Object.assign(record, { id }));
+    });
+}
+
+function formatGuidelineSet(set) {
+    return `${set.name} v${set.version}`;
+}
+
+function describeGuidelineSet(set) {
+    return `${formatGuidelineSet(set)} — ${formatDateTime(set.uploadedAt)} (${set.lenderCount} lenders)`;
+}
+
+// Called after an upload is validated; stores it and marks it active
+function storeImportedGuidelines(fileName, rows) {
+    return saveGuidelineSet(getGuidelineSetName(fileName), fileName, rows)
+        .then(set => {
+            activeGuidelineSetId = set.id;
+            return refreshGuidelinesLibrary();
+        })
+        .catch(error => showLibraryError('Guidelines were not saved to the library', error));
+}
+
+function useGuidelineSet(set) {
+    const status = document.getElementById('fileStatus');
+
+    guidelinesReport = validateGuidelines(set.rows);
+    renderImportReport(guidelinesReport);
+    closeMappingWizard();
+    pendingImport = null;
+
+    csvData = set.rows;
+    csvFileName = `${set.fileName} (v${set.version})`;
+    csvLoadedAt = new Date(set.uploadedAt);
+    activeGuidelineSetId = set.id;
+
+    status.textContent = `📚 Using saved guidelines ${formatGuidelineSet(set)} ` +
+        `(uploaded ${formatDateTime(set.uploadedAt)}, ${guidelinesReport.loadedCount} lenders)`;
+    status.className = 'status success';
+    status.style.display = 'block';
+
+    renderGuidelinesLibrary();
+    updateProcessButton();
+}
+
+function lenderKey(row) {
+    return String(row['Lender Name'] || '').trim().toLowerCase();
+}
+
+function formatDiffValue(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text || '(blank)';
+}
+
+// Lenders added, removed or changed between two sets of guideline rows
+function diffGuidelineSets(oldRows, newRows) {
+    const oldByLender = new Map(oldRows.map(row => [lenderKey(row), row]));
+    const newByLender = new Map(newRows.map(row => [lenderKey(row), row]));
+    const name = row => String(row['Lender Name']).trim();
+
+    const added = newRows.filter(row => !oldByLender.has(lenderKey(row))).map(name);
+    const removed = oldRows.filter(row => !newByLender.has(lenderKey(row))).map(name);
+    const changed = [];
+
+    newRows.forEach(newRow => {
+        const oldRow = oldByLender.get(lenderKey(newRow));
+        if (!oldRow) return;
+
+        const columns = Array.from(new Set(Object.keys(oldRow).concat(Object.keys(newRow))));
+        const changes = columns
+            .filter(column => formatDiffValue(oldRow[column]) !== formatDiffValue(newRow[column]))
+            .map(column => ({ column, from: oldRow[column], to: newRow[column] }));
+
+        if (changes.length > 0) changed.push({ lender: name(newRow), changes });
+    });
+
+    return { added, removed, changed };
+}
+
+function renderGuidelinesDiff(fromSet, toSet) {
+    const container = document.getElementById('guidelinesDiff');
+    const diff = diffGuidelineSets(fromSet.rows, toSet.rows);
+
+    let html = `<h5>${escapeHtml(formatGuidelineSet(fromSet))} → ${escapeHtml(formatGuidelineSet(toSet))}</h5>`;
+
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+        html += `<p class="diff-empty">No differences.</p>`;
+    } else {
+        if (diff.added.length > 0) {
+            html += `<div class="diff-group added"><strong>➕ Added (${diff.added.length}):</strong> ${escapeHtml(diff.added.join(', '))}</div>`;
+        }
+        if (diff.removed.length > 0) {
+            html += `<div class="diff-group removed"><strong>➖ Removed (${diff.removed.length}):</strong> ${escapeHtml(diff.removed.join(', '))}</div>`;
+        }
+        if (diff.changed.length > 0) {
+            html += `
+                <div class="diff-group changed">
+                    <strong>✏️ Changed (${diff.changed.length}):</strong>
+                    <ul>
+                        ${diff.changed.map(item => `
+                            <li>
+                                <strong>${escapeHtml(item.lender)}:</strong>
+                                ${item.changes.map(change =>
+                                    escapeHtml(`${change.column} ${formatDiffValue(change.from)} → ${formatDiffValue(change.to)}`)).join('; ')}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+    }
+
+    container.innerHTML = html;
+    container.style.display = 'block';
+}
+
+function renderGuidelineSetOptions(selectedId) {
+    const names = Array.from(new Set(guidelineSets.map(set => set.name)));
+    return names.map(name => `
+        <optgroup label="${escapeHtml(name)}">
+            ${guidelineSets.filter(set => set.name === name).map(set => `
+                <option value="${set.id}" ${set.id === selectedId ? 'selected' : ''}>
+                    ${escapeHtml(describeGuidelineSet(set))}${set.id === activeGuidelineSetId ? ' ✓' : ''}
+                </option>
+            `).join('')}
+        </optgroup>
+    `).join('');
+}
+
+function renderGuidelinesLibrary() {
+    const container = document.getElementById('guidelinesLibrary');
+
+    if (guidelineSets.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const active = guidelineSets.find(set => set.id === activeGuidelineSetId);
+    // Default comparison: the active set against the version before it
+    const sameName = active ? guidelineSets.filter(set => set.name === active.name) : [];
+    const previous = sameName[sameName.indexOf(active) + 1];
+    const compareTo = active ? active.id : guidelineSets[0].id;
+    const compareFrom = previous ? previous.id : (guidelineSets[1] || guidelineSets[0]).id;
+
+    container.innerHTML = `
+        <details class="guidelines-library-panel">
+            <summary>📚 Guidelines Library (${guidelineSets.length} saved)</summary>
+            <div class="library-row">
+                <select id="librarySetSelect">${renderGuidelineSetOptions(activeGuidelineSetId)}</select>
+                <button type="button" class="secondary-btn" id="useSetBtn">Use This Version</button>
+            </div>
+            <div class="library-row">
+                <select id="diffFromSelect">${renderGuidelineSetOptions(compareFrom)}</select>
+                <span>→</span>
+                <select id="diffToSelect">${renderGuidelineSetOptions(compareTo)}</select>
+                <button type="button" class="secondary-btn" id="diffSetsBtn">Compare</button>
+            </div>
+            <div id="guidelinesDiff" class="guidelines-diff" style="display: none;"></div>
+        </details>
+    `;
+    container.style.display = 'block';
+
+    const findSet = selectId => guidelineSets.find(set => set.id === Number(document.getElementById(selectId).value));
+
+    document.getElementById('useSetBtn').addEventListener('click', () => {
+        const set = findSet('librarySetSelect');
+        if (set) useGuidelineSet(set);
+    });
+    document.getElementById('diffSetsBtn').addEventListener('click', () => {
+        const fromSet = findSet('diffFromSelect');
+        const toSet = findSet('diffToSelect');
+        if (fromSet && toSet) renderGuidelinesDiff(fromSet, toSet);
+    });
+}
+
+function refreshGuidelinesLibrary() {
+    return listGuidelineSets().then(sets => {
+        guidelineSets = sets;
+        document.getElementById('libraryStatus').style.display = 'none';
+        renderGuidelinesLibrary();
+    });
+}
+
+// Library storage failures are shown under the upload; the full error goes to
+// the console in debug mode
+function showLibraryError(message, error) {
+    if (debugMode) console.warn(`${message}:`, error);
+    const status = document.getElementById('libraryStatus');
+    status.textContent = `⚠️ ${message}${error && error.message ? ` (${error.message})` : ''}`;
+    status.className = 'status error';
+    status.style.display = 'block';
+}
+
+function initGuidelinesLibrary() {
+    guidelinesLibraryLoaded = refreshGuidelinesLibrary()
+        .catch(error => showLibraryError('Guidelines library unavailable', error));
+    return guidelinesLibraryLoaded;
+}
+
+// Falls back to the newest saved set when the server has no approved set (see
+// loadServerGuidelines in session.js), unless a sheet was loaded meanwhile.
+// Resolves to whether a saved set is now in use.
+function useNewestGuidelineSet() {
+    return (guidelinesLibraryLoaded || Promise.resolve()).then(() => {
+        if (csvData || guidelineSets.length === 0) return false;
+        useGuidelineSet(guidelineSets[0]);
+        return true;
+    });
+}
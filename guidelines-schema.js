@@ -0,0 +1,68 @@
+// Guidelines import report
+//
+// Renders the report from validateGuidelines (engine/schema.js) after an
+// upload: missing or misspelled columns, and which lenders were loaded,
+// loaded with warnings, or dropped and why.
+
+let guidelinesReport = null;
+
+function renderImportReport(report) {
+    const container = document.getElementById('importReport');
+    let html = `<div class="import-report">`;
+
+    if (report.headers.missing.length > 0) {
+        html += `
+            <div class="import-issue error">
+                <strong>Missing required columns — guidelines not loaded:</strong>
+                <ul>
+                    ${report.headers.missing.map(item => `
+                        <li>${item.column}${item.suggestion ? ` (found "${escapeHtml(item.suggestion)}" — misspelled?)` : ''}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    if (report.headers.unknown.length > 0) {
+        html += `
+            <div class="import-issue warning">
+                <strong>Unrecognized columns (ignored):</strong> ${escapeHtml(report.headers.unknown.join(', '))}
+            </div>
+        `;
+    }
+
+    html += `
+        <div class="import-counts">
+            <span>${report.rows.length} rows</span>
+            <span class="loaded">${report.loadedCount} loaded</span>
+            <span class="warned">${report.warningCount} with warnings</span>
+            <span class="dropped">${report.droppedCount} dropped</span>
+        </div>
+    `;
+
+    const issueRows = report.rows.filter(row => row.dropReason || row.warnings.length > 0);
+    if (issueRows.length > 0) {
+        html += `
+            <details ${report.droppedCount > 0 ? 'open' : ''}>
+                <summary>Row details</summary>
+                <table class="import-table">
+                    <thead><tr><th>Row</th><th>Lender</th><th>Status</th><th>Details</th></tr></thead>
+                    <tbody>
+                        ${issueRows.map(row => `
+                            <tr class="${row.dropReason ? 'dropped' : 'warned'}">
+                                <td>${row.rowNumber}</td>
+                                <td>${row.lenderName ? escapeHtml(row.lenderName) : '<em>(blank)</em>'}</td>
+                                <td>${row.dropReason ? 'Dropped' : 'Warning'}</td>
+                                <td>${[row.dropReason].concat(row.warnings).filter(Boolean).map(escapeHtml).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    html += `</div>`;
+    container.innerHTML = html;
+    container.style.display = 'block';
+}
@@ -0,0 +1,228 @@
+// Guidelines header mapping
+//
+// Lender sheets arrive with their own column names ("Min FICO", "Credit
+// Score", "Restricted States"). After upload, headers that don't match the
+// schema are matched to it by fuzzy comparison against each column's name and
+// aliases, the rep confirms or overrides the mapping, and the confirmed
+// mapping is remembered per header layout so the next upload is automatic.
+
+const HEADER_MAPPINGS_STORAGE_KEY = 'lenderHeaderMappings';
+const HEADER_MATCH_THRESHOLD = 0.7;
+
+// Mapping value for a column the rep confirms is not in the sheet
+const UNMAPPED_BLANK = '__blank__';
+
+let pendingImport = null; // { rows, headers, fileName } awaiting mapping
+
+function getLayoutKey(headers) {
+    return headers.map(compactHeader).filter(Boolean).sort().join('|');
+}
+
+function loadSavedMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(HEADER_MAPPINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getSavedMapping(headers) {
+    const mapping = loadSavedMappings()[getLayoutKey(headers)];
+    if (!mapping) return null;
+
+    // Ignore a saved mapping that points at headers no longer present
+    const valid = Object.keys(mapping).every(column =>
+        mapping[column] === UNMAPPED_BLANK || headers.includes(mapping[column])
+    );
+    return valid ? mapping : null;
+}
+
+function saveMapping(headers, mapping) {
+    const mappings = loadSavedMappings();
+    mappings[getLayoutKey(headers)] = mapping;
+    localStorage.setItem(HEADER_MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+}
+
+function scoreHeaderMatch(header, column) {
+    const source = compactHeader(header);
+    if (!source) return 0;
+
+    return [compactHeader(column.name)].concat(column.aliases || []).reduce((best, candidate) => {
+        if (source === candidate) return 1;
+        const similarity = 1 - editDistance(source, candidate) / Math.max(source.length, candidate.length);
+        return Math.max(best, similarity);
+    }, 0);
+}
+
+// Best header for each schema column, each header used at most once
+function suggestHeaderMapping(headers) {
+    const pairs = [];
+    GUIDELINE_SCHEMA.forEach(column => {
+        headers.forEach(header => {
+            const score = header === column.name ? 1.01 : scoreHeaderMatch(header, column);
+            if (score >= HEADER_MATCH_THRESHOLD) pairs.push({ column: column.name, header, score });
+        });
+    });
+
+    const suggestions = {};
+    const usedHeaders = new Set();
+    pairs.sort((a, b) => b.score - a.score).forEach(pair => {
+        if (!suggestions[pair.column] && !usedHeaders.has(pair.header)) {
+            suggestions[pair.column] = { header: pair.header, score: Math.min(pair.score, 1) };
+            usedHeaders.add(pair.header);
+        }
+    });
+    return suggestions;
+}
+
+function hasExactHeaders(headers) {
+    return GUIDELINE_SCHEMA.every(column => !column.required || headers.includes(column.name));
+}
+
+// Renames mapped columns to their schema names; other columns pass through.
+// A column renamed to a number column is normalized as it would have been
+// had the file used the schema name.
+function applyHeaderMapping(rows, mapping) {
+    const mappedHeaders = Object.values(mapping);
+
+    return rows.map(row => {
+        const mapped = {};
+        Object.keys(row).forEach(header => {
+            if (!mappedHeaders.includes(header)) mapped[header] = row[header];
+        });
+        Object.keys(mapping).forEach(column => {
+            const value = mapping[column] === UNMAPPED_BLANK ? '' : row[mapping[column]];
+            mapped[column] = isNumberColumn(column) ? normalizeCellValue(value, column) : value;
+        });
+        return mapped;
+    });
+}
+
+function renderMappingWizard(headers, initialMapping) {
+    const container = document.getElementById('mappingWizard');
+    const suggestions = suggestHeaderMapping(headers);
+
+    let html = `
+        <div class="mapping-wizard">
+            <h4>🧭 Match Your Columns</h4>
+            <p>This sheet's headers don't match the expected layout. Confirm which column holds each field.</p>
+            <table class="mapping-table">
+                <thead><tr><th>Field</th><th>Column in your sheet</th><th>Match</th></tr></thead>
+                <tbody>
+    `;
+
+    GUIDELINE_SCHEMA.forEach(column => {
+        const suggestion = suggestions[column.name];
+        const selected = initialMapping && initialMapping[column.name] !== undefined
+            ? initialMapping[column.name]
+            : (suggestion ? suggestion.header : '');
+        const confidence = suggestion && selected === suggestion.header
+            ? `${Math.round(suggestion.score * 100)}%`
+            : '';
+
+        html += `
+            <tr>
+                <td>${escapeHtml(column.name)}${column.required ? ' <span class="required">*</span>' : ''}</td>
+                <td>
+                    <select data-column="${column.name}">
+                        <option value="">— Select column —</option>
+                        <option value="${UNMAPPED_BLANK}" ${selected === UNMAPPED_BLANK ? 'selected' : ''}>— Not in this sheet (no restriction) —</option>
+                        ${headers.map(header => `
+                            <option value="${escapeHtml(header)}" ${header === selected ? 'selected' : ''}>${escapeHtml(header)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td class="mapping-confidence">${confidence}</td>
+            </tr>
+        `;
+    });
+
+    html += `
+                </tbody>
+            </table>
+            <label class="mapping-remember">
+                <input type="checkbox" id="rememberMapping" checked />
+                Remember this mapping for sheets with the same columns
+            </label>
+            <div id="mappingError" class="login-error" style="display: none;"></div>
+            <div class="mapping-actions">
+                <button type="button" class="secondary-btn" id="cancelMappingBtn">Cancel</button>
+                <button type="button" class="secondary-btn primary" id="applyMappingBtn">Apply Mapping</button>
+            </div>
+        </div>
+    `;
+
+    container.innerHTML = html;
+    container.style.display = 'block';
+
+    document.getElementById('applyMappingBtn').addEventListener('click', confirmMappingWizard);
+    document.getElementById('cancelMappingBtn').addEventListener('click', closeMappingWizard);
+}
+
+function readMappingWizard() {
+    const mapping = {};
+    document.querySelectorAll('#mappingWizard select[data-column]').forEach(select => {
+        if (select.value) mapping[select.dataset.column] = select.value;
+    });
+    return mapping;
+}
+
+function confirmMappingWizard() {
+    const mapping = readMappingWizard();
+    const error = document.getElementById('mappingError');
+    const unmapped = GUIDELINE_SCHEMA.filter(column => column.required && !mapping[column.name]);
+
+    const chosen = Object.values(mapping).filter(value => value !== UNMAPPED_BLANK);
+    const duplicates = chosen.filter((header, index) => chosen.indexOf(header) !== index);
+
+    if (unmapped.length > 0) {
+        error.textContent = `❌ Choose a column (or "Not in this sheet") for: ${unmapped.map(column => column.name).join(', ')}`;
+        error.style.display = 'block';
+        return;
+    }
+    if (duplicates.length > 0) {
+        error.textContent = `❌ "${duplicates[0]}" is mapped to more than one field`;
+        error.style.display = 'block';
+        return;
+    }
+
+    if (document.getElementById('rememberMapping').checked) {
+        saveMapping(pendingImport.headers, mapping);
+    }
+
+    const { rows, fileName } = pendingImport;
+    closeMappingWizard();
+    completeGuidelinesImport(applyHeaderMapping(rows, mapping), fileName, 'column mapping applied');
+}
+
+function closeMappingWizard() {
+    const container = document.getElementById('mappingWizard');
+    container.innerHTML = '';
+    container.style.display = 'none';
+}
+
+// Entry point from the upload handler: imports directly when the headers
+// already match or a saved mapping exists, otherwise opens the wizard
+function startGuidelinesImport(rows, fileName) {
+    const headers = Object.keys(rows[0] || {});
+    pendingImport = { rows, headers, fileName };
+    closeMappingWizard();
+
+    if (hasExactHeaders(headers)) {
+        completeGuidelinesImport(rows, fileName);
+        return;
+    }
+
+    const savedMapping = getSavedMapping(headers);
+    if (savedMapping) {
+        completeGuidelinesImport(applyHeaderMapping(rows, savedMapping), fileName, 'saved column mapping applied');
+        return;
+    }
+
+    renderMappingWizard(headers);
+}
+
+function editGuidelinesMapping() {
+    if (!pendingImport) return;
+    renderMappingWizard(pendingImport.headers, getSavedMapping(pendingImport.headers));
+}
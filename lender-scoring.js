@@ -0,0 +1,272 @@
+// Lender scoring
+//
+// Ranks qualified lenders by how good a fit they are rather than by tier and
+// name. Threshold factors score how comfortably the merchant clears each
+// minimum; lender factors (tier and the optional Max_Funding, Factor_Rate_*,
+// Term_Days and Approval_Hours columns) are scored relative to the other
+// qualified lenders. The overall score is the weighted average of the factors
+// a lender has data for, so a missing optional column neither helps nor hurts.
+
+const SCORING_WEIGHTS_STORAGE_KEY = 'lenderScoringWeights';
+
+const DEFAULT_SCORING_WEIGHTS = {
+    fico: 3,
+    revenue: 3,
+    tib: 2,
+    tier: 2,
+    funding: 1,
+    factorRate: 2,
+    term: 1,
+    approval: 1
+};
+
+function clampScore(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function numericColumn(lender, column) {
+    return typeof lender[column] === 'number' ? lender[column] : null;
+}
+
+// measure() returns the raw value or null when the lender has no data.
+// Threshold factors map it to 0-1 with points(); relative factors are ranked
+// against the other qualified lenders ('higher' or 'lower' is better).
+const SCORING_FACTORS = [
+    {
+        id: 'fico', label: 'FICO Margin',
+        measure: (lender, criteria) => {
+            const minFico = numericColumn(lender, 'Min_FICO');
+            return minFico === null ? null : criteria.fico - minFico;
+        },
+        points: margin => clampScore(margin / 100),
+        describe: margin => `${margin >= 0 ? '+' : ''}${margin} vs min`
+    },
+    {
+        id: 'revenue', label: 'Revenue Multiple',
+        measure: (lender, criteria) => {
+            const minRevenue = numericColumn(lender, 'Min_Monthly_Revenue');
+            return minRevenue ? criteria.monthlyRevenue / minRevenue : null;
+        },
+        points: multiple => clampScore((multiple - 1) / 2),
+        describe: multiple => `${multiple.toFixed(1)}× min`
+    },
+    {
+        id: 'tib', label: 'TIB Headroom',
+        measure: (lender, criteria) => {
+            const minTib = numericColumn(lender, 'Min_TIB_Months');
+            return minTib === null ? null : criteria.tib - minTib;
+        },
+        points: headroom => clampScore(headroom / 24),
+        describe: headroom => `+${headroom} mo`
+    },
+    {
+        id: 'tier', label: 'Tier',
+        measure: lender => {
+            const tier = parseInt(lender['Tier']);
+            return isNaN(tier) ? null : tier;
+        },
+        relative: 'lower',
+        describe: tier => `Tier ${tier}`
+    },
+    {
+        id: 'funding', label: 'Max Funding',
+        measure: lender => numericColumn(lender, 'Max_Funding'),
+        relative: 'higher',
+        describe: amount => `$${amount.toLocaleString()}`
+    },
+    {
+        id: 'factorRate', label: 'Factor Rate',
+        measure: lender => {
+            const rates = [numericColumn(lender, 'Factor_Rate_Min'), numericColumn(lender, 'Factor_Rate_Max')]
+                .filter(rate => rate !== null);
+            return rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null;
+        },
+        relative: 'lower',
+        describe: (rate, lender) => {
+            const low = numericColumn(lender, 'Factor_Rate_Min');
+            const high = numericColumn(lender, 'Factor_Rate_Max');
+            return low !== null && high !== null && low !== high ? `${low}–${high}` : rate.toFixed(2);
+        }
+    },
+    {
+        id: 'term', label: 'Term Length',
+        measure: lender => numericColumn(lender, 'Term_Days'),
+        relative: 'higher',
+        describe: days => `${days} days`
+    },
+    {
+        id: 'approval', label: 'Approval Speed',
+        measure: lender => numericColumn(lender, 'Approval_Hours'),
+        relative: 'lower',
+        describe: hours => `${hours} hrs`
+    }
+];
+
+let lenderSortKey = 'score';
+
+function getScoringWeights() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(SCORING_WEIGHTS_STORAGE_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    return Object.assign({}, DEFAULT_SCORING_WEIGHTS, saved);
+}
+
+function saveScoringWeights(weights) {
+    localStorage.setItem(SCORING_WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+}
+
+// Position of value within [low, high], flipped when lower is better
+function relativePoints(value, low, high, direction) {
+    if (high === low) return 1;
+    const position = (value - low) / (high - low);
+    return direction === 'lower' ? 1 - position : position;
+}
+
+// Scores qualified lenders, highest first
+function scoreLenders(qualified, criteria, weights) {
+    weights = weights || getScoringWeights();
+
+    const measured = qualified.map(lender => ({
+        lender,
+        values: SCORING_FACTORS.map(factor => factor.measure(lender, criteria))
+    }));
+
+    const ranges = SCORING_FACTORS.map((factor, index) => {
+        const values = measured.map(entry => entry.values[index]).filter(value => value !== null);
+        return values.length > 0 ? { low: Math.min(...values), high: Math.max(...values) } : null;
+    });
+
+    return measured.map(({ lender, values }) => {
+        let weighted = 0;
+        let totalWeight = 0;
+
+        const factors = {};
+        SCORING_FACTORS.forEach((factor, index) => {
+            const value = values[index];
+            if (value === null) {
+                factors[factor.id] = null;
+                return;
+            }
+
+            const range = ranges[index];
+            const points = factor.relative
+                ? relativePoints(value, range.low, range.high, factor.relative)
+                : factor.points(value);
+            const weight = Number(weights[factor.id]) || 0;
+
+            weighted += points * weight;
+            totalWeight += weight;
+            factors[factor.id] = { value, points, detail: factor.describe(value, lender) };
+        });
+
+        return {
+            lender,
+            name: String(lender['Lender Name']).trim(),
+            tier: String(lender['Tier'] || '').trim(),
+            score: totalWeight > 0 ? Math.round(weighted / totalWeight * 100) : 0,
+            factors
+        };
+    }).sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+function sortScoredLenders(scored, sortKey) {
+    if (sortKey === 'score') return scored;
+    return scored.slice().sort((a, b) => {
+        const aPoints = a.factors[sortKey] ? a.factors[sortKey].points : -1;
+        const bPoints = b.factors[sortKey] ? b.factors[sortKey].points : -1;
+        return bPoints - aPoints || b.score - a.score || a.name.localeCompare(b.name);
+    });
+}
+
+function renderScoringWeights(weights) {
+    return `
+        <details class="scoring-weights no-print">
+            <summary>⚙️ Scoring weights</summary>
+            <div class="weight-grid">
+                ${SCORING_FACTORS.map(factor => `
+                    <label>
+                        ${factor.label}
+                        <input type="number" min="0" max="10" step="1" data-weight="${factor.id}" value="${weights[factor.id]}" />
+                    </label>
+                `).join('')}
+            </div>
+            <button type="button" class="link-btn" data-reset-weights>Reset to defaults</button>
+        </details>
+    `;
+}
+
+function renderLenderRanking(qualified, criteria, warnings, notes = {}) {
+    const weights = getScoringWeights();
+    const scored = sortScoredLenders(scoreLenders(qualified, criteria, weights), lenderSortKey);
+
+    // Only show factor columns that at least one qualified lender has data for
+    const factors = SCORING_FACTORS.filter(factor => scored.some(entry => entry.factors[factor.id]));
+    const sortHeader = (key, label) =>
+        `<th data-sort="${key}" class="sortable${lenderSortKey === key ? ' sorted' : ''}">${label}${lenderSortKey === key ? ' ▼' : ''}</th>`;
+
+    return `
+        ${renderScoringWeights(weights)}
+        <div class="ranking-wrapper">
+            <table class="ranking-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Lender</th>
+                        ${sortHeader('score', 'Score')}
+                        ${factors.map(factor => sortHeader(factor.id, factor.label)).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${scored.map((entry, index) => `
+                        <tr>
+                            <td class="rank-cell">${index + 1}</td>
+                            <td class="lender-cell">
+                                ${escapeHtml(entry.name)}
+                                ${entry.tier ? `<span class="tier-badge">Tier ${escapeHtml(entry.tier)}</span>` : ''}
+                                ${renderLenderWarnings(warnings[entry.name])}
+                                ${renderLenderNotes(notes[entry.name])}
+                            </td>
+                            <td class="score-cell">${entry.score}</td>
+                            ${factors.map(factor => {
+                                const result = entry.factors[factor.id];
+                                return result
+                                    ? `<td><div class="factor-points">${Math.round(result.points * 100)}</div><div class="factor-detail">${escapeHtml(result.detail)}</div></td>`
+                                    : `<td class="factor-missing">—</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function refreshLenderRanking() {
+    const container = document.getElementById('lenderRanking');
+    if (!container || !lastRun) return;
+
+    const weightsPanel = container.querySelector('.scoring-weights');
+    const weightsOpen = weightsPanel && weightsPanel.open;
+    container.innerHTML = renderLenderRanking(lastRun.result.qualified, lastRun.criteria, lastRun.result.warnings, lastRun.result.notes);
+    if (weightsOpen) container.querySelector('.scoring-weights').open = true;
+}
+
+function sortLenderRanking(sortKey) {
+    lenderSortKey = sortKey;
+    refreshLenderRanking();
+}
+
+function updateScoringWeight(factorId, value) {
+    const weights = getScoringWeights();
+    weights[factorId] = Math.max(0, Number(value) || 0);
+    saveScoringWeights(weights);
+    refreshLenderRanking();
+}
+
+function resetScoringWeights() {
+    localStorage.removeItem(SCORING_WEIGHTS_STORAGE_KEY);
+    refreshLenderRanking();
+}
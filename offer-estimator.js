@@ -0,0 +1,224 @@
+// Offer estimator
+//
+// Estimates an offer range for each qualified lender from the merchant's
+// monthly revenue and the lender's optional offer columns (Max_Advance_Pct,
+// Max_Funding, Factor_Rate_Min/Max, Term_Days, Remittance_Frequency,
+// Max_Holdback_Pct). The low end of the range uses the highest factor rate and
+// the high end the lowest. Advances are capped so payments on existing
+// positions plus the new remittance stay within the lender's Max_Holdback_Pct
+// of monthly revenue. Columns a lender leaves blank fall back to
+// DEFAULT_OFFER_TERMS and are listed as assumptions on the estimate. Payments
+// are counted per month as for existing positions (PAYMENTS_PER_MONTH: 21
+// business days or 52/12 weeks), so the count matches the payment schedule.
+
+const DAYS_PER_MONTH = 365 / 12;
+const ADVANCE_ROUNDING = 500;
+
+const DEFAULT_OFFER_TERMS = {
+    maxAdvancePct: 100,
+    maxHoldbackPct: 25,
+    factorRateMin: 1.25,
+    factorRateMax: 1.45,
+    termDays: 180,
+    frequency: 'daily'
+};
+
+function getExistingMonthlyDebits(criteria) {
+    return summarizePositions(criteria.positions, criteria.monthlyRevenue).monthlyDebits;
+}
+
+// Offer terms from the lender row, with defaults noted as assumptions
+function getOfferTerms(lender) {
+    const assumptions = [];
+    const read = (column, fallback, label) => {
+        if (typeof lender[column] === 'number' && lender[column] > 0) return lender[column];
+        assumptions.push(label);
+        return fallback;
+    };
+
+    const maxAdvancePct = read('Max_Advance_Pct', DEFAULT_OFFER_TERMS.maxAdvancePct, `${DEFAULT_OFFER_TERMS.maxAdvancePct}% of revenue`);
+    const termDays = read('Term_Days', DEFAULT_OFFER_TERMS.termDays, `${DEFAULT_OFFER_TERMS.termDays}-day term`);
+    const maxHoldbackPct = read('Max_Holdback_Pct', DEFAULT_OFFER_TERMS.maxHoldbackPct,
+        `${DEFAULT_OFFER_TERMS.maxHoldbackPct}% max holdback`);
+
+    let factorRateMin = typeof lender['Factor_Rate_Min'] === 'number' ? lender['Factor_Rate_Min'] : null;
+    let factorRateMax = typeof lender['Factor_Rate_Max'] === 'number' ? lender['Factor_Rate_Max'] : null;
+    if (factorRateMin === null && factorRateMax === null) {
+        factorRateMin = DEFAULT_OFFER_TERMS.factorRateMin;
+        factorRateMax = DEFAULT_OFFER_TERMS.factorRateMax;
+        assumptions.push(`${factorRateMin}–${factorRateMax} factor`);
+    }
+    if (factorRateMin === null) factorRateMin = factorRateMax;
+    if (factorRateMax === null) factorRateMax = factorRateMin;
+
+    let frequency = parseRemittanceFrequency(lender['Remittance_Frequency']);
+    if (!frequency) {
+        frequency = DEFAULT_OFFER_TERMS.frequency;
+        assumptions.push(`${frequency} remittance`);
+    }
+
+    return {
+        maxAdvancePct,
+        maxHoldbackPct,
+        maxFunding: typeof lender['Max_Funding'] === 'number' && lender['Max_Funding'] > 0 ? lender['Max_Funding'] : null,
+        factorRateMin: Math.min(factorRateMin, factorRateMax),
+        factorRateMax: Math.max(factorRateMin, factorRateMax),
+        termDays,
+        frequency,
+        assumptions
+    };
+}
+
+function getPaymentCount(termDays, frequency) {
+    return Math.max(1, Math.round(termDays / DAYS_PER_MONTH * PAYMENTS_PER_MONTH[frequency]));
+}
+
+// Offer at one factor rate: the largest advance within every cap
+function estimateOfferAt(factorRate, terms, criteria, availableMonthly) {
+    const termMonths = terms.termDays / DAYS_PER_MONTH;
+    const caps = [
+        { label: `${terms.maxAdvancePct}% of revenue`, amount: criteria.monthlyRevenue * terms.maxAdvancePct / 100 },
+        { label: `${terms.maxHoldbackPct}% holdback`, amount: availableMonthly * termMonths / factorRate }
+    ];
+    if (terms.maxFunding) caps.push({ label: 'Max funding', amount: terms.maxFunding });
+
+    const limit = caps.reduce((lowest, cap) => cap.amount < lowest.amount ? cap : lowest);
+    const advance = Math.floor(limit.amount / ADVANCE_ROUNDING) * ADVANCE_ROUNDING;
+    const payback = advance * factorRate;
+    const paymentCount = getPaymentCount(terms.termDays, terms.frequency);
+    const monthlyRemittance = payback / termMonths;
+
+    return {
+        advance,
+        factorRate,
+        payback,
+        paymentCount,
+        payment: payback / paymentCount,
+        holdbackPct: criteria.monthlyRevenue > 0 ? monthlyRemittance / criteria.monthlyRevenue * 100 : 0,
+        limitedBy: limit.label
+    };
+}
+
+function estimateOffer(lender, criteria) {
+    const terms = getOfferTerms(lender);
+    const existingMonthly = getExistingMonthlyDebits(criteria);
+    const existingHoldbackPct = criteria.monthlyRevenue > 0 ? existingMonthly / criteria.monthlyRevenue * 100 : 0;
+    const availableMonthly = criteria.monthlyRevenue * terms.maxHoldbackPct / 100 - existingMonthly;
+
+    const estimate = {
+        lender: String(lender['Lender Name']).trim(),
+        terms,
+        existingHoldbackPct,
+        affordable: availableMonthly > 0,
+        reason: null,
+        low: null,
+        high: null
+    };
+
+    if (!estimate.affordable) {
+        estimate.reason = `Existing positions already take ${existingHoldbackPct.toFixed(1)}% of revenue (max ${terms.maxHoldbackPct}%)`;
+        return estimate;
+    }
+
+    estimate.low = estimateOfferAt(terms.factorRateMax, terms, criteria, availableMonthly);
+    estimate.high = estimateOfferAt(terms.factorRateMin, terms, criteria, availableMonthly);
+
+    if (estimate.high.advance <= 0) {
+        estimate.affordable = false;
+        estimate.reason = 'Remaining holdback capacity is too small for a minimum advance';
+    }
+    return estimate;
+}
+
+// Month-by-month remittance for an offer
+function buildPaymentSchedule(offer, terms) {
+    const perMonth = PAYMENTS_PER_MONTH[terms.frequency];
+    const schedule = [];
+    let paid = 0;
+    let paymentsMade = 0;
+
+    for (let month = 1; paymentsMade < offer.paymentCount; month++) {
+        const payments = Math.min(Math.round(perMonth * month) - paymentsMade, offer.paymentCount - paymentsMade);
+        const amount = payments * offer.payment;
+        paymentsMade += payments;
+        paid += amount;
+        schedule.push({ month, payments, amount, balance: Math.max(0, offer.payback - paid) });
+    }
+    return schedule;
+}
+
+function formatMoney(amount) {
+    return `$${Math.round(amount).toLocaleString()}`;
+}
+
+function renderPaymentSchedule(offer, terms) {
+    return `
+        <details class="payment-schedule">
+            <summary>Payment schedule (${formatMoney(offer.advance)} at ${offer.factorRate})</summary>
+            <table>
+                <thead><tr><th>Month</th><th>Payments</th><th>Remitted</th><th>Balance</th></tr></thead>
+                <tbody>
+                    ${buildPaymentSchedule(offer, terms).map(row => `
+                        <tr>
+                            <td>${row.month}</td>
+                            <td>${row.payments}</td>
+                            <td>${formatMoney(row.amount)}</td>
+                            <td>${formatMoney(row.balance)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `;
+}
+
+function renderOfferEstimate(estimate) {
+    if (!estimate.affordable) {
+        return `
+            <div class="offer-card unaffordable">
+                <div class="lender-name">${escapeHtml(estimate.lender)}</div>
+                <div class="offer-reason">${escapeHtml(estimate.reason)}</div>
+            </div>
+        `;
+    }
+
+    const { low, high, terms } = estimate;
+    const range = low.advance === high.advance ? formatMoney(high.advance) : `${formatMoney(low.advance)} – ${formatMoney(high.advance)}`;
+    const factor = terms.factorRateMin === terms.factorRateMax ? terms.factorRateMin : `${terms.factorRateMin}–${terms.factorRateMax}`;
+
+    return `
+        <div class="offer-card">
+            <div class="lender-name">${escapeHtml(estimate.lender)}</div>
+            <div class="offer-range">${range}</div>
+            <div class="offer-terms">
+                <span>Factor ${escapeHtml(factor)}</span>
+                <span>${escapeHtml(terms.termDays)} days</span>
+                <span>${formatMoney(high.payment)} ${escapeHtml(terms.frequency)} × ${high.paymentCount}</span>
+                <span>Payback ${formatMoney(high.payback)}</span>
+                <span>Holdback ${high.holdbackPct.toFixed(1)}%${estimate.existingHoldbackPct > 0 ? ` (+${estimate.existingHoldbackPct.toFixed(1)}% existing)` : ''}</span>
+            </div>
+            <div class="offer-limit">Limited by ${high.limitedBy}</div>
+            ${terms.assumptions.length > 0 ? `<div class="offer-assumptions">Assumed: ${escapeHtml(terms.assumptions.join(', '))}</div>` : ''}
+            ${renderPaymentSchedule(high, terms)}
+        </div>
+    `;
+}
+
+function renderOfferEstimates(qualified, criteria) {
+    const estimates = scoreLenders(qualified, criteria).map(entry => estimateOffer(entry.lender, criteria));
+    const existingMonthly = getExistingMonthlyDebits(criteria);
+
+    return `
+        <div class="results-section offers">
+            <h3>💵 Offer Estimates</h3>
+            <p class="offer-note">
+                Estimates keep total holdback within each lender's max holdback (${DEFAULT_OFFER_TERMS.maxHoldbackPct}% if not listed)
+                of ${formatMoney(criteria.monthlyRevenue)} monthly revenue${existingMonthly > 0
+                    ? `, including ${formatMoney(existingMonthly)}/month paid to existing positions` : ''}.
+            </p>
+            <div class="offer-grid">
+                ${estimates.map(renderOfferEstimate).join('')}
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,67 @@
+// Existing positions
+//
+// The rep lists the merchant's current advances (funder, balance, payment,
+// frequency, funded date). Open positions determine the requested position
+// and feed the stacking rules: Max_Holdback_Pct, Min_Days_Since_Last_Funding
+// and Max_Positions. Paid-off positions (zero balance) are ignored; the
+// totals themselves are computed by summarizePositions in engine/positions.js.
+
+function describePositions(positions, monthlyRevenue) {
+    const summary = summarizePositions(positions, monthlyRevenue);
+    if (summary.count === 0) return 'None';
+    return `${summary.count} open ($${Math.round(summary.totalBalance).toLocaleString()} balance, ` +
+        `${summary.holdbackPct.toFixed(1)}% holdback)`;
+}
+
+// Form handling
+function renderPositionRow(position) {
+    const row = document.createElement('div');
+    row.className = 'position-row';
+    row.innerHTML = `
+        <input type="text" data-field="funder" placeholder="Funder" value="${escapeHtml(position.funder)}" />
+        <input type="number" data-field="balance" min="0" placeholder="Balance $" value="${position.balance === null || position.balance === undefined ? '' : position.balance}" />
+        <input type="number" data-field="payment" min="0" placeholder="Payment $" value="${position.payment || ''}" />
+        <select data-field="frequency">
+            <option value="daily" ${position.frequency !== 'weekly' ? 'selected' : ''}>Daily</option>
+            <option value="weekly" ${position.frequency === 'weekly' ? 'selected' : ''}>Weekly</option>
+        </select>
+        <input type="date" data-field="fundedDate" value="${position.fundedDate || ''}" title="Funded date" />
+        <button type="button" class="link-btn remove-position" title="Remove position">✕</button>
+    `;
+    return row;
+}
+
+function addPositionRow(position) {
+    document.getElementById('positionsList').appendChild(renderPositionRow(position || {}));
+    updateDerivedPosition();
+}
+
+function readPositions() {
+    return Array.from(document.querySelectorAll('#positionsList .position-row')).map(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+        return {
+            funder: field('funder'),
+            balance: field('balance') === '' ? null : parseFloat(field('balance')) || 0,
+            payment: parseFloat(field('payment')) || 0,
+            frequency: field('frequency'),
+            fundedDate: field('fundedDate')
+        };
+    }).filter(position => position.funder || position.balance || position.payment);
+}
+
+// With positions entered, the requested position is the next one after them
+function updateDerivedPosition() {
+    const select = document.getElementById('position');
+    const hint = document.getElementById('positionHint');
+    const openCount = getOpenPositions(readPositions()).length;
+
+    if (document.querySelectorAll('#positionsList .position-row').length === 0) {
+        select.disabled = false;
+        hint.textContent = '';
+        return;
+    }
+
+    select.value = String(Math.min(openCount + 1, 10));
+    select.disabled = true;
+    hint.textContent = `Derived from ${openCount} open ${openCount === 1 ? 'position' : 'positions'}`;
+}
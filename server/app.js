@@ -0,0 +1,367 @@
+// HTTP handler
+//
+// Serves the page and a small JSON API behind a login. Reps can run
+// qualifications; admins can also upload and approve guideline versions, edit
+// the lender rules and read the audit log. Roles are enforced here, not just
+// hidden in the page.
+//
+//   POST /api/login                       { username, password }
+//   POST /api/logout
+//   GET  /api/session                     current user (does not extend the session)
+//   GET  /api/guidelines/active           the approved set reps qualify against
+//   GET  /api/guidelines                  admin: every version, without rows
+//   POST /api/guidelines                  admin: { fileName, rows } → pending version
+//   POST /api/guidelines/:id/approve      admin
+//   GET  /api/rules                       lender rules config (null for the defaults)
+//   PUT  /api/rules                       admin: { config } as in a rules file
+//   POST /api/audit/qualifications        { strictness, runs: [{ merchant, criteria, counts }] }
+//   GET  /api/audit                       admin: ?action=&limit=
+
+import { randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs';
+import { extname, join } from 'node:path';
+import { SESSION_COOKIE, parseCookies, sessionCookie, hashPassword, verifyPassword } from './auth.js';
+import { loadLenderRules, validateGuidelines } from '../engine/index.js';
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_LOGINS = 10000;
+const MAX_AUDIT_RUNS = 1000;
+const MAX_AUDIT_TEXT = 200;
+
+// Only the page's own files are served; data/, server/, test/ and bin/ are not
+const STATIC_FILE = /^\/(Index\.html|styles\.css|[\w-]+\.js|engine\/[\w-]+\.js)$/;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    }, headers));
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+            reject(new HttpError(415, 'Expected a JSON request body'));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function serveStatic(rootDir, pathname, res) {
+    const path = pathname === '/' ? '/Index.html' : pathname;
+    if (!STATIC_FILE.test(path)) {
+        sendJSON(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    readFile(join(rootDir, path), (error, content) => {
+        if (error) {
+            sendJSON(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(content);
+    });
+}
+
+function describeUser(session, sessions) {
+    return { username: session.username, role: session.role, expiresAt: sessions.expiresAt(session) };
+}
+
+// Guideline versions without their rows, for listings
+function summarizeGuidelineSet(set) {
+    const summary = Object.assign({}, set);
+    delete summary.rows;
+    return summary;
+}
+
+// A guideline row as the page sends it: { "Lender Name": "Acme", "Min_FICO": 550, ... }
+function isGuidelineRow(row) {
+    return Boolean(row) && typeof row === 'object' && !Array.isArray(row) &&
+        Object.values(row).every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value));
+}
+
+// Qualification runs are reported by the page, so only these fields are kept,
+// as numbers, short strings or booleans; anything else is stored as null
+const auditNumber = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const auditText = value => (typeof value === 'string' || typeof value === 'number' ? String(value).slice(0, MAX_AUDIT_TEXT) : null);
+const auditBoolean = value => (typeof value === 'boolean' ? value : null);
+
+const AUDIT_CRITERIA_FIELDS = {
+    requestedPosition: auditNumber,
+    tib: auditNumber,
+    monthlyRevenue: auditNumber,
+    fico: auditNumber,
+    state: auditText,
+    industry: auditText,
+    isSoleProp: auditBoolean
+};
+const AUDIT_COUNT_FIELDS = {
+    qualified: auditNumber,
+    conditional: auditNumber,
+    needsReview: auditNumber,
+    nonQualified: auditNumber
+};
+
+function pickAuditFields(value, fields) {
+    if (!value || typeof value !== 'object') return null;
+    const picked = {};
+    Object.keys(fields).forEach(key => {
+        picked[key] = fields[key](value[key]);
+    });
+    return picked;
+}
+
+// options: { store, sessions, rootDir, secureCookies }
+export function createApp({ store, sessions, rootDir, secureCookies = false }) {
+    // Failures are counted per client address and username, so guessing from
+    // one machine can't lock the account out for everyone else
+    const failedLogins = new Map(); // "address username" → timestamps of recent failures
+    // Checked for unknown usernames so they take as long to refuse as known ones
+    const unknownUserHash = hashPassword(randomBytes(16).toString('hex'));
+
+    const recentFailures = key => (failedLogins.get(key) || []).filter(time => Date.now() - time < LOCKOUT_MS);
+
+    const recordFailedLogin = key => {
+        failedLogins.set(key, recentFailures(key).concat(Date.now()));
+        if (failedLogins.size <= MAX_TRACKED_LOGINS) return;
+
+        failedLogins.forEach((times, other) => {
+            if (recentFailures(other).length === 0) failedLogins.delete(other);
+        });
+        // Still full: forget the oldest first (a Map keeps insertion order)
+        for (const other of failedLogins.keys()) {
+            if (failedLogins.size <= MAX_TRACKED_LOGINS) break;
+            failedLogins.delete(other);
+        }
+    };
+
+    const audit = (session, action, details = {}) =>
+        store.appendAudit(Object.assign({ user: session ? session.username : null, action }, details));
+
+    const routes = [
+        {
+            method: 'POST', path: /^\/api\/login$/, public: true,
+            handle: (req, res) => readBody(req).then(body => {
+                const username = String(body.username || '').trim().toLowerCase();
+                const attemptKey = `${req.socket.remoteAddress} ${username}`;
+                if (recentFailures(attemptKey).length >= MAX_FAILED_LOGINS) {
+                    throw new HttpError(429, 'Too many failed logins; try again in 15 minutes');
+                }
+
+                const user = store.findUser(username);
+                const passwordMatches = verifyPassword(body.password, user ? user.passwordHash : unknownUserHash);
+                if (!user || !passwordMatches) {
+                    recordFailedLogin(attemptKey);
+                    audit(null, 'login-failed', { username });
+                    throw new HttpError(401, 'Incorrect username or password');
+                }
+
+                failedLogins.delete(attemptKey);
+                const session = sessions.create(user);
+                audit(session, 'login');
+                sendJSON(res, 200, { user: describeUser(session, sessions) }, {
+                    'Set-Cookie': sessionCookie(session.token, { secure: secureCookies })
+                });
+            })
+        },
+        {
+            method: 'POST', path: /^\/api\/logout$/, public: true,
+            handle: (req, res, session) => {
+                if (session) {
+                    sessions.destroy(session.token);
+                    audit(session, 'logout');
+                }
+                sendJSON(res, 200, { ok: true }, {
+                    'Set-Cookie': sessionCookie('', { secure: secureCookies, maxAgeSeconds: 0 })
+                });
+            }
+        },
+        {
+            method: 'GET', path: /^\/api\/session$/, keepIdle: true,
+            handle: (req, res, session) => sendJSON(res, 200, { user: describeUser(session, sessions) })
+        },
+        {
+            method: 'GET', path: /^\/api\/guidelines\/active$/,
+            handle: (req, res) => sendJSON(res, 200, { set: store.getActiveGuidelineSet() })
+        },
+        {
+            method: 'GET', path: /^\/api\/guidelines$/, role: 'admin',
+            handle: (req, res) => {
+                const active = store.getActiveGuidelineSet();
+                sendJSON(res, 200, {
+                    activeId: active ? active.id : null,
+                    sets: store.listGuidelineSets().reverse().map(summarizeGuidelineSet)
+                });
+            }
+        },
+        {
+            method: 'POST', path: /^\/api\/guidelines$/, role: 'admin',
+            handle: (req, res, session) => readBody(req).then(body => {
+                if (!Array.isArray(body.rows)) throw new HttpError(400, 'rows must be an array of guideline rows');
+                const badRow = body.rows.findIndex(row => !isGuidelineRow(row));
+                if (badRow !== -1) {
+                    throw new HttpError(400, `Row ${badRow + 1} must be an object of column names to text or numbers`);
+                }
+
+                const report = validateGuidelines(body.rows);
+                if (!report.isUsable) throw new HttpError(422, 'Guidelines are missing required columns');
+
+                const fileName = String(body.fileName || 'Guidelines');
+                const name = String(body.name || fileName.replace(/\.[^.]+$/, '')).trim() || 'Guidelines';
+                const set = store.addGuidelineSet({ name, fileName, rows: body.rows }, session.username);
+                audit(session, 'guidelines-upload', { setId: set.id, name: set.name, version: set.version, lenders: set.lenderCount });
+                sendJSON(res, 201, { set: summarizeGuidelineSet(set) });
+            })
+        },
+        {
+            method: 'POST', path: /^\/api\/guidelines\/(\d+)\/approve$/, role: 'admin',
+            handle: (req, res, session, match) => {
+                const set = store.approveGuidelineSet(Number(match[1]), session.username);
+                if (!set) throw new HttpError(404, 'Guideline version not found');
+                audit(session, 'guidelines-approve', { setId: set.id, name: set.name, version: set.version });
+                sendJSON(res, 200, { set: summarizeGuidelineSet(set) });
+            }
+        },
+        {
+            method: 'GET', path: /^\/api\/rules$/,
+            handle: (req, res) => {
+                const record = store.getRules();
+                sendJSON(res, 200, record || { config: null });
+            }
+        },
+        {
+            method: 'PUT', path: /^\/api\/rules$/, role: 'admin',
+            handle: (req, res, session) => readBody(req).then(body => {
+                let rules;
+                try {
+                    rules = body.config === null ? null : loadLenderRules(body.config);
+                } catch (error) {
+                    throw new HttpError(422, `Invalid lender rules: ${error.message}`);
+                }
+
+                store.saveRules(body.config, session.username);
+                audit(session, 'rules-update', { ruleCount: rules ? rules.length : null });
+                sendJSON(res, 200, store.getRules());
+            })
+        },
+        {
+            method: 'POST', path: /^\/api\/audit\/qualifications$/,
+            handle: (req, res, session) => readBody(req).then(body => {
+                if (!Array.isArray(body.runs) || body.runs.length === 0) {
+                    throw new HttpError(400, 'runs must be a non-empty array');
+                }
+                if (body.runs.length > MAX_AUDIT_RUNS) {
+                    throw new HttpError(400, `runs may list at most ${MAX_AUDIT_RUNS} merchants`);
+                }
+
+                const active = store.getActiveGuidelineSet();
+                const entry = audit(session, 'qualification', {
+                    clientReported: true,
+                    guidelines: active ? { setId: active.id, name: active.name, version: active.version } : null,
+                    batch: auditText(body.batch),
+                    strictness: auditText(body.strictness),
+                    runs: body.runs.map(run => ({
+                        merchant: (run && auditText(run.merchant)) || '',
+                        criteria: run ? pickAuditFields(run.criteria, AUDIT_CRITERIA_FIELDS) : null,
+                        counts: run ? pickAuditFields(run.counts, AUDIT_COUNT_FIELDS) : null
+                    }))
+                });
+                sendJSON(res, 201, { entry });
+            })
+        },
+        {
+            method: 'GET', path: /^\/api\/audit$/, role: 'admin',
+            handle: (req, res, session, match, url) => {
+                const limit = Math.min(parseInt(url.searchParams.get('limit')) || 200, 1000);
+                sendJSON(res, 200, { entries: store.readAudit({ limit, action: url.searchParams.get('action') || null }) });
+            }
+        }
+    ];
+
+    return function handleRequest(req, res) {
+        Promise.resolve().then(() => {
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                throw new HttpError(400, 'Bad request');
+            }
+
+            if (!url.pathname.startsWith('/api/')) {
+                if (req.method !== 'GET' && req.method !== 'HEAD') {
+                    throw new HttpError(405, 'Method not allowed');
+                }
+                serveStatic(rootDir, url.pathname, res);
+                return;
+            }
+
+            const route = routes.find(candidate => candidate.method === req.method && candidate.path.test(url.pathname));
+            if (!route) throw new HttpError(404, 'Not found');
+
+            // Checking the session doesn't count as activity, so polling it can't keep an idle page logged in
+            const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+            let session = sessions.get(token, { touch: !route.keepIdle });
+
+            // Accounts removed or changed with bin/users.js take effect on the next request
+            const user = session && store.findUser(session.username);
+            if (session && !user) {
+                sessions.destroy(session.token);
+                session = null;
+            } else if (session) {
+                session.role = user.role;
+            }
+
+            if (!route.public && !session) {
+                throw new HttpError(401, token ? 'Your session has expired; please log in again' : 'Please log in');
+            }
+            if (route.role && session.role !== route.role) throw new HttpError(403, 'Only admins can do that');
+            return route.handle(req, res, session, url.pathname.match(route.path), url);
+        }).catch(error => {
+            if (error instanceof HttpError) {
+                sendJSON(res, error.status, { error: error.message });
+            } else {
+                console.error(error);
+                sendJSON(res, 500, { error: 'Internal server error' });
+            }
+        });
+    };
+}
@@ -0,0 +1,95 @@
+// Passwords and sessions
+//
+// Passwords are stored as salted scrypt hashes ("scrypt$<salt>$<hash>", hex).
+// Sessions live in memory, keyed by a random token sent in an HttpOnly
+// cookie, and expire after a period without requests.
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+export const ROLES = ['rep', 'admin'];
+export const SESSION_COOKIE = 'agi_session';
+
+export function hashPassword(password) {
+    const salt = randomBytes(SALT_BYTES);
+    const hash = scryptSync(String(password), salt, KEY_BYTES);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+// options.timeoutMs: idle time before a session expires; options.now for tests
+export function createSessions(options = {}) {
+    const timeoutMs = options.timeoutMs || 30 * 60 * 1000;
+    const now = options.now || Date.now;
+    const sessions = new Map();
+
+    const isExpired = session => now() - session.lastSeen > timeoutMs;
+
+    // get() only drops the session it's asked for; each login sweeps out the
+    // ones nobody came back for, so they don't pile up in memory
+    const removeExpired = () => sessions.forEach((session, token) => {
+        if (isExpired(session)) sessions.delete(token);
+    });
+
+    return {
+        timeoutMs,
+        get size() {
+            return sessions.size;
+        },
+        create(user) {
+            removeExpired();
+            const token = randomBytes(32).toString('hex');
+            sessions.set(token, { token, username: user.username, role: user.role, createdAt: now(), lastSeen: now() });
+            return sessions.get(token);
+        },
+        // The live session for a token, or null; touch extends it
+        get(token, { touch = true } = {}) {
+            const session = token ? sessions.get(token) : null;
+            if (!session) return null;
+            if (isExpired(session)) {
+                sessions.delete(token);
+                return null;
+            }
+            if (touch) session.lastSeen = now();
+            return session;
+        },
+        destroy(token) {
+            sessions.delete(token);
+        },
+        expiresAt(session) {
+            return new Date(session.lastSeen + timeoutMs).toISOString();
+        }
+    };
+}
+
+// Cookies that don't decode are skipped rather than failing the request
+export function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Malformed percent-encoding
+        }
+    });
+    return cookies;
+}
+
+export function sessionCookie(token, { secure = false, maxAgeSeconds } = {}) {
+    const parts = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Strict'];
+    if (maxAgeSeconds !== undefined) parts.push(`Max-Age=${maxAgeSeconds}`);
+    if (secure) parts.push('Secure');
+    return parts.join('; ');
+}
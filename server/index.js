@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Local server
+//
+// Serves the tool behind a login:
+//   npm start
+// The page needs this server for its /api routes, so it can't be opened from
+// disk or published to a static host.
+// Settings come from the environment:
+//   PORT                      default 8080
+//   HOST                      default 127.0.0.1; use 0.0.0.0 to serve the office network
+//   DATA_DIR                  default ./data (users, guideline versions, rules, audit log)
+//   SESSION_TIMEOUT_MINUTES   idle time before a login expires, default 30
+//   SECURE_COOKIES            set to 1 when served over HTTPS (e.g. behind a proxy)
+// Create the first admin with: npm run users -- add <username> --role admin
+
+import { createServer } from 'node:http';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createSessions } from './auth.js';
+import { createStore } from './store.js';
+import { createApp } from './app.js';
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const port = parseInt(process.env.PORT) || 8080;
+const host = process.env.HOST || '127.0.0.1';
+const timeoutMinutes = parseFloat(process.env.SESSION_TIMEOUT_MINUTES) || 30;
+
+const store = createStore(resolve(process.env.DATA_DIR || resolve(rootDir, 'data')));
+const sessions = createSessions({ timeoutMs: timeoutMinutes * 60 * 1000 });
+const handler = createApp({ store, sessions, rootDir, secureCookies: process.env.SECURE_COOKIES === '1' });
+
+if (store.listUsers().length === 0) {
+    console.warn('No users yet. Create an admin with: npm run users -- add <username> --role admin');
+}
+
+createServer(handler).listen(port, host, () => {
+    console.log(`Lender qualification tool on http://${host}:${port} (data in ${store.dataDir})`);
+});
@@ -0,0 +1,136 @@
+// Server data files
+//
+// Everything the server keeps lives in one data directory as plain files, so
+// it can be backed up or inspected by hand:
+//   users.json            accounts: username, role and password hash
+//   guideline-sets.json   uploaded guideline versions, pending or approved
+//   rules.json            lender rules, when an admin has replaced the defaults
+//   audit.log             one JSON entry per line: logins, uploads, approvals,
+//                         rule changes and qualification runs
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { ROLES, hashPassword } from './auth.js';
+
+export function createStore(dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+    const path = name => join(dataDir, name);
+
+    const readJSON = (name, fallback) => {
+        if (!existsSync(path(name))) return fallback;
+        return JSON.parse(readFileSync(path(name), 'utf8'));
+    };
+    // Written to a temporary file first so a crash never leaves half a file
+    const writeJSON = (name, value) => {
+        writeFileSync(path(`${name}.tmp`), JSON.stringify(value, null, 2) + '\n');
+        renameSync(path(`${name}.tmp`), path(name));
+    };
+
+    return {
+        dataDir,
+
+        // Users
+        listUsers() {
+            return readJSON('users.json', []);
+        },
+        findUser(username) {
+            const key = String(username || '').trim().toLowerCase();
+            return this.listUsers().find(user => user.username.toLowerCase() === key) || null;
+        },
+        // Adds the user, or resets the password and role of an existing one
+        saveUser(username, password, role) {
+            const name = String(username || '').trim();
+            if (!/^[\w.@-]{1,64}$/.test(name)) {
+                throw new Error('Username may only contain letters, numbers, ".", "@", "_" and "-"');
+            }
+            if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+            if (String(password || '').length < 8) throw new Error('Password must be at least 8 characters');
+
+            const users = this.listUsers().filter(user => user.username.toLowerCase() !== name.toLowerCase());
+            const existing = this.findUser(name);
+            const user = {
+                username: name,
+                role,
+                passwordHash: hashPassword(password),
+                createdAt: existing ? existing.createdAt : new Date().toISOString()
+            };
+            writeJSON('users.json', users.concat(user));
+            return user;
+        },
+        removeUser(username) {
+            const users = this.listUsers();
+            const remaining = users.filter(user => user.username.toLowerCase() !== String(username).toLowerCase());
+            writeJSON('users.json', remaining);
+            return remaining.length < users.length;
+        },
+
+        // Guideline versions, oldest first
+        listGuidelineSets() {
+            return readJSON('guideline-sets.json', []);
+        },
+        addGuidelineSet({ name, fileName, rows }, username) {
+            const sets = this.listGuidelineSets();
+            const versions = sets.filter(set => set.name === name).map(set => set.version);
+            const set = {
+                id: sets.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+                name,
+                fileName,
+                version: versions.length > 0 ? Math.max(...versions) + 1 : 1,
+                lenderCount: rows.length,
+                status: 'pending',
+                uploadedBy: username,
+                uploadedAt: new Date().toISOString(),
+                approvedBy: null,
+                approvedAt: null,
+                rows
+            };
+            writeJSON('guideline-sets.json', sets.concat(set));
+            return set;
+        },
+        approveGuidelineSet(id, username) {
+            const sets = this.listGuidelineSets();
+            const set = sets.find(candidate => candidate.id === id);
+            if (!set) return null;
+            set.status = 'approved';
+            set.approvedBy = username;
+            set.approvedAt = new Date().toISOString();
+            writeJSON('guideline-sets.json', sets);
+            return set;
+        },
+        // The most recently approved set is the one reps qualify against
+        getActiveGuidelineSet() {
+            return this.listGuidelineSets()
+                .filter(set => set.status === 'approved')
+                .sort((a, b) => b.approvedAt.localeCompare(a.approvedAt) || b.id - a.id)[0] || null;
+        },
+
+        // Lender rules as { config, updatedBy, updatedAt }, where config is the
+        // content of a rules file; null when the built-in defaults are in use
+        getRules() {
+            return readJSON('rules.json', null);
+        },
+        saveRules(config, username) {
+            const record = { config, updatedBy: username, updatedAt: new Date().toISOString() };
+            writeJSON('rules.json', record);
+            return record;
+        },
+
+        // Audit log
+        appendAudit(entry) {
+            const record = Object.assign({ at: new Date().toISOString() }, entry);
+            appendFileSync(path('audit.log'), JSON.stringify(record) + '\n');
+            return record;
+        },
+        // Newest first
+        readAudit({ limit = 200, action } = {}) {
+            if (!existsSync(path('audit.log'))) return [];
+            return readFileSync(path('audit.log'), 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line))
+                .filter(entry => !action || entry.action === action)
+                .reverse()
+                .slice(0, limit);
+        }
+    };
+}
@@ -0,0 +1,339 @@
+// Login, roles and server data
+//
+// The page is served by the local server (server/index.js) and signs in
+// against it. Reps can run qualifications; admins also see the guideline and
+// rules uploads and the admin panel, where uploaded guideline versions are
+// approved and the audit log is read. Everyone qualifies against the most
+// recently approved guidelines and the rules saved on the server, and every
+// qualification run is recorded in the audit log.
+
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+// Runs the server accepts in one audit entry (MAX_AUDIT_RUNS in server/app.js)
+const MAX_AUDIT_RUNS = 1000;
+
+let currentUser = null; // { username, role, expiresAt } once logged in
+let sessionCheckTimer = null;
+
+// JSON request to the server API. A 401 means the session is gone, so the
+// login screen comes back; the promise still rejects for the caller.
+function apiRequest(method, path, body) {
+    const options = { method, credentials: 'same-origin', headers: {} };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    return fetch(path, options)
+        .catch(() => {
+            throw new Error("Can't reach the server; is it running?");
+        })
+        .then(response => response.json().catch(() => ({})).then(data => {
+            if (response.status === 401 && path !== '/api/login' && currentUser) {
+                endSession(data.error || 'Your session has expired; please log in again');
+            }
+            if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+            return data;
+        }));
+}
+
+function isAdmin() {
+    return Boolean(currentUser && currentUser.role === 'admin');
+}
+
+function showLoginScreen(message) {
+    const error = document.getElementById('loginError');
+    document.getElementById('loginScreen').style.display = 'flex';
+    document.getElementById('mainApp').style.display = 'none';
+    document.getElementById('passwordInput').value = '';
+
+    error.textContent = message ? `❌ ${message}` : '';
+    error.style.display = message ? 'block' : 'none';
+    document.getElementById(document.getElementById('usernameInput').value ? 'passwordInput' : 'usernameInput').focus();
+}
+
+// Admin-only controls are marked data-role="admin" and hidden by the
+// stylesheet for everyone else
+function applyRole() {
+    document.body.classList.toggle('is-admin', isAdmin());
+    document.getElementById('currentUser').textContent = currentUser
+        ? `${currentUser.username} (${currentUser.role})`
+        : '';
+}
+
+function startSession(user) {
+    currentUser = user;
+    applyRole();
+    document.getElementById('loginScreen').style.display = 'none';
+    document.getElementById('mainApp').style.display = 'block';
+
+    clearInterval(sessionCheckTimer);
+    sessionCheckTimer = setInterval(() => apiRequest('GET', '/api/session').catch(() => {}), SESSION_CHECK_INTERVAL_MS);
+
+    loadServerGuidelines();
+    loadServerRules();
+    if (isAdmin()) renderAdminPanel();
+}
+
+function endSession(message) {
+    currentUser = null;
+    clearInterval(sessionCheckTimer);
+    applyRole();
+    showLoginScreen(message);
+}
+
+function login() {
+    const username = document.getElementById('usernameInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
+    const button = document.getElementById('loginBtn');
+
+    if (!username || !password) {
+        showLoginScreen('Enter your username and password');
+        return;
+    }
+
+    button.disabled = true;
+    apiRequest('POST', '/api/login', { username, password })
+        .then(data => startSession(data.user))
+        .catch(error => showLoginScreen(error.message))
+        .then(() => {
+            button.disabled = false;
+        });
+}
+
+function logout() {
+    apiRequest('POST', '/api/logout', {})
+        .catch(error => console.warn('Logout request failed:', error))
+        .then(() => endSession());
+}
+
+// Guidelines
+
+function useServerGuidelineSet(set) {
+    const status = document.getElementById('fileStatus');
+
+    guidelinesReport = validateGuidelines(set.rows);
+    renderImportReport(guidelinesReport);
+
+    csvData = set.rows.filter(row => row['Lender Name'] && String(row['Lender Name']).trim());
+    csvFileName = `${set.fileName} (v${set.version})`;
+    csvLoadedAt = new Date(set.uploadedAt);
+    activeGuidelineSetId = null; // Not a set from the local library
+    renderGuidelinesLibrary();
+
+    status.textContent = `✅ Using approved guidelines ${set.name} v${set.version} ` +
+        `(approved by ${set.approvedBy} ${formatDateTime(set.approvedAt)}, ${guidelinesReport.loadedCount} lenders)`;
+    status.className = 'status success';
+    status.style.display = 'block';
+    updateProcessButton();
+}
+
+function loadServerGuidelines() {
+    const status = document.getElementById('fileStatus');
+
+    return apiRequest('GET', '/api/guidelines/active')
+        .then(data => {
+            if (data.set) {
+                useServerGuidelineSet(data.set);
+                return;
+            }
+            return useNewestGuidelineSet().then(used => {
+                if (used) {
+                    status.insertAdjacentText('beforeend', ' — no approved guidelines on the server yet');
+                    return;
+                }
+                status.textContent = isAdmin()
+                    ? 'No approved guidelines yet: upload a sheet and approve it in the admin panel'
+                    : 'No approved guidelines yet: ask an admin to upload and approve them';
+                status.className = 'status error';
+                status.style.display = 'block';
+            });
+        })
+        .catch(error => useNewestGuidelineSet().then(used => {
+            if (used) {
+                status.insertAdjacentText('beforeend', ` — couldn't load the approved guidelines (${error.message})`);
+                return;
+            }
+            status.textContent = `❌ Couldn't load the approved guidelines: ${error.message}`;
+            status.className = 'status error';
+            status.style.display = 'block';
+        }));
+}
+
+// Stores an admin's upload on the server as a pending version
+function submitGuidelines(fileName, rows) {
+    if (!isAdmin()) return Promise.resolve(null);
+
+    return apiRequest('POST', '/api/guidelines', { fileName, rows })
+        .then(data => {
+            const status = document.getElementById('fileStatus');
+            status.insertAdjacentText('beforeend',
+                ` — submitted as ${data.set.name} v${data.set.version}; approve it in the admin panel to make it live for reps`);
+            renderAdminPanel();
+            return data.set;
+        })
+        .catch(error => {
+            const status = document.getElementById('fileStatus');
+            status.insertAdjacentText('beforeend', ` — not submitted to the server: ${error.message}`);
+            return null;
+        });
+}
+
+function approveGuidelineSet(id) {
+    return apiRequest('POST', `/api/guidelines/${id}/approve`, {})
+        .then(() => Promise.all([loadServerGuidelines(), renderAdminPanel()]))
+        .catch(error => alert(`Couldn't approve the guidelines: ${error.message}`));
+}
+
+// Lender rules
+
+function loadServerRules() {
+    return apiRequest('GET', '/api/rules')
+        .then(data => {
+            lenderRules = data.config ? loadLenderRules(data.config) : DEFAULT_LENDER_RULES.slice();
+            if (data.config && isAdmin()) {
+                const status = document.getElementById('rulesStatus');
+                status.textContent = `⚙️ ${lenderRules.length} lender rules in use, saved by ${data.updatedBy} ${formatDateTime(data.updatedAt)}`;
+                status.className = 'status success';
+                status.style.display = 'block';
+            }
+        })
+        .catch(error => console.warn('Lender rules not loaded from the server; using the defaults:', error));
+}
+
+// Saves an admin's rules file as the rules everyone qualifies with; null
+// restores the defaults
+function saveServerRules(config) {
+    return apiRequest('PUT', '/api/rules', { config });
+}
+
+// Audit log
+
+function describeAuditCriteria(criteria) {
+    return {
+        requestedPosition: criteria.requestedPosition,
+        tib: criteria.tib,
+        monthlyRevenue: criteria.monthlyRevenue,
+        fico: criteria.fico,
+        state: criteria.state,
+        industry: criteria.industry,
+        isSoleProp: criteria.isSoleProp
+    };
+}
+
+// Records who ran which qualification: runs are { merchant, criteria, result }
+function recordQualifications(runs, batch) {
+    if (runs.length === 0) return Promise.resolve();
+    // The server takes a limited number of runs per entry, so big batches are recorded in parts
+    if (runs.length > MAX_AUDIT_RUNS) {
+        return recordQualifications(runs.slice(0, MAX_AUDIT_RUNS), batch)
+            .then(() => recordQualifications(runs.slice(MAX_AUDIT_RUNS), batch));
+    }
+    return apiRequest('POST', '/api/audit/qualifications', {
+        batch,
+        strictness: runs[0].result.profile,
+        runs: runs.map(run => ({
+            merchant: run.merchant,
+            criteria: describeAuditCriteria(run.criteria),
+            counts: {
+                qualified: run.result.qualified.length,
+                conditional: run.result.conditional.length,
+                needsReview: run.result.needsReview.length,
+                nonQualified: run.result.nonQualified.length
+            }
+        }))
+    }).catch(error => console.warn('Qualification was not recorded in the audit log:', error));
+}
+
+function describeAuditEntry(entry) {
+    switch (entry.action) {
+        case 'qualification':
+            return (entry.batch ? `Batch ${entry.batch}: ` : '') + entry.runs.map(run =>
+                `${run.merchant || 'Unnamed merchant'} (${run.counts ? run.counts.qualified : '?'} qualified)`).join(', ') +
+                (entry.guidelines ? ` against ${entry.guidelines.name} v${entry.guidelines.version}` : '') +
+                (entry.strictness ? `, ${entry.strictness} strictness` : '');
+        case 'guidelines-upload':
+            return `Uploaded ${entry.name} v${entry.version} (${entry.lenders} lenders)`;
+        case 'guidelines-approve':
+            return `Approved ${entry.name} v${entry.version}`;
+        case 'rules-update':
+            return entry.ruleCount === null ? 'Restored the default lender rules' : `Saved ${entry.ruleCount} lender rules`;
+        case 'login-failed':
+            return `Failed login as ${entry.username}`;
+        default:
+            return entry.action;
+    }
+}
+
+function renderAdminPanel() {
+    const container = document.getElementById('adminPanel');
+    if (!isAdmin()) {
+        container.innerHTML = '';
+        return Promise.resolve();
+    }
+
+    return Promise.all([apiRequest('GET', '/api/guidelines'), apiRequest('GET', '/api/audit?limit=100')])
+        .then(([guidelines, audit]) => {
+            container.innerHTML = `
+                <details class="admin-panel-section" open>
+                    <summary>🗂️ Guideline Versions (${guidelines.sets.length})</summary>
+                    ${guidelines.sets.length === 0 ? '<p>No versions uploaded yet.</p>' : `
+                        <table class="admin-table">
+                            <thead><tr><th>Version</th><th>Lenders</th><th>Uploaded</th><th>Status</th><th></th></tr></thead>
+                            <tbody>
+                                ${guidelines.sets.map(set => `
+                                    <tr>
+                                        <td>${escapeHtml(set.name)} v${set.version}</td>
+                                        <td>${set.lenderCount}</td>
+                                        <td>${escapeHtml(set.uploadedBy)}, ${formatDateTime(set.uploadedAt)}</td>
+                                        <td>${set.id === guidelines.activeId ? '✅ Live' : set.status === 'approved'
+                                            ? `Approved by ${escapeHtml(set.approvedBy)}` : '⏳ Pending'}</td>
+                                        <td>${set.id === guidelines.activeId ? '' :
+                                            `<button type="button" class="secondary-btn" data-approve-set="${set.id}">${set.status === 'approved' ? 'Make Live' : 'Approve'}</button>`}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </details>
+                <details class="admin-panel-section">
+                    <summary>📜 Audit Log (latest ${audit.entries.length})</summary>
+                    <table class="admin-table">
+                        <thead><tr><th>When</th><th>User</th><th>Action</th></tr></thead>
+                        <tbody>
+                            ${audit.entries.map(entry => `
+                                <tr>
+                                    <td>${formatDateTime(entry.at)}</td>
+                                    <td>${escapeHtml(entry.user || '—')}</td>
+                                    <td>${escapeHtml(describeAuditEntry(entry))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </details>
+            `;
+        })
+        .catch(error => {
+            container.innerHTML = `<div class="status error">❌ Admin panel unavailable: ${escapeHtml(error.message)}</div>`;
+        });
+}
+
+// Resumes a session that is still live, otherwise shows the login screen
+function initSession() {
+    document.getElementById('loginForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        login();
+    });
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+    document.getElementById('adminPanel').addEventListener('click', function(e) {
+        const button = e.target.closest('[data-approve-set]');
+        if (button) approveGuidelineSet(Number(button.dataset.approveSet));
+    });
+
+    return fetch('/api/session', { credentials: 'same-origin' })
+        .then(response => response.ok ? response.json() : null)
+        .then(data => {
+            if (data && data.user) startSession(data.user);
+            else showLoginScreen();
+        })
+        .catch(() => showLoginScreen("Can't reach the server; is it running?"));
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCSVRows, analyzeGuidelines, findCoverageGaps, summarizeMinimums, HEATMAP_STATES } from '../engine/index.js';
+import { lender } from './helpers.js';
+
+const rows = parseCSVRows(readFileSync(new URL('fixtures/guidelines.csv', import.meta.url), 'utf8'));
+const analysis = analyzeGuidelines(rows);
+
+test('leaves out rows the import drops', () => {
+    assert.equal(analysis.lenderCount, 6);
+    assert.equal(analysis.droppedCount, 2);
+});
+
+test('summarizes each minimum with buckets', () => {
+    const fico = analysis.minimums.find(summary => summary.column === 'Min_FICO');
+    assert.deepEqual([fico.min, fico.median, fico.max], [480, 525, 650]);
+    assert.deepEqual(fico.buckets.map(bucket => bucket.count), [1, 2, 1, 1, 1, 0]);
+    assert.equal(fico.buckets[5].to, null);
+
+    const summary = summarizeMinimums([lender({ 'Min_TIB_Months': '' }), lender()], 'Min_TIB_Months');
+    assert.equal(summary.count, 1);
+    assert.equal(summary.missing, 1);
+});
+
+test('counts lenders per position', () => {
+    assert.deepEqual(analysis.positions.map(entry => entry.count), [5, 6, 5, 4, 3, 2, 1, 1, 1, 1]);
+});
+
+test('ranks restricted states and excluded industries', () => {
+    assert.deepEqual(analysis.restrictedStates.slice(0, 2).map(entry => [entry.code, entry.count]), [['ca', 2], ['ny', 2]]);
+    assert.ok(!analysis.restrictedStates.some(entry => entry.code === 'tx'));
+    assert.deepEqual(analysis.prohibitedIndustries.map(entry => entry.name).sort(), ['Cannabis / CBD', 'Gambling / Gaming', 'Restaurants']);
+    assert.equal(analysis.caseByCaseIndustries.length, 2);
+});
+
+test('maps lenders by state and position and finds the gaps', () => {
+    assert.equal(analysis.heatmap.length, HEATMAP_STATES.length);
+    const row = code => analysis.heatmap.find(entry => entry.state === code).counts;
+    assert.deepEqual(row('tx').slice(0, 3), [5, 6, 5]);
+    assert.deepEqual(row('ca').slice(0, 3), [4, 4, 3]);
+
+    assert.deepEqual(findCoverageGaps(analysis), []);
+    const thin = findCoverageGaps(analysis, 2);
+    assert.equal(thin.filter(gap => gap.position === 6).length, HEATMAP_STATES.length - 2);
+    assert.equal(thin.filter(gap => gap.position === 7).length, HEATMAP_STATES.length);
+});
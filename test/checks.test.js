@@ -0,0 +1,259 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FICO_TOLERANCE,
+    checkPositionRange,
+    checkStackingRequirements,
+    checkBankStatementRequirements,
+    checkStateRestrictions,
+    checkSolePropRestrictions,
+    checkOtherRequirements,
+    checkIndustryRestrictions,
+    checkMinimumRequirements,
+    getLenderTolerances,
+    getStrictnessProfile,
+    resolveStrictnessProfiles,
+    isRevenueDeposit,
+    ordinal
+} from '../engine/index.js';
+import { merchant, lender, find } from './helpers.js';
+
+test('position range', () => {
+    const [inRange] = checkPositionRange(lender(), merchant({ requestedPosition: 4 }));
+    assert.equal(inRange.passed, true);
+
+    const [tooDeep] = checkPositionRange(lender(), merchant({ requestedPosition: 5 }));
+    assert.equal(tooDeep.passed, false);
+    assert.equal(tooDeep.shortfall, 1);
+    assert.equal(tooDeep.hint, 'qualifies at 4th position instead of 5th');
+
+    const [tooEarly] = checkPositionRange(lender({ pos_min: 2 }), merchant());
+    assert.equal(tooEarly.passed, false);
+    assert.equal(tooEarly.hint, 'only funds 2nd position and later');
+});
+
+test('FICO passes within the 20-point tolerance', () => {
+    assert.equal(FICO_TOLERANCE, 20);
+
+    const atTolerance = find(checkMinimumRequirements(lender({ Min_FICO: 600 }), merchant({ fico: 580 })), 'min-fico');
+    assert.equal(atTolerance.passed, true);
+    assert.equal(atTolerance.shortfall, undefined);
+
+    const belowTolerance = find(checkMinimumRequirements(lender({ Min_FICO: 600 }), merchant({ fico: 579 })), 'min-fico');
+    assert.equal(belowTolerance.passed, false);
+    assert.equal(belowTolerance.shortfall, 1);
+    assert.equal(belowTolerance.hint, 'FICO 1 point short');
+});
+
+test('minimums cleared only within a tolerance are conditions', () => {
+    const fico = find(checkMinimumRequirements(lender({ Min_FICO: 600 }), merchant({ fico: 590 })), 'min-fico');
+    assert.equal(fico.passed, true);
+    assert.equal(fico.conditional, true);
+    assert.equal(fico.condition, 'FICO 10 points under Min 600 (within 20pt tolerance)');
+
+    const strict = find(checkMinimumRequirements(lender({ Min_FICO: 600 }), merchant({ fico: 590 }), 'strict'), 'min-fico');
+    assert.equal(strict.passed, false);
+    assert.equal(strict.message, 'FICO - Min 600');
+    assert.equal(strict.hint, 'FICO 10 points short');
+
+    const outcomes = checkMinimumRequirements(lender(), merchant({ tib: 10, monthlyRevenue: 13500 }), 'aggressive');
+    assert.equal(find(outcomes, 'min-tib').condition, 'TIB 2 months under Min 12 months (within 2-month tolerance)');
+    assert.equal(find(outcomes, 'min-revenue').message, 'Revenue - Min $15,000 (with 10% tolerance)');
+    assert.equal(find(outcomes, 'min-revenue').conditional, true);
+    assert.equal(find(checkMinimumRequirements(lender(), merchant({ monthlyRevenue: 13499 }), 'aggressive'), 'min-revenue').passed, false);
+});
+
+test('lender tolerances replace the profile unless strict', () => {
+    const row = lender({ FICO_Tolerance: 0, Revenue_Tolerance_Pct: 5, TIB_Tolerance_Months: '' });
+    assert.deepEqual(getLenderTolerances(row, 'standard'), { fico: 0, revenuePct: 5, tibMonths: 0 });
+    assert.deepEqual(getLenderTolerances(row, 'aggressive'), { fico: 0, revenuePct: 5, tibMonths: 2 });
+    assert.deepEqual(getLenderTolerances(row, 'strict'), { fico: 0, revenuePct: 0, tibMonths: 0 });
+
+    assert.equal(find(checkMinimumRequirements(row, merchant({ fico: 599 })), 'min-fico').passed, false);
+    assert.equal(getStrictnessProfile('Aggressive').revenuePct, 10);
+    assert.throws(() => getStrictnessProfile('lenient'), /Unknown strictness profile "lenient"/);
+});
+
+test('strictness settings replace profile defaults', () => {
+    const profiles = resolveStrictnessProfiles({ aggressive: { fico: 40, tibMonths: 1 } });
+    const aggressive = getStrictnessProfile('aggressive', profiles);
+    assert.deepEqual([aggressive.fico, aggressive.revenuePct, aggressive.tibMonths], [40, 10, 1]);
+    assert.equal(aggressive.description, 'FICO −40, revenue −10%, TIB −1 month');
+    assert.equal(profiles.standard, getStrictnessProfile('standard'));
+    assert.equal(find(checkMinimumRequirements(lender({ Min_FICO: 600 }), merchant({ fico: 565 }), aggressive), 'min-fico').passed, true);
+
+    assert.throws(() => resolveStrictnessProfiles({ lenient: { fico: 50 } }), /Unknown strictness profile "lenient"/);
+    assert.throws(() => resolveStrictnessProfiles({ standard: { fico: 200 } }), /Standard fico must be a number from 0 to 100/);
+    assert.throws(() => resolveStrictnessProfiles({ standard: { label: 'Loose' } }), /Unknown setting "label"/);
+});
+
+test('minimum TIB and revenue', () => {
+    const outcomes = checkMinimumRequirements(lender(), merchant({ tib: 9, monthlyRevenue: 12000 }));
+
+    const tib = find(outcomes, 'min-tib');
+    assert.equal(tib.passed, false);
+    assert.equal(tib.hint, 'needs 3 more months TIB');
+
+    const revenue = find(outcomes, 'min-revenue');
+    assert.equal(revenue.passed, false);
+    assert.equal(revenue.shortfall, 3000);
+
+    const passing = checkMinimumRequirements(lender(), merchant({ tib: 12, monthlyRevenue: 15000 }));
+    assert.ok(passing.every(outcome => outcome.passed));
+});
+
+test('blank minimums are not checked', () => {
+    const outcomes = checkMinimumRequirements(lender({ Min_TIB_Months: '', Min_Monthly_Revenue: '', Min_FICO: '' }), merchant());
+    assert.deepEqual(outcomes, []);
+});
+
+test('stacking: holdback, days since funding and position count', () => {
+    const fundedDate = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const criteria = merchant({
+        monthlyRevenue: 21000,
+        positions: [
+            { funder: 'A', balance: 5000, payment: 100, frequency: 'daily', fundedDate },
+            { funder: 'B', balance: 0, payment: 200, frequency: 'daily', fundedDate: '' }
+        ]
+    });
+    const outcomes = checkStackingRequirements(lender({
+        Max_Holdback_Pct: 5, Min_Days_Since_Last_Funding: 30, Max_Positions: 0
+    }), criteria);
+
+    // Paid-off position B is ignored: 100 × 21 business days = 10% of revenue
+    assert.equal(find(outcomes, 'max-holdback').merchantValue, '10%');
+    assert.equal(find(outcomes, 'max-holdback').passed, false);
+    assert.equal(find(outcomes, 'min-days-since-funding').passed, false);
+    assert.equal(find(outcomes, 'min-days-since-funding').hint, 'eligible in 20 more days');
+    assert.equal(find(outcomes, 'max-positions').passed, false);
+});
+
+test('stacking warns when funded dates are missing', () => {
+    const criteria = merchant({ positions: [{ funder: 'A', balance: null, payment: 100, frequency: 'weekly', fundedDate: '' }] });
+    const [outcome] = checkStackingRequirements(lender({ Min_Days_Since_Last_Funding: 30 }), criteria);
+    assert.equal(outcome.passed, true);
+    assert.match(outcome.warning, /enter funded dates/);
+});
+
+test('statement deposits that count as revenue', () => {
+    ['STRIPE TRANSFER ST-X1Y2Z3', 'SHOPIFY TRANSFER', 'SQUARE INC DEPOSIT 240701', 'CAPITAL ONE MOBILE DEPOSIT',
+        'PAYPAL TRANSFER', 'TOAST INC DEPOSIT', 'Customer deposit']
+        .forEach(description => assert.equal(isRevenueDeposit(description), true, description));
+
+    ['ONLINE TRANSFER FROM CHK ...4821', 'Transfer from Savings', 'INTERNAL TRANSFER', 'ONDECK CAPITAL DEPOSIT',
+        'On Deck Capital', 'SBA LOAN PROCEEDS', 'Merchant Cash Advance', 'SHOPIFY CAPITAL', 'REVERSAL OF ACH DEBIT']
+        .forEach(description => assert.equal(isRevenueDeposit(description), false, description));
+});
+
+test('bank statement rules', () => {
+    const rules = lender({ Max_NSFs: 2, Min_Avg_Daily_Balance: 5000, Max_Negative_Days: 0 });
+
+    const unchecked = checkBankStatementRequirements(rules, merchant());
+    assert.equal(unchecked.length, 3);
+    assert.ok(unchecked.every(outcome => outcome.passed && /import bank statements/.test(outcome.warning)));
+
+    const metrics = { maxMonthlyNsfs: 3, avgDailyBalance: 4000, negativeDays: 0 };
+    const outcomes = checkBankStatementRequirements(rules, merchant({ bankMetrics: metrics }));
+    assert.equal(find(outcomes, 'max-nsfs').passed, false);
+    assert.equal(find(outcomes, 'min-avg-daily-balance').passed, false);
+    assert.equal(find(outcomes, 'max-negative-days').passed, true);
+});
+
+test('state restrictions', () => {
+    assert.deepEqual(checkStateRestrictions(lender(), merchant()), []);
+
+    const [denied] = checkStateRestrictions(lender({ State_Restrictions: 'No CA, NY' }), merchant({ state: 'New York' }));
+    assert.equal(denied.passed, false);
+    assert.equal(denied.message, 'State - NY not accepted');
+
+    const [allowOnly] = checkStateRestrictions(lender({ State_Restrictions: 'Only TX, FL' }), merchant({ state: 'GA' }));
+    assert.equal(allowOnly.passed, false);
+    assert.equal(allowOnly.message, 'State - Only TX, FL');
+
+    const [unparsed] = checkStateRestrictions(lender({ State_Restrictions: 'CA; ask underwriting' }), merchant());
+    assert.equal(unparsed.passed, true);
+    assert.match(unparsed.warning, /ask underwriting/);
+    assert.equal(unparsed.needsReview, true);
+    assert.equal(unparsed.message, 'State - Review: ask underwriting');
+
+    const [allStatesExcept] = checkStateRestrictions(lender({ State_Restrictions: 'Available in all states except CA, NY' }), merchant({ state: 'TX' }));
+    assert.equal(allStatesExcept.passed, true);
+    assert.equal(allStatesExcept.needsReview, undefined);
+});
+
+test('sole prop restrictions', () => {
+    const [blocked] = checkSolePropRestrictions(lender({ Other_Key_Requirements: 'Corp only' }));
+    assert.equal(blocked.passed, false);
+
+    const [llcOnly] = checkSolePropRestrictions(lender({ Other_Key_Requirements: 'LLC only' }));
+    assert.equal(llcOnly.passed, false);
+
+    const [accepted] = checkSolePropRestrictions(lender());
+    assert.equal(accepted.passed, true);
+    assert.equal(accepted.message, 'Sole Prop - Accepted');
+
+    // "Sole props" alone used to match; an explicit OK no longer declines
+    const [explicitlyAccepted] = checkSolePropRestrictions(lender({ Other_Key_Requirements: 'Sole props OK' }));
+    assert.equal(explicitlyAccepted.passed, true);
+
+    const [prohibited] = checkSolePropRestrictions(lender({ Prohibited_Industries: 'Cannabis, Sole props' }));
+    assert.equal(prohibited.passed, false);
+
+    // Sole prop text the parser can't fully read goes to review, never to qualified
+    const notAccepted = checkSolePropRestrictions(lender({ Other_Key_Requirements: 'Sole props not accepted' }))[0];
+    assert.equal(notAccepted.passed, false);
+    ['No sole props under 2 years TIB', 'No sole props unless 2+ yrs TIB', 'Sole props OK with 680+ FICO'].forEach(text => {
+        const [outcome] = checkSolePropRestrictions(lender({ Other_Key_Requirements: text }));
+        assert.equal(outcome.passed, true, text);
+        assert.equal(outcome.needsReview, true, text);
+        assert.equal(outcome.message, `Sole Prop - Review: ${text}`);
+    });
+});
+
+test('other key requirements', () => {
+    const requiring = lender({ Other_Key_Requirements: 'Min 5 deposits/month; max 2 NSFs; no prior defaults; no home-based; min ADB $3,000' });
+
+    const unknown = checkOtherRequirements(requiring, merchant());
+    assert.equal(unknown.length, 5);
+    assert.ok(unknown.filter(outcome => outcome.ruleId !== 'no-prior-defaults' && outcome.ruleId !== 'no-home-based')
+        .every(outcome => outcome.passed && /import bank statements/.test(outcome.warning)));
+
+    const outcomes = checkOtherRequirements(requiring, merchant({
+        depositsPerMonth: 4,
+        hasPriorDefault: true,
+        isHomeBased: false,
+        bankMetrics: { maxMonthlyNsfs: 1, avgDailyBalance: 2500, avgMonthlyDepositCount: 20 }
+    }));
+    assert.equal(find(outcomes, 'min-deposit-count').passed, false); // The form value wins over statements
+    assert.equal(find(outcomes, 'min-deposit-count').hint, '1 more deposits per month needed');
+    assert.equal(find(outcomes, 'max-nsfs').passed, true);
+    assert.equal(find(outcomes, 'no-prior-defaults').passed, false);
+    assert.equal(find(outcomes, 'no-home-based').passed, true);
+    assert.equal(find(outcomes, 'min-avg-daily-balance').passed, false);
+});
+
+test('unrecognized requirements are left for manual review', () => {
+    const outcomes = checkOtherRequirements(lender({ Other_Key_Requirements: 'Max 3 NSFs; needs landlord letter' }), merchant());
+    assert.deepEqual(find(outcomes, 'other-requirements').notes, ['needs landlord letter']);
+    assert.equal(find(outcomes, 'other-requirements').passed, true);
+});
+
+test('industry restrictions', () => {
+    const prohibiting = lender({ Prohibited_Industries: 'Transportation; Cannabis' });
+
+    const [child] = checkIndustryRestrictions(prohibiting, merchant({ industry: 'Trucking' }));
+    assert.equal(child.passed, false);
+
+    const [unrelated] = checkIndustryRestrictions(prohibiting, merchant({ industry: 'Restaurant' }));
+    assert.equal(unrelated.passed, true);
+    assert.equal(unrelated.message, 'Industry - Not restricted');
+
+    const [review] = checkIndustryRestrictions(lender({ Prohibited_Industries: 'Trucking (case by case)' }), merchant({ industry: 'Trucking' }));
+    assert.equal(review.passed, true);
+    assert.equal(review.needsReview, true);
+});
+
+test('ordinal', () => {
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22].map(ordinal),
+        ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd']);
+});
@@ -0,0 +1,130 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { main } from '../bin/qualify.js';
+
+const fixture = name => fileURLToPath(new URL(`fixtures/${name}`, import.meta.url));
+
+// An empty server data directory, so a developer's saved rules don't leak in
+const dataDir = mkdtempSync(join(tmpdir(), 'lender-cli-'));
+process.env.DATA_DIR = dataDir;
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+function run(args) {
+    let stdout = '';
+    let stderr = '';
+    return main(args, { write: text => { stdout += text; } }, { write: text => { stderr += text; } })
+        .then(code => ({ code, stdout, stderr }));
+}
+
+const merchantFlags = ['--position', '3', '--tib', '60', '--revenue', '40000', '--fico', '640', '--state', 'IL', '--industry', 'Trucking'];
+
+test('qualifies merchant flags and prints a table', async () => {
+    const { stdout, stderr } = await run([fixture('guidelines.csv')].concat(merchantFlags));
+    assert.match(stdout, /1 qualified, 0 conditional, 0 needs review, 5 non-qualified, 2 auto-dropped/);
+    assert.match(stdout, /Lexio Capital\s+1\s+Non-Qualified\s+Industry - Trucking 1st-2nd position only/);
+    assert.match(stderr, /Row 9 \(Broken Row\): pos_min 3 is greater than pos_max 2/);
+});
+
+test('exits non-zero on guideline validation errors', async () => {
+    assert.equal((await run([fixture('guidelines.csv')].concat(merchantFlags))).code, 1);
+    assert.equal((await run([fixture('merchants.csv')].concat(merchantFlags))).code, 1);
+});
+
+test('matches the engine for a merchants CSV', async () => {
+    const { stdout } = await run([fixture('guidelines.csv'), '--merchants', fixture('merchants.csv'), '--format', 'json']);
+    const [trucking, invalid] = JSON.parse(stdout).merchants;
+
+    assert.equal(trucking.name, 'Illinois Trucking');
+    assert.deepEqual(trucking.lenders.find(entry => entry.lender === 'Acme Advance'),
+        { lender: 'Acme Advance', tier: '3', status: 'Qualified', reasons: [] });
+    assert.equal(invalid.error, 'Row 3: Invalid FICO score (must be 300-850)');
+});
+
+test('qualifies with the chosen strictness profile', async () => {
+    const flags = ['--position', '1', '--tib', '24', '--revenue', '30000', '--fico', '590', '--state', 'TX', '--industry', 'Retail', '--format', 'json'];
+    const lexio = output => JSON.parse(output).merchants[0].lenders.find(entry => entry.lender === 'Lexio Capital');
+
+    const standard = await run([fixture('guidelines.csv')].concat(flags));
+    assert.equal(JSON.parse(standard.stdout).profile, 'standard');
+    assert.deepEqual(lexio(standard.stdout), { lender: 'Lexio Capital', tier: '1', status: 'Conditional', reasons: ['FICO 10 points under Min 600 (within 20pt tolerance)'] });
+
+    const strict = await run([fixture('guidelines.csv'), '--profile', 'strict'].concat(flags));
+    assert.deepEqual(lexio(strict.stdout).reasons, ['FICO - Min 600']);
+    assert.match((await run([fixture('guidelines.csv'), '--profile', 'loose'].concat(flags))).stderr, /Unknown strictness profile "loose"/);
+
+    const settings = join(dataDir, 'strictness.json');
+    writeFileSync(settings, JSON.stringify({ standard: { fico: 5 } }));
+    const tightened = await run([fixture('guidelines.csv'), '--profiles', settings].concat(flags));
+    assert.deepEqual(lexio(tightened.stdout).reasons, ['FICO - Min 600 (with 5pt tolerance)']);
+
+    writeFileSync(settings, JSON.stringify({ standard: { fico: -5 } }));
+    const invalid = await run([fixture('guidelines.csv'), '--profiles', settings].concat(flags));
+    assert.equal(invalid.code, 2);
+    assert.match(invalid.stderr, /Invalid strictness settings .*: Standard fico must be a number from 0 to 100/);
+});
+
+test('reads the optional merchant flags', async () => {
+    const guidelines = join(dataDir, 'requirements.csv');
+    writeFileSync(guidelines, 'Lender Name,Tier,pos_min,pos_max,Min_TIB_Months,Min_Monthly_Revenue,Min_FICO,State_Restrictions,Prohibited_Industries,Other_Key_Requirements\n' +
+        'Acme,1,1,4,12,10000,500,,,"Max 3 NSFs per month; Min 10 deposits per month; Min ADB $2,000; No prior defaults; No home-based businesses"\n');
+    const flags = [guidelines, '--position', '1', '--tib', '36', '--revenue', '40000', '--fico', '640', '--state', 'TX', '--industry', 'Retail', '--format', 'json'];
+    const acme = output => JSON.parse(output).merchants[0].lenders[0];
+
+    assert.equal(acme((await run(flags)).stdout).reasons.length, 5); // Unchecked without the flags
+
+    const failing = await run(flags.concat(['--nsfs', '5', '--deposits', '4', '--adb', '$1,500', '--prior-default', 'yes', '--home-based', 'yes']));
+    assert.deepEqual(acme(failing.stdout).reasons, [
+        'Requirements - Max 3 NSFs per month', 'Requirements - Min 10 deposits per month', 'Requirements - Min $2,000 avg daily balance',
+        'Requirements - No prior defaults', 'Requirements - No home-based businesses'
+    ]);
+
+    const passing = await run(flags.concat(['--nsfs', '0', '--deposits', '20', '--adb', '5000', '--prior-default', 'no', '--home-based', 'no']));
+    assert.deepEqual(acme(passing.stdout), { lender: 'Acme', tier: '1', status: 'Qualified', reasons: [] });
+
+    assert.match((await run(flags.concat(['--nsfs', 'some']))).stderr, /--nsfs must be a number/);
+    assert.match((await run(flags.concat(['--home-based', 'maybe']))).stderr, /--home-based must be yes or no/);
+});
+
+test('prints CSV', async () => {
+    const { stdout } = await run([fixture('guidelines.csv')].concat(merchantFlags, ['--format', 'csv', '--name', 'Acme Trucking']));
+    const lines = stdout.trim().split(/\r?\n/);
+    assert.equal(lines[0], 'Merchant,Lender,Tier,Status,Reasons');
+    assert.equal(lines[1], 'Acme Trucking,Acme Advance,3,Qualified,');
+});
+
+test('usage errors exit with 2', async () => {
+    assert.equal((await run([])).code, 2);
+    assert.equal((await run([fixture('guidelines.csv'), '--format', 'xml'])).code, 2);
+    assert.equal((await run([fixture('guidelines.csv'), '--fico', '640'])).code, 2);
+    assert.match((await run([fixture('missing.csv')].concat(merchantFlags))).stderr, /file not found/);
+});
+
+test('reads an .xlsx guidelines workbook', async () => {
+    const { code, stdout } = await run([fixture('guidelines.xlsx'), '--sheet', 'Guidelines', '--format', 'csv'].concat(merchantFlags));
+    assert.equal(code, 0);
+    assert.match(stdout, /Merchant,Acme Advance,3,Qualified,/);
+    assert.match(stdout, /Merchant,Lexio Capital,1,Non-Qualified,Industry - Trucking 1st-2nd position only/);
+});
+
+test('uses the lender rules saved on the server', async () => {
+    const savedDir = mkdtempSync(join(dataDir, 'saved-'));
+    writeFileSync(join(savedDir, 'rules.json'), JSON.stringify({ config: [], updatedBy: 'admin', updatedAt: '2026-01-01T00:00:00.000Z' }));
+    const summary = output => output.match(/\d+ qualified.*/)[0];
+
+    const saved = await run([fixture('guidelines.csv'), '--data-dir', savedDir].concat(merchantFlags));
+    assert.equal(summary(saved.stdout), '3 qualified, 0 conditional, 1 needs review, 2 non-qualified, 2 auto-dropped');
+
+    // A rules file still wins
+    const rulesFile = join(savedDir, 'defaults.json');
+    writeFileSync(rulesFile, JSON.stringify({ includeDefaults: true, rules: [] }));
+    const given = await run([fixture('guidelines.csv'), '--data-dir', savedDir, '--rules', rulesFile].concat(merchantFlags));
+    assert.equal(summary(given.stdout), '1 qualified, 0 conditional, 0 needs review, 5 non-qualified, 2 auto-dropped');
+
+    writeFileSync(join(savedDir, 'rules.json'), JSON.stringify({ config: null }));
+    const defaults = await run([fixture('guidelines.csv'), '--data-dir', savedDir].concat(merchantFlags));
+    assert.equal(summary(defaults.stdout), '1 qualified, 0 conditional, 0 needs review, 5 non-qualified, 2 auto-dropped');
+});
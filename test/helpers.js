@@ -0,0 +1,34 @@
+// Shared test data: a merchant that clears every minimum in lender() below
+
+export function merchant(overrides = {}) {
+    return Object.assign({
+        requestedPosition: 1,
+        tib: 24,
+        monthlyRevenue: 30000,
+        fico: 650,
+        state: 'TX',
+        industry: 'Retail',
+        isSoleProp: false,
+        positions: [],
+        bankMetrics: null
+    }, overrides);
+}
+
+export function lender(overrides = {}) {
+    return Object.assign({
+        'Lender Name': 'Test Funding',
+        'Tier': 1,
+        'pos_min': 1,
+        'pos_max': 4,
+        'Min_TIB_Months': 12,
+        'Min_Monthly_Revenue': 15000,
+        'Min_FICO': 600,
+        'State_Restrictions': '',
+        'Prohibited_Industries': '',
+        'Other_Key_Requirements': ''
+    }, overrides);
+}
+
+export function find(outcomes, ruleId) {
+    return outcomes.find(outcome => outcome.ruleId === ruleId);
+}
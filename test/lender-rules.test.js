@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_LENDER_RULES,
+    checkLenderRules,
+    getRulesForLender,
+    loadLenderRules,
+    parseRuleColumn,
+    qualify
+} from '../engine/index.js';
+import { merchant, lender } from './helpers.js';
+
+function ruleOutcome(lenderName, criteria, ruleId) {
+    return checkLenderRules(lender({ 'Lender Name': lenderName }), merchant(criteria))
+        .find(outcome => outcome.ruleId === ruleId);
+}
+
+test('every default rule has a test below', () => {
+    assert.deepEqual(DEFAULT_LENDER_RULES.map(rule => rule.id), [
+        'lexio-trucking-position',
+        'fyncap-trucking-il',
+        'blackbridge-trucking-il',
+        'smarter-merchant-sole-prop-states',
+        'idea-financial-construction-tib'
+    ]);
+});
+
+test('Lexio: trucking 1st-2nd position only', () => {
+    assert.equal(ruleOutcome('Lexio Capital', { industry: 'Trucking', requestedPosition: 3 }, 'lexio-trucking-position').passed, false);
+    assert.equal(ruleOutcome('Lexio Capital', { industry: 'Trucking', requestedPosition: 2 }, 'lexio-trucking-position').passed, true);
+    assert.equal(ruleOutcome('Lexio Capital', { industry: 'Retail', requestedPosition: 3 }, 'lexio-trucking-position').passed, true);
+});
+
+test('Fyncap: no trucking in IL', () => {
+    const outcome = ruleOutcome('FynCap', { industry: 'Transportation', state: 'Illinois' }, 'fyncap-trucking-il');
+    assert.equal(outcome.passed, false);
+    assert.equal(outcome.message, 'Industry - Trucking not accepted in IL');
+    assert.equal(ruleOutcome('FynCap', { industry: 'Transportation', state: 'IN' }, 'fyncap-trucking-il').passed, true);
+});
+
+test('Blackbridge: no trucking in IL', () => {
+    assert.equal(ruleOutcome('BlackBridge', { industry: 'Trucking', state: 'IL' }, 'blackbridge-trucking-il').passed, false);
+    assert.equal(ruleOutcome('BlackBridge', { industry: 'Retail', state: 'IL' }, 'blackbridge-trucking-il').passed, true);
+});
+
+test('Smarter Merchant: no sole props in IL, AR or NY', () => {
+    const outcome = ruleOutcome('Smarter Merchant', { isSoleProp: true, state: 'AR' }, 'smarter-merchant-sole-prop-states');
+    assert.equal(outcome.passed, false);
+    assert.equal(outcome.message, 'Industry - Sole props not accepted in AR');
+    assert.equal(ruleOutcome('Smarter Merchant', { isSoleProp: false, state: 'AR' }, 'smarter-merchant-sole-prop-states').passed, true);
+    assert.equal(ruleOutcome('Smarter Merchant', { isSoleProp: true, state: 'TX' }, 'smarter-merchant-sole-prop-states').passed, true);
+});
+
+test('Idea Financial: construction needs 7 years TIB', () => {
+    assert.equal(ruleOutcome('Idea Financial', { industry: 'Construction', tib: 83 }, 'idea-financial-construction-tib').passed, false);
+    assert.equal(ruleOutcome('Idea Financial', { industry: 'Construction', tib: 84 }, 'idea-financial-construction-tib').passed, true);
+});
+
+test('rules only apply to matching lenders', () => {
+    assert.deepEqual(getRulesForLender(lender({ 'Lender Name': 'Other Capital' })), []);
+    assert.equal(getRulesForLender(lender({ 'Lender Name': 'Lexio Capital' })).length, 1);
+});
+
+test('Custom_Rules column', () => {
+    const [rule] = parseRuleColumn('industry=truck|transport & position>=3 -> Industry: Trucking 1st-2nd position only');
+    assert.deepEqual(rule, {
+        id: 'custom-1',
+        category: 'Industry',
+        when: { industry: ['truck', 'transport'], position: { gte: 3 } },
+        reason: 'Trucking 1st-2nd position only'
+    });
+
+    const row = lender({ Custom_Rules: 'state=NY|NJ & fico<650 -> FICO 650+ in {state}' });
+    const [blocked] = checkLenderRules(row, merchant({ state: 'NJ', fico: 640 }));
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.message, 'Custom - FICO 650+ in NJ');
+
+    const [allowed] = checkLenderRules(row, merchant({ state: 'NJ', fico: 650 }));
+    assert.equal(allowed.passed, true);
+});
+
+test('invalid Custom_Rules are rejected', () => {
+    assert.throws(() => parseRuleColumn('industry=truck'), /missing "-> reason"/);
+    assert.throws(() => parseRuleColumn('color=red -> No red'), /Unknown condition/);
+    assert.throws(() => parseRuleColumn('tib<abc -> Too new'), /needs a number/);
+    // Not read from Object.prototype
+    assert.throws(() => parseRuleColumn('constructor'), /missing "-> reason"/);
+});
+
+test('loadLenderRules replaces or extends the defaults', () => {
+    const rule = { id: 'acme-ny', lender: 'acme', when: { state: ['ny'] }, reason: 'No NY' };
+    assert.deepEqual(loadLenderRules([rule]), [rule]);
+    assert.equal(loadLenderRules({ includeDefaults: true, rules: [rule] }).length, DEFAULT_LENDER_RULES.length + 1);
+    assert.throws(() => loadLenderRules([{ lender: 'acme', when: {} }]), /"reason" is required/);
+});
+
+test('qualify uses the rule set passed in', () => {
+    const lenders = [lender({ 'Lender Name': 'Acme Funding' })];
+    const rules = [{ id: 'acme-tx', lender: 'acme', category: 'State', when: { state: ['tx'] }, reason: 'No TX' }];
+
+    assert.equal(qualify(lenders, merchant()).qualified.length, 1);
+    const result = qualify(lenders, merchant(), { rules });
+    assert.equal(result.nonQualified[0].blockingRule, 'State - No TX');
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import * as engine from '../engine/index.js';
+import { merchant, lender } from './helpers.js';
+
+// The page scripts share globals, so they run together in one context with
+// just enough of a DOM for rendering into elements by id
+const PAGE_SCRIPTS = ['session.js', 'guidelines-schema.js', 'header-mapping.js', 'guidelines-library.js',
+    'lender-scoring.js', 'offer-estimator.js', 'positions.js', 'bank-statements.js', 'deals.js',
+    'what-if.js', 'batch.js', 'analytics.js', 'export.js', 'app.js'];
+
+function loadPage() {
+    const elements = {};
+    const element = id => elements[id] || (elements[id] = {
+        id, style: {}, value: '', innerHTML: '', textContent: '', classList: { add() {}, remove() {}, toggle() {} },
+        addEventListener() {}, scrollIntoView() {}, appendChild() {}, remove() {},
+        insertAdjacentText(position, text) { this.textContent += text; },
+        querySelector: () => null, querySelectorAll: () => []
+    });
+    const storage = {};
+    const context = vm.createContext(Object.assign({}, engine, {
+        console,
+        window: {},
+        document: {
+            getElementById: element, createElement: () => element(Symbol('element')), addEventListener() {},
+            querySelector: () => null, querySelectorAll: () => [], body: element('body')
+        },
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: key => { delete storage[key]; }
+        }
+    }));
+    const source = PAGE_SCRIPTS.map(file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8')).join('\n;\n');
+    vm.runInContext(source, context);
+    return { context, element };
+}
+
+const attack = '<img src=x onerror=alert(1)>';
+
+test('escapes lender names and guideline text in the results markup', () => {
+    const { context, element } = loadPage();
+    const criteria = merchant();
+    const result = context.qualifyLenders([
+        lender({ 'Lender Name': attack }),
+        lender({ 'Lender Name': `${attack} Declined`, 'Min_FICO': 700 }),
+        lender({ 'Lender Name': `${attack} Review`, 'Other_Key_Requirements': `Call first ${attack}` })
+    ], criteria);
+    context.displayResults(result, criteria);
+
+    const html = element('results').innerHTML;
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.doesNotMatch(html, /<img/);
+});
+
+test('bank statement averages leave out partial first and last months', () => {
+    const { context } = loadPage();
+    const rows = [
+        { Date: '2024-01-20', Description: 'Card settlement', Amount: '5000' },
+        { Date: '2024-02-02', Description: 'Card settlement', Amount: '20000' },
+        { Date: '2024-02-16', Description: 'Card settlement', Amount: '10000' },
+        { Date: '2024-03-01', Description: 'Card settlement', Amount: '40000' },
+        { Date: '2024-03-29', Description: 'Card settlement', Amount: '20000' },
+        { Date: '2024-04-10', Description: 'Card settlement', Amount: '4000' }
+    ];
+    const { metrics } = context.analyzeStatements(context.parseStatementRows(rows));
+    assert.equal(metrics.trueMonthlyRevenue, 45000);
+    assert.equal(metrics.avgMonthlyDepositCount, 2);
+    assert.equal(metrics.months, 2.7);
+
+    // Less than a month of statements is scaled up to a month
+    const short = context.analyzeStatements(context.parseStatementRows([
+        { Date: '2024-06-10', Description: 'Card settlement', Amount: '10000' },
+        { Date: '2024-06-24', Description: 'Card settlement', Amount: '5000' }
+    ]));
+    assert.equal(short.metrics.trueMonthlyRevenue, 30000);
+});
+
+test('offer estimates use the lender holdback limit and the schedule payment count', () => {
+    const { context } = loadPage();
+    const criteria = merchant({ monthlyRevenue: 30000 });
+
+    const capped = context.estimateOffer(lender({ 'Max_Holdback_Pct': 15, 'Term_Days': 180, 'Factor_Rate_Min': 1.25 }), criteria);
+    assert.equal(capped.terms.maxHoldbackPct, 15);
+    assert.equal(capped.high.limitedBy, '15% holdback');
+    assert.ok(capped.high.holdbackPct <= 15);
+    assert.ok(!capped.terms.assumptions.some(assumption => /holdback/.test(assumption)));
+
+    const assumed = context.estimateOffer(lender({ 'Term_Days': 180 }), criteria);
+    assert.equal(assumed.terms.maxHoldbackPct, 25);
+    assert.ok(assumed.terms.assumptions.includes('25% max holdback'));
+
+    // 21 business days or 52/12 weeks a month, as in the schedule
+    ['daily', 'weekly'].forEach(frequency => {
+        const offer = context.estimateOffer(lender({ 'Term_Days': 180, 'Remittance_Frequency': frequency }), criteria);
+        const schedule = context.buildPaymentSchedule(offer.high, offer.terms);
+        assert.equal(offer.high.paymentCount, frequency === 'daily' ? 124 : 26);
+        assert.equal(schedule.length, 6);
+        assert.equal(schedule.reduce((sum, row) => sum + row.payments, 0), offer.high.paymentCount);
+    });
+});
+
+test('uses the newest saved guidelines when the server has no approved set', async () => {
+    const { context, element } = loadPage();
+    const saved = { id: 2, name: 'Guidelines', version: 2, fileName: 'g.csv', uploadedAt: '2024-05-01T12:00:00Z', rows: [lender()] };
+    vm.runInContext(`guidelineSets = [${JSON.stringify(saved)}]`, context);
+    vm.runInContext('apiRequest = () => Promise.resolve({ set: null })', context);
+
+    await context.loadServerGuidelines();
+    assert.equal(vm.runInContext('csvData.map(row => row["Lender Name"]).join()', context), 'Test Funding');
+    assert.match(element('fileStatus').textContent, /Using saved guidelines Guidelines v2 .* no approved guidelines on the server yet$/);
+});
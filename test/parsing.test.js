@@ -0,0 +1,230 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    normalizeState,
+    isKnownState,
+    parseStateRestrictions,
+    isStateAllowed,
+    parseOtherRequirements,
+    resolveIndustries,
+    compareIndustries,
+    parseCSVRows,
+    createCSVParser,
+    decodeText,
+    normalizeCellValue,
+    parseSpreadsheet,
+    readMerchantRows,
+    qualify,
+    toCSV,
+    validateGuidelineHeaders,
+    getAutoDropReason,
+    summarizePositions
+} from '../engine/index.js';
+import { merchant, lender } from './helpers.js';
+
+test('states normalize to two-letter codes', () => {
+    assert.equal(normalizeState('New York'), 'ny');
+    assert.equal(normalizeState(' tx '), 'tx');
+    assert.equal(isKnownState('Texas'), true);
+    assert.equal(isKnownState('Atlantis'), false);
+});
+
+test('state restriction text', () => {
+    assert.deepEqual(parseStateRestrictions('No CA, NY'), { allow: null, deny: ['ca', 'ny'], unparsed: [] });
+    assert.deepEqual(parseStateRestrictions('Only TX and FL'), { allow: ['tx', 'fl'], deny: [], unparsed: [] });
+
+    // "OR" is Oregon, not a separator
+    assert.deepEqual(parseStateRestrictions('CA, OR, WA'), { allow: null, deny: ['ca', 'or', 'wa'], unparsed: [] });
+    assert.deepEqual(parseStateRestrictions('CA OR WA').deny, ['ca', 'or', 'wa']);
+    assert.deepEqual(parseStateRestrictions('No Oregon').deny, ['or']);
+    assert.deepEqual(parseStateRestrictions('Only Washington or Oregon').allow, ['wa', 'or']);
+    assert.deepEqual(parseStateRestrictions('Only TX or FL').allow, ['tx', 'fl']);
+    assert.deepEqual(parseStateRestrictions('No New York and New Jersey').deny, ['ny', 'nj']);
+    assert.equal(isStateAllowed(parseStateRestrictions('CA, OR, WA'), 'or'), false);
+
+    const denyList = parseStateRestrictions('CA, NY');
+    assert.equal(isStateAllowed(denyList, 'ca'), false);
+    assert.equal(isStateAllowed(denyList, 'tx'), true);
+    // "Available in" also starts the "all states except" phrasing
+    assert.deepEqual(parseStateRestrictions('Available in all states except CA, NY'), { allow: null, deny: ['ca', 'ny'], unparsed: [] });
+    assert.deepEqual(parseStateRestrictions('All states excluding Texas').deny, ['tx']);
+    assert.deepEqual(parseStateRestrictions('All 50 states except: VT').deny, ['vt']);
+
+    // Leftover words send the whole clause to review, none of its states applied
+    assert.deepEqual(parseStateRestrictions('Only TX, FL with approval'), { allow: null, deny: [], unparsed: ['Only TX, FL with approval'] });
+    assert.deepEqual(parseStateRestrictions('No CA; NY case by case'), { allow: null, deny: ['ca'], unparsed: ['NY case by case'] });
+
+    // Not read from Object.prototype
+    assert.deepEqual(parseStateRestrictions('constructor'), { allow: null, deny: [], unparsed: ['constructor'] });
+});
+
+test('other key requirements text', () => {
+    const typed = text => parseOtherRequirements(text).requirements.map(({ type, value }) => value === undefined ? type : `${type} ${value}`);
+
+    assert.deepEqual(typed('Min 5 deposits/month; max 3 NSFs'), ['min-deposit-count 5', 'max-nsfs 3']);
+    assert.deepEqual(typed('No NSFs, no prior defaults. No home-based businesses'), ['max-nsfs 0', 'no-prior-defaults', 'no-home-based']);
+    assert.deepEqual(typed('Min ADB $2,000'), ['min-avg-daily-balance 2000']);
+    assert.deepEqual(typed('$1k avg daily balance'), ['min-avg-daily-balance 1000']);
+    assert.deepEqual(typed('Min $2,000 ADB'), ['min-avg-daily-balance 2000']);
+    assert.deepEqual(typed('Min $20k deposits per month'), ['min-monthly-deposits 20000']);
+    assert.deepEqual(typed('Less than 4 NSFs'), ['max-nsfs 3']);
+    assert.deepEqual(typed('LLC or corp only'), ['no-sole-prop']);
+    ['LLC only', 'Corp only', 'Only LLCs', 'Corp/LLC only', 'Must be an LLC or corp', 'S-corps and LLCs only'].forEach(text => {
+        assert.deepEqual(typed(text), ['no-sole-prop'], text);
+    });
+    assert.deepEqual(typed('Sole props OK'), ['sole-prop-ok']);
+    assert.deepEqual(typed('N/A'), []);
+
+    assert.deepEqual(typed('Sole props not accepted'), ['no-sole-prop']);
+    assert.deepEqual(typed('Max 3 NSFs per month'), ['max-nsfs 3']);
+
+    // A match on part of a clause doesn't stand for the whole clause
+    assert.deepEqual(typed('No sole props under 2 years TIB'), []);
+    assert.deepEqual(parseOtherRequirements('Sole props OK with 680+ FICO').unparsed, ['Sole props OK with 680+ FICO']);
+    assert.deepEqual(parseOtherRequirements('No NSFs in the last 90 days').unparsed, ['No NSFs in the last 90 days']);
+
+    assert.deepEqual(parseOtherRequirements('Corp only; landlord letter, 2 years at location').unparsed,
+        ['landlord letter', '2 years at location']);
+
+    // Cell text that names an Object.prototype member is parsed like any other
+    assert.deepEqual(parseOtherRequirements('constructor'), { requirements: [], unparsed: ['constructor'] });
+    assert.deepEqual(parseOtherRequirements('toString'), { requirements: [], unparsed: ['toString'] });
+});
+
+test('industries resolve through the taxonomy', () => {
+    assert.deepEqual(resolveIndustries('trucking'), ['trucking']);
+    assert.equal(compareIndustries('transportation', 'trucking'), 'match');
+    assert.equal(compareIndustries('trucking', 'transportation'), 'broader');
+    // Not read from Object.prototype
+    assert.deepEqual(resolveIndustries('constructor'), []);
+});
+
+test('CSV rows', () => {
+    const rows = parseCSVRows('Lender Name,Min_FICO,Notes\n"Acme, Inc",550,"say ""hi"""\n\nBeta,,x\n');
+    assert.deepEqual(rows, [
+        { 'Lender Name': 'Acme, Inc', 'Min_FICO': 550, 'Notes': 'say "hi"' },
+        { 'Lender Name': 'Beta', 'Min_FICO': '', 'Notes': 'x' }
+    ]);
+    assert.equal(toCSV([['a', 'b,c'], ['say "hi"', 1]]), 'a,"b,c"\r\n"say ""hi""",1');
+});
+
+test('CSV cells may contain line breaks, delimiters and quotes', () => {
+    const text = 'Lender Name,Other_Key_Requirements,Min_FICO\r\n' +
+        '"Acme, Inc","No trucking.\r\nNo ""cash"" businesses",550\r\n' +
+        'Beta,"Line one\nline two",600\r\n';
+    assert.deepEqual(parseCSVRows(text), [
+        { 'Lender Name': 'Acme, Inc', 'Other_Key_Requirements': 'No trucking.\r\nNo "cash" businesses', 'Min_FICO': 550 },
+        { 'Lender Name': 'Beta', 'Other_Key_Requirements': 'Line one\nline two', 'Min_FICO': 600 }
+    ]);
+    assert.throws(() => parseCSVRows('a,b\n1,"open\n2,3\n'), /Unclosed quote in the cell starting on line 2/);
+});
+
+test('CSV byte order marks and delimiters are detected', () => {
+    const expected = [{ 'Lender Name': 'Acme; Inc', 'Min_FICO': 550 }];
+    assert.deepEqual(parseCSVRows('\uFEFFLender Name;Min_FICO\n"Acme; Inc";550\n'), expected);
+    assert.deepEqual(parseCSVRows('Lender Name\tMin_FICO\nAcme; Inc\t550\n'), expected);
+    assert.deepEqual(parseCSVRows('Lender Name|Min_FICO\nAcme; Inc|550\n'), expected);
+});
+
+test('CSV can be parsed in chunks', () => {
+    const records = [];
+    const parser = createCSVParser(record => records.push(record));
+    'a;b\r\n"x\r\ny";2\r\n3;4'.split('').forEach(char => parser.push(char));
+    parser.end();
+    assert.equal(parser.delimiter, ';');
+    assert.deepEqual(records, [['a', 'b'], ['x\r\ny', '2'], ['3', '4']]);
+});
+
+test('file encodings', () => {
+    const text = 'Lender Name\nCaf\u00e9 Capital\n';
+    const utf16 = new Uint8Array(2 + text.length * 2);
+    utf16.set([0xFF, 0xFE]);
+    Array.from(text).forEach((char, index) => { utf16[2 + index * 2] = char.charCodeAt(0); });
+
+    assert.equal(decodeText(new TextEncoder().encode(text)), text);
+    assert.equal(decodeText(new Uint8Array([0xEF, 0xBB, 0xBF].concat(Array.from(new TextEncoder().encode(text))))), text);
+    assert.equal(decodeText(utf16), text);
+    assert.equal(decodeText(new Uint8Array([0x43, 0x61, 0x66, 0xE9])), 'Caf\u00e9'); // Windows-1252
+});
+
+test('cell values are normalized to numbers', () => {
+    assert.equal(normalizeCellValue('$25,000'), 25000);
+    assert.equal(normalizeCellValue('25,000.50'), 25000.5);
+    assert.equal(normalizeCellValue('$25k'), 25000);
+    assert.equal(normalizeCellValue('$1.5M'), 1500000);
+    assert.equal(normalizeCellValue('(1,200)'), -1200);
+    assert.equal(normalizeCellValue('25%'), 25);
+    assert.equal(normalizeCellValue('2 years', 'Min_TIB_Months'), 24);
+    assert.equal(normalizeCellValue('18 mos', 'Min_TIB_Months'), 18);
+    assert.equal(normalizeCellValue('6 months', 'Term_Days'), 182.5);
+    assert.equal(normalizeCellValue('No trucking'), 'No trucking');
+    assert.equal(normalizeCellValue('2025-07-01'), '2025-07-01');
+});
+
+test('only number columns are normalized', () => {
+    const [row] = parseCSVRows('Lender Name,Tier,Min_TIB_Months,Other_Key_Requirements,Notes\nAcme,007,2 years,Min 2 years TIB,$5k\n');
+    assert.equal(row['Tier'], '007');
+    assert.equal(row['Min_TIB_Months'], 24);
+    assert.equal(row['Other_Key_Requirements'], 'Min 2 years TIB');
+    assert.equal(row['Notes'], '$5k');
+
+    const [merchantRow] = readMerchantRows(parseCSVRows('Name,Position,TIB,Revenue,FICO,State,Industry\nAcme,3rd,2 years,"$40,000",640,TX,Retail\n'));
+    assert.deepEqual(
+        [merchantRow.criteria.requestedPosition, merchantRow.criteria.tib, merchantRow.criteria.monthlyRevenue],
+        [3, 24, 40000]
+    );
+});
+
+test('currency minimums are enforced', () => {
+    const lenders = parseCSVRows('Lender Name,pos_min,pos_max,Min_Monthly_Revenue\nAcme,1,4,"$25,000"\n')
+        .map(row => lender(row));
+    const result = qualify(lenders, merchant({ monthlyRevenue: 20000 }));
+    assert.equal(result.nonQualified[0].blockingRule, 'Revenue - Min $25,000');
+});
+
+test('.xlsx workbooks', async () => {
+    const workbook = readFileSync(new URL('fixtures/guidelines.xlsx', import.meta.url));
+    const rows = await parseSpreadsheet('guidelines.xlsx', workbook, { sheet: 'guidelines' });
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[0], {
+        'Lender Name': 'Lexio Capital', 'Tier': '1', 'pos_min': 1, 'pos_max': 4, 'Min_TIB_Months': 24,
+        'Min_Monthly_Revenue': 25000, 'Min_FICO': 600, 'State_Restrictions': 'No CA & NY',
+        'Prohibited_Industries': '', 'Other_Key_Requirements': '', 'Max_Holdback_Pct': 15
+    });
+    assert.equal(rows[1]['Prohibited_Industries'], 'Restaurants; Case by case: Construction');
+    assert.equal(rows[1]['Max_Holdback_Pct'], 7.5); // Custom 0.0% format
+
+    await assert.rejects(parseSpreadsheet('guidelines.xlsx', workbook), /at least a header row/);
+    await assert.rejects(parseSpreadsheet('guidelines.xlsx', workbook, { sheet: 'Rates' }), /Sheet "Rates" not found/);
+    await assert.rejects(parseSpreadsheet('guidelines.xls', workbook), /save the sheet as .xlsx/);
+});
+
+test('guideline headers flag misspelled columns', () => {
+    const report = validateGuidelineHeaders(['Lender Name', 'Tier', 'pos_min', 'pos_max', 'Min_TIB_Month']);
+    const tib = report.missing.find(item => item.column === 'Min_TIB_Months');
+    assert.equal(tib.suggestion, 'Min_TIB_Month');
+    assert.deepEqual(report.unknown, ['Min_TIB_Month']);
+});
+
+test('unusable rows are auto-dropped', () => {
+    assert.equal(getAutoDropReason(lender()), null);
+    assert.match(getAutoDropReason(lender({ 'Lender Name': 'TOTAL' })), /total or summary/);
+    assert.match(getAutoDropReason(lender({ pos_min: 3, pos_max: 2 })), /greater than pos_max/);
+    assert.match(getAutoDropReason(lender({ Custom_Rules: 'tib<12' })), /Custom_Rules/);
+});
+
+test('position totals', () => {
+    const summary = summarizePositions([
+        { funder: 'A', balance: 10000, payment: 100, frequency: 'daily', fundedDate: '2025-01-01' },
+        { funder: 'B', balance: null, payment: 600, frequency: 'weekly', fundedDate: '2025-03-01' },
+        { funder: 'C', balance: 0, payment: 500, frequency: 'daily', fundedDate: '' }
+    ], 26000, new Date('2025-03-11'));
+
+    assert.equal(summary.count, 2);
+    assert.equal(summary.totalBalance, 10000);
+    assert.equal(summary.monthlyDebits, 100 * 21 + 600 * 52 / 12);
+    assert.equal(summary.daysSinceLastFunding, 10);
+    assert.equal(summary.missingDates, 0);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCSVRows, qualify, validateMerchantCriteria } from '../engine/index.js';
+import { merchant, lender } from './helpers.js';
+
+const fixture = name => readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8');
+
+// Lender names and messages only, so the expected file stays readable
+function summarize(result) {
+    return {
+        qualified: result.qualified.map(row => row['Lender Name']),
+        conditional: result.conditional.map(item => ({ lender: item.lender, conditions: item.conditions.map(outcome => outcome.condition) })),
+        needsReview: result.needsReview.map(item => ({ lender: item.lender, reviews: item.reviews.map(review => review.message) })),
+        nonQualified: result.nonQualified.map(item => ({ lender: item.lender, failures: item.failures.map(failure => failure.message) })),
+        autoDropped: result.autoDropped,
+        warnings: result.warnings
+    };
+}
+
+const lenders = parseCSVRows(fixture('guidelines.csv'));
+const merchants = JSON.parse(fixture('merchants.json'));
+const expected = JSON.parse(fixture('expected.json'));
+
+merchants.forEach(({ name, criteria }) => {
+    test(`guidelines fixture: ${name}`, () => {
+        assert.deepEqual(summarize(qualify(lenders, criteria)), expected[name]);
+    });
+});
+
+test('every lender lands in exactly one group', () => {
+    merchants.forEach(({ criteria }) => {
+        const result = qualify(lenders, criteria);
+        const total = result.qualified.length + result.conditional.length + result.needsReview.length + result.nonQualified.length + result.autoDropped;
+        assert.equal(total, lenders.length);
+    });
+});
+
+test('blocking rule is the first failure', () => {
+    const result = qualify([lender({ Min_TIB_Months: 48, Min_FICO: 700 })], merchant());
+    const [declined] = result.nonQualified;
+    assert.equal(declined.blockingRule, 'TIB - Min 48 months');
+    assert.equal(declined.failures.length, 2);
+});
+
+test('sole prop restrictions only apply to sole props', () => {
+    const lenders = [lender({ Other_Key_Requirements: 'No sole props' })];
+    assert.equal(qualify(lenders, merchant()).qualified.length, 1);
+    assert.equal(qualify(lenders, merchant({ isSoleProp: true })).nonQualified.length, 1);
+
+    const conditional = [lender({ Other_Key_Requirements: 'No sole props under 2 years TIB' })];
+    assert.equal(qualify(conditional, merchant({ isSoleProp: true, tib: 60 })).needsReview.length, 1);
+    assert.equal(qualify(conditional, merchant()).qualified.length, 1);
+});
+
+test('lenders passing only within a tolerance are conditional', () => {
+    const lenders = [
+        lender({ 'Lender Name': 'Exact Funding' }),
+        lender({ 'Lender Name': 'Stretch Funding', Min_FICO: 660 })
+    ];
+    const standard = qualify(lenders, merchant());
+    assert.equal(standard.profile, 'standard');
+    assert.deepEqual(standard.qualified.map(row => row['Lender Name']), ['Exact Funding']);
+    assert.equal(standard.conditional[0].lender, 'Stretch Funding');
+    assert.deepEqual(standard.conditional[0].conditions.map(outcome => outcome.ruleId), ['min-fico']);
+
+    const strict = qualify(lenders, merchant(), { profile: 'strict' });
+    assert.equal(strict.conditional.length, 0);
+    assert.equal(strict.nonQualified[0].blockingRule, 'FICO - Min 660');
+});
+
+test('merchant criteria validation', () => {
+    assert.doesNotThrow(() => validateMerchantCriteria(merchant()));
+    assert.throws(() => validateMerchantCriteria(merchant({ fico: 900 })), /Invalid FICO/);
+    assert.throws(() => validateMerchantCriteria(merchant({ state: 'Atlantis' })), /Unrecognized state/);
+    assert.throws(() => validateMerchantCriteria(merchant({ positions: [{ funder: 'A', balance: 100, payment: 0 }] })),
+        /enter the payment amount/);
+});
+
+test('unrecognized requirements are returned as notes beside the lender', () => {
+    const result = qualify([
+        lender({ 'Lender Name': 'Notes Funding', Other_Key_Requirements: 'No NSFs; landlord letter required' }),
+        lender({ 'Lender Name': 'Strict Funding', Other_Key_Requirements: 'No prior defaults' })
+    ], merchant({ nsfsPerMonth: 0, hasPriorDefault: true }));
+
+    assert.deepEqual(result.qualified.map(row => row['Lender Name']), ['Notes Funding']);
+    assert.deepEqual(result.notes, { 'Notes Funding': ['landlord letter required'] });
+    assert.deepEqual(result.nonQualified[0].failures.map(failure => failure.message), ['Requirements - No prior defaults']);
+});
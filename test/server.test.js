@@ -0,0 +1,267 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createServer, request as httpRequest } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCSVRows } from '../engine/index.js';
+import { hashPassword, verifyPassword, createSessions } from '../server/auth.js';
+import { createStore } from '../server/store.js';
+import { createApp } from '../server/app.js';
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url));
+const guidelineRows = parseCSVRows(readFileSync(new URL('fixtures/guidelines.csv', import.meta.url), 'utf8'));
+const TIMEOUT_MS = 30 * 60 * 1000;
+
+let dataDir;
+let store;
+let server;
+let baseUrl;
+let clock = Date.now();
+
+before(() => {
+    dataDir = mkdtempSync(join(tmpdir(), 'lender-server-'));
+    store = createStore(dataDir);
+    store.saveUser('admin', 'admin-password', 'admin');
+    store.saveUser('rep', 'rep-password', 'rep');
+
+    const sessions = createSessions({ timeoutMs: TIMEOUT_MS, now: () => clock });
+    server = createServer(createApp({ store, sessions, rootDir }));
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    }));
+});
+
+after(() => {
+    server.close();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(method, path, { cookie, body } = {}) {
+    const headers = {};
+    if (cookie) headers.Cookie = cookie;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    return fetch(baseUrl + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) })
+        .then(response => response.text().then(text => ({
+            status: response.status,
+            headers: response.headers,
+            body: response.headers.get('content-type').startsWith('application/json') ? JSON.parse(text) : text
+        })));
+}
+
+async function login(username, password) {
+    const response = await request('POST', '/api/login', { body: { username, password } });
+    assert.equal(response.status, 200);
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+test('hashes passwords with a salt', () => {
+    const hash = hashPassword('correct horse');
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(hashPassword('correct horse'), hash);
+    assert.equal(verifyPassword('correct horse', hash), true);
+    assert.equal(verifyPassword('wrong horse', hash), false);
+    assert.equal(verifyPassword('correct horse', 'agi2025'), false);
+});
+
+test('never stores plain passwords', () => {
+    const users = readFileSync(join(dataDir, 'users.json'), 'utf8');
+    assert.doesNotMatch(users, /rep-password|admin-password/);
+});
+
+test('rejects bad logins and requires a session for the API', async () => {
+    const bad = await request('POST', '/api/login', { body: { username: 'rep', password: 'agi2025' } });
+    assert.equal(bad.status, 401);
+    assert.equal(bad.headers.get('set-cookie'), null);
+
+    assert.equal((await request('GET', '/api/guidelines/active')).status, 401);
+    assert.equal((await request('GET', '/api/session', { cookie: 'agi_session=forged' })).status, 401);
+});
+
+test('survives malformed cookies', async () => {
+    assert.deepEqual((await request('GET', '/api/session', { cookie: 'agi_session=%E0%A4%A' })).body, { error: 'Please log in' });
+    assert.equal((await request('GET', '/api/session', { cookie: 'other=%E0%A4%A; agi_session=forged' })).status, 401);
+    assert.equal((await request('GET', '/')).status, 200);
+});
+
+test('issues an HttpOnly session cookie', async () => {
+    const response = await request('POST', '/api/login', { body: { username: 'REP', password: 'rep-password' } });
+    assert.match(response.headers.get('set-cookie'), /HttpOnly; SameSite=Strict/);
+    assert.deepEqual(response.body.user.role, 'rep');
+});
+
+test('serves the page but not server data or code', async () => {
+    assert.match((await request('GET', '/')).body, /AGI Lender Qualification Tool/);
+    assert.equal((await request('GET', '/engine/index.js')).status, 200);
+    for (const path of ['/data/users.json', '/server/store.js', '/package.json', '/../package.json', '/.git/config']) {
+        assert.equal((await request('GET', path)).status, 404, path);
+    }
+});
+
+test('only admins upload, approve and edit rules', async () => {
+    const admin = await login('admin', 'admin-password');
+    const rep = await login('rep', 'rep-password');
+
+    assert.equal((await request('POST', '/api/guidelines', { cookie: rep, body: { fileName: 'g.csv', rows: guidelineRows } })).status, 403);
+
+    const upload = await request('POST', '/api/guidelines', { cookie: admin, body: { fileName: 'AGI Guidelines.csv', rows: guidelineRows } });
+    assert.equal(upload.status, 201);
+    assert.equal(upload.body.set.status, 'pending');
+    assert.equal(upload.body.set.version, 1);
+
+    // Pending versions aren't used until approved
+    assert.equal((await request('GET', '/api/guidelines/active', { cookie: rep })).body.set, null);
+    assert.equal((await request('POST', `/api/guidelines/${upload.body.set.id}/approve`, { cookie: rep })).status, 403);
+    assert.equal((await request('POST', `/api/guidelines/${upload.body.set.id}/approve`, { cookie: admin })).status, 200);
+
+    const active = (await request('GET', '/api/guidelines/active', { cookie: rep })).body.set;
+    assert.equal(active.name, 'AGI Guidelines');
+    assert.equal(active.approvedBy, 'admin');
+    assert.equal(active.rows.length, guidelineRows.length);
+
+    const rules = { includeDefaults: true, rules: [{ id: 'fyncap-ca', lender: 'fyncap', when: { state: ['ca'] }, reason: 'No California' }] };
+    assert.equal((await request('PUT', '/api/rules', { cookie: rep, body: { config: rules } })).status, 403);
+    assert.equal((await request('PUT', '/api/rules', { cookie: admin, body: { config: { rules: [{ lender: 'FynCap' }] } } })).status, 422);
+    assert.equal((await request('PUT', '/api/rules', { cookie: admin, body: { config: rules } })).status, 200);
+    assert.deepEqual((await request('GET', '/api/rules', { cookie: rep })).body.config, rules);
+
+    assert.equal((await request('GET', '/api/audit', { cookie: rep })).status, 403);
+});
+
+test('rejects guideline rows that are not objects of cells', async () => {
+    const admin = await login('admin', 'admin-password');
+    const upload = rows => request('POST', '/api/guidelines', { cookie: admin, body: { fileName: 'bad.csv', rows } });
+
+    for (const badRow of [null, 'Acme', ['Acme', 550], { 'Lender Name': { toString: 'x' } }]) {
+        const response = await upload([guidelineRows[0], badRow]);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /^Row 2 /);
+    }
+});
+
+test('requires JSON bodies for changes', async () => {
+    const admin = await login('admin', 'admin-password');
+    const response = await fetch(`${baseUrl}/api/rules`, {
+        method: 'PUT',
+        headers: { Cookie: admin, 'Content-Type': 'text/plain' },
+        body: JSON.stringify({ config: null })
+    });
+    assert.equal(response.status, 415);
+});
+
+test('expires idle sessions but not active ones', async () => {
+    const rep = await login('rep', 'rep-password');
+
+    clock += TIMEOUT_MS - 1000;
+    assert.equal((await request('GET', '/api/guidelines/active', { cookie: rep })).status, 200);
+
+    // Polling the session doesn't count as activity
+    clock += TIMEOUT_MS - 1000;
+    assert.equal((await request('GET', '/api/session', { cookie: rep })).status, 200);
+    clock += 2000;
+    assert.equal((await request('GET', '/api/session', { cookie: rep })).status, 401);
+    assert.equal((await request('GET', '/api/guidelines/active', { cookie: rep })).status, 401);
+});
+
+test('drops expired sessions nobody comes back for', () => {
+    let time = 0;
+    const sessions = createSessions({ timeoutMs: TIMEOUT_MS, now: () => time });
+    sessions.create({ username: 'rep', role: 'rep' });
+    sessions.create({ username: 'admin', role: 'admin' });
+
+    time += TIMEOUT_MS + 1;
+    const live = sessions.create({ username: 'rep', role: 'rep' });
+    assert.equal(sessions.size, 1);
+    assert.equal(sessions.get(live.token), live);
+});
+
+test('ends sessions on logout and when the account is removed', async () => {
+    const rep = await login('rep', 'rep-password');
+    await request('POST', '/api/logout', { cookie: rep });
+    assert.equal((await request('GET', '/api/session', { cookie: rep })).status, 401);
+
+    store.saveUser('temp', 'temp-password', 'rep');
+    const temp = await login('temp', 'temp-password');
+    store.removeUser('temp');
+    assert.equal((await request('GET', '/api/session', { cookie: temp })).status, 401);
+});
+
+test('records who ran which qualification', async () => {
+    const rep = await login('rep', 'rep-password');
+    const criteria = { requestedPosition: 2, tib: 36, monthlyRevenue: 40000, fico: 620, state: 'TX', industry: 'Retail', isSoleProp: false };
+    const response = await request('POST', '/api/audit/qualifications', {
+        cookie: rep,
+        body: { strictness: 'strict', runs: [{ merchant: 'Acme Trucking', criteria, counts: { qualified: 3, needsReview: 1, nonQualified: 2 } }] }
+    });
+    assert.equal(response.status, 201);
+
+    const admin = await login('admin', 'admin-password');
+    const { entries } = (await request('GET', '/api/audit?action=qualification', { cookie: admin })).body;
+    assert.equal(entries[0].user, 'rep');
+    assert.equal(entries[0].runs[0].merchant, 'Acme Trucking');
+    assert.deepEqual(entries[0].runs[0].criteria, criteria);
+    assert.deepEqual(entries[0].guidelines, { setId: 1, name: 'AGI Guidelines', version: 1 });
+    assert.equal(entries[0].strictness, 'strict');
+
+    assert.equal(entries[0].clientReported, true);
+
+    const actions = (await request('GET', '/api/audit?limit=1000', { cookie: admin })).body.entries.map(entry => entry.action);
+    ['login', 'login-failed', 'logout', 'guidelines-upload', 'guidelines-approve', 'rules-update'].forEach(action => {
+        assert.ok(actions.includes(action), action);
+    });
+});
+
+test('keeps only known qualification fields, as numbers, strings and booleans', async () => {
+    const rep = await login('rep', 'rep-password');
+    const criteria = { requestedPosition: '2', tib: 36, fico: { $gt: 0 }, state: 'TX', isSoleProp: 'yes', notes: 'x'.repeat(5000) };
+    const response = await request('POST', '/api/audit/qualifications', {
+        cookie: rep,
+        body: { strictness: ['strict'], runs: [{ merchant: 'Acme', criteria, counts: { qualified: 3, nonQualified: '2', extra: 1 } }, 'junk'] }
+    });
+    assert.equal(response.status, 201);
+
+    const [acme, junk] = response.body.entry.runs;
+    assert.deepEqual(acme.criteria, {
+        requestedPosition: null, tib: 36, monthlyRevenue: null, fico: null, state: 'TX', industry: null, isSoleProp: null
+    });
+    assert.deepEqual(acme.counts, { qualified: 3, conditional: null, needsReview: null, nonQualified: null });
+    assert.deepEqual(junk, { merchant: '', criteria: null, counts: null });
+    assert.equal(response.body.entry.strictness, null);
+
+    const tooMany = Array.from({ length: 1001 }, () => ({ merchant: 'Acme' }));
+    assert.equal((await request('POST', '/api/audit/qualifications', { cookie: rep, body: { runs: tooMany } })).status, 400);
+});
+
+// Login status as seen from another loopback address
+function loginFrom(localAddress, username, password) {
+    return new Promise((resolve, reject) => {
+        const req = httpRequest(`${baseUrl}/api/login`, {
+            method: 'POST', localAddress, headers: { 'Content-Type': 'application/json' }
+        }, response => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify({ username, password }));
+    });
+}
+
+test('locks an account after repeated failed logins', async () => {
+    store.saveUser('locked', 'locked-password', 'rep');
+    for (let i = 0; i < 5; i++) {
+        await request('POST', '/api/login', { body: { username: 'locked', password: 'guess' } });
+    }
+    const response = await request('POST', '/api/login', { body: { username: 'locked', password: 'locked-password' } });
+    assert.equal(response.status, 429);
+
+    // Only for the address the guesses came from
+    assert.equal(await loginFrom('127.0.0.2', 'locked', 'locked-password'), 200);
+});
+
+test('refuses unknown usernames like wrong passwords', async () => {
+    const response = await request('POST', '/api/login', { body: { username: 'nobody', password: 'guess' } });
+    assert.equal(response.status, 401);
+    assert.deepEqual(response.body, { error: 'Incorrect username or password' });
+});
@@ -0,0 +1,213 @@
+// What-if analysis
+//
+// Lets the rep adjust TIB, revenue, FICO or position and recomputes
+// qualification against the loaded guidelines, listing which lenders open up
+// (or drop off) compared to the original run, plus a step ladder per field
+// showing the value at which each additional lender becomes available.
+
+const WHAT_IF_FIELDS = [
+    {
+        key: 'tib',
+        inputId: 'whatIfTib',
+        label: 'Time in Business (months)',
+        threshold: lender => getMinimumThresholds(lender, whatIfBaseline.profile).tib,
+        format: value => `${value} months TIB`
+    },
+    {
+        key: 'monthlyRevenue',
+        inputId: 'whatIfRevenue',
+        label: 'Monthly Revenue ($)',
+        threshold: lender => getMinimumThresholds(lender, whatIfBaseline.profile).monthlyRevenue,
+        format: value => `$${value.toLocaleString()} revenue`
+    },
+    {
+        key: 'fico',
+        inputId: 'whatIfFico',
+        label: 'FICO Score',
+        threshold: lender => getMinimumThresholds(lender, whatIfBaseline.profile).fico,
+        format: value => `${value} FICO`
+    },
+    {
+        key: 'requestedPosition',
+        inputId: 'whatIfPosition',
+        label: 'Position',
+        format: value => `${ordinal(value)} position`
+    }
+];
+
+// Each comparison re-qualifies every lender once per ladder step, so typing
+// only recomputes after a pause
+const WHAT_IF_INPUT_DELAY_MS = 250;
+
+// { criteria, result, profile }: the run the panel was opened for and the
+// strictness profile it used, which every scenario is qualified with too
+let whatIfBaseline = null;
+let whatIfRenderTimer = null;
+
+// Lenders the merchant can be sent to, conditional ones included
+function getQualifiedNames(result) {
+    return result.qualified.map(lender => String(lender['Lender Name']).trim())
+        .concat(result.conditional.map(item => item.lender));
+}
+
+// Positions at the edge of a lender's pos_min-pos_max range, other than the
+// current one: earlier positions nearest first, then later ones
+function getCandidatePositions(current) {
+    const positions = new Set();
+    csvData.forEach(lender => {
+        [lender['pos_min'], lender['pos_max']].forEach(value => {
+            const position = parseInt(value);
+            if (position >= 1 && position <= 10 && position !== current) positions.add(position);
+        });
+    });
+
+    const sorted = Array.from(positions).sort((a, b) => a - b);
+    return sorted.filter(position => position < current).reverse()
+        .concat(sorted.filter(position => position > current));
+}
+
+// Values worth trying for a field: the lender thresholds the merchant doesn't
+// clear yet, or for position the ends of the lenders' position ranges.
+function getCandidateValues(field, criteria) {
+    const current = criteria[field.key];
+
+    if (field.key === 'requestedPosition') return getCandidatePositions(current);
+
+    const values = new Set();
+    csvData.forEach(lender => {
+        const threshold = field.threshold(lender);
+        if (!isNaN(threshold) && threshold > current) {
+            values.add(field.key === 'fico' ? Math.min(Math.ceil(threshold), 850) : Math.ceil(threshold));
+        }
+    });
+    return Array.from(values).sort((a, b) => a - b);
+}
+
+function computeUnlockSteps(field, criteria) {
+    const seen = new Set(getQualifiedNames(qualifyLenders(csvData, criteria, whatIfBaseline.profile)));
+    const steps = [];
+
+    getCandidateValues(field, criteria).forEach(value => {
+        const scenario = Object.assign({}, criteria, { [field.key]: value });
+        const unlocked = getQualifiedNames(qualifyLenders(csvData, scenario, whatIfBaseline.profile))
+            .filter(name => !seen.has(name));
+
+        if (unlocked.length > 0) {
+            unlocked.forEach(name => seen.add(name));
+            steps.push({ value, lenders: unlocked.sort() });
+        }
+    });
+
+    return steps;
+}
+
+function readWhatIfCriteria() {
+    const scenario = Object.assign({}, whatIfBaseline.criteria);
+    WHAT_IF_FIELDS.forEach(field => {
+        const value = parseInt(document.getElementById(field.inputId).value);
+        if (!isNaN(value)) scenario[field.key] = value;
+    });
+    return scenario;
+}
+
+function renderWhatIfComparison() {
+    const output = document.getElementById('whatIfResults');
+    const scenario = readWhatIfCriteria();
+    const baselineNames = getQualifiedNames(whatIfBaseline.result);
+    const scenarioNames = getQualifiedNames(qualifyLenders(csvData, scenario, whatIfBaseline.profile));
+    const gained = scenarioNames.filter(name => !baselineNames.includes(name)).sort();
+    const lost = baselineNames.filter(name => !scenarioNames.includes(name)).sort();
+
+    let html = `
+        <div class="what-if-summary">
+            <strong>${scenarioNames.length}</strong> qualified in this scenario
+            (${gained.length - lost.length >= 0 ? '+' : ''}${gained.length - lost.length} vs. current)
+        </div>
+    `;
+
+    if (gained.length > 0) {
+        html += `<div class="what-if-change gained">➕ Now available: ${escapeHtml(gained.join(', '))}</div>`;
+    }
+    if (lost.length > 0) {
+        html += `<div class="what-if-change lost">➖ No longer available: ${escapeHtml(lost.join(', '))}</div>`;
+    }
+
+    html += `<div class="what-if-steps">`;
+    WHAT_IF_FIELDS.forEach(field => {
+        const steps = computeUnlockSteps(field, scenario);
+        html += `<div class="what-if-step-group"><div class="what-if-step-title">${field.label}</div>`;
+
+        if (steps.length === 0) {
+            html += `<div class="what-if-step empty">No additional lenders by changing this alone</div>`;
+        } else {
+            steps.forEach(step => {
+                html += `
+                    <div class="what-if-step">
+                        <span class="what-if-step-value">At ${field.format(step.value)}</span>
+                        +${step.lenders.length}: ${escapeHtml(step.lenders.join(', '))}
+                    </div>
+                `;
+            });
+        }
+        html += `</div>`;
+    });
+    html += `</div>`;
+
+    output.innerHTML = html;
+}
+
+function scheduleWhatIfComparison() {
+    clearTimeout(whatIfRenderTimer);
+    whatIfRenderTimer = setTimeout(renderWhatIfComparison, WHAT_IF_INPUT_DELAY_MS);
+}
+
+function applyWhatIfToForm() {
+    const scenario = readWhatIfCriteria();
+    document.getElementById('position').value = scenario.requestedPosition;
+    document.getElementById('tib').value = scenario.tib;
+    document.getElementById('revenue').value = scenario.monthlyRevenue;
+    document.getElementById('fico').value = scenario.fico;
+    updateProcessButton();
+    document.getElementById('processBtn').click();
+}
+
+function renderWhatIfPanel(criteria, result) {
+    const panel = document.getElementById('whatIfPanel');
+    clearTimeout(whatIfRenderTimer);
+    whatIfBaseline = { criteria, result, profile: getStrictnessProfiles()[result.profile] };
+
+    let html = `
+        <div class="results-section what-if">
+            <h3>🔮 What Would It Take?</h3>
+            <p class="what-if-help">Adjust the merchant's numbers to see which lenders open up.</p>
+            <div class="what-if-form">
+    `;
+
+    WHAT_IF_FIELDS.forEach(field => {
+        const attributes = field.key === 'requestedPosition' ? 'min="1" max="10"' :
+            field.key === 'fico' ? 'min="300" max="850"' : 'min="0"';
+        html += `
+            <div class="form-group">
+                <label for="${field.inputId}">${field.label}</label>
+                <input type="number" id="${field.inputId}" ${attributes} value="${criteria[field.key]}" />
+            </div>
+        `;
+    });
+
+    html += `
+            </div>
+            <button type="button" class="secondary-btn" id="whatIfApplyBtn">Apply to Merchant Form</button>
+            <div id="whatIfResults"></div>
+        </div>
+    `;
+
+    panel.innerHTML = html;
+    panel.style.display = 'block';
+
+    WHAT_IF_FIELDS.forEach(field => {
+        document.getElementById(field.inputId).addEventListener('input', scheduleWhatIfComparison);
+    });
+    document.getElementById('whatIfApplyBtn').addEventListener('click', applyWhatIfToForm);
+
+    renderWhatIfComparison();
+}